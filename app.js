@@ -10,24 +10,98 @@ const AppState = {
     musicLibrary: [],
     currentTrack: null,
     currentPlaylist: null,
+    queueContextName: null, // Álbum, artista ou gênero de onde a fila veio (fora de playlists)
     playQueue: [],
     currentQueueIndex: -1,
+    upNext: [], // Músicas adicionadas pelo usuário; tocam antes do restante da fila
+    unshuffledQueue: null, // Ordem original da fila enquanto o shuffle está ativo
+    playbackStack: [], // Músicas tocadas, da mais antiga à mais recente (usado pelo "Anterior")
     
     // Estado do player
     audio: new Audio(),
+    standbyAudio: new Audio(), // Elemento reserva: pré-carrega a próxima faixa
     isPlaying: false,
     isShuffled: false,
     repeatMode: 'off', // 'off', 'all', 'one'
     volume: 0.7,
     
+    // Transições entre faixas (gapless e crossfade)
+    playbackSettings: { gapless: true, crossfade: 0, restoreSession: true, smartShuffle: false },
+    upcomingIndex: null, // Índice da fila escolhido para depois da faixa atual
+    upcomingShuffle: null, // Ordem sorteada para o próximo ciclo do shuffle (aplicada quando ele começa)
+    preloaded: null, // { trackId, queueIndex, fromUpNext } carregado no elemento reserva
+    transition: null, // Crossfade em andamento
+    gaplessTimer: null, // Cancela a troca gapless agendada (ver scheduleOnAudioClock)
+    sessionSaveTimer: null,
+    
+    // Normalização de volume (ReplayGain / EBU R128)
+    loudnessSettings: { mode: 'track', target: -14, preventClipping: true },
+    loudnessAnalysisRunning: false,
+    loudnessWorker: null, // { worker, pending, nextId }; false se o navegador não permitir workers
+    featureAnalysisRunning: false,
+    // Forma de onda da música carregada; frações (0-1) de arraste e do ponteiro
+    waveform: { trackId: null, peaks: null, seekFraction: null, hoverFraction: null, pending: new Set() },
+    // Tela cheia "Tocando agora": aberta, modo do visualizador e quadro agendado
+    nowPlaying: { open: false, mode: 'bars', frame: null },
+    radio: null, // Rádio ligado: { seedId } (a fila é estendida com músicas compatíveis)
+    // Atalhos redefinidos pelo usuário ({ ação: tecla }) e ação aguardando uma nova tecla
+    shortcuts: {},
+    shortcutCapture: null,
+    // Paleta de comandos: itens montados ao abrir, resultados filtrados e índice selecionado
+    commandPalette: { items: [], results: [], selected: 0 },
+    // Letra da música atual: registro gravado, linhas, linha em destaque, última rolagem manual e editor
+    lyrics: { trackId: null, record: null, lines: [], synced: false, active: -1, request: 0, scrolledAt: 0, editor: null },
+    
     // Histórico e estatísticas
     playHistory: [],
     favoriteTracks: new Set(),
+    currentListen: null, // Escuta em andamento (gravada em 'listens' ao terminar)
+    recommendationModel: null, // Co-audição, afinidade por artista e pulos (ver loadRecommendationModel)
+    statsRange: '30',
     
     // Playlists (localStorage)
-    playlists: []
+    playlists: [],
+    editingSmartPlaylist: null, // Rascunho aberto no editor de playlists inteligentes
+    libraryChangedTimer: null,  // Atualização das playlists inteligentes agendada (ver scheduleLibraryChanged)
+    
+    // Edição de metadados e seleção em lote
+    editingTrackIds: [],       // Músicas abertas no diálogo de edição (uma ou várias)
+    selectionMode: false,      // Biblioteca com caixas de seleção em vez de reprodução ao clicar
+    selectedTracks: new Set(),
+    duplicateGroups: [],       // Grupos exibidos no localizador de duplicatas
+    
+    // Navegação por artista, álbum e gênero
+    browse: {
+        view: 'artists', // 'artists', 'albums' ou 'genres'
+        page: null       // { type: 'artist' | 'album' | 'genre', key } quando uma página está aberta
+    },
+    
+    // Índice invertido da busca (termo normalizado -> id da música -> campos)
+    searchIndex: { postings: new Map(), trackTerms: new Map(), sortedTerms: null },
+    
+    // Cache de URLs das capas (id da capa -> Promise<URL>)
+    artworkCache: new Map(),
+    
+    // Listas virtualizadas em exibição (contêiner -> estado da lista)
+    virtualLists: new Map(),
+    virtualListFrame: null,
+    
+    // Áudio carregado sob demanda: elemento -> { trackId, ready: Promise }
+    audioSources: new Map(),
+    playRequest: 0, // Incrementado a cada play/pause para descartar plays obsoletos
+    
+    // Processamento de áudio (Web Audio API, criado no primeiro play)
+    audioGraph: null,
+    equalizer: null,
+    customEqPresets: [],
+    eqAssignments: { tracks: {}, playlists: {} }
 };
 
+// Versão do esquema do IndexedDB
+// v4: o áudio fica no store 'audio', separado dos metadados em 'musics'
+// v5: letras (LRC ou texto simples) no store 'lyrics'
+const DB_VERSION = 5;
+
 // ============================================
 // INICIALIZAÇÃO DO INDEXEDDB
 // ============================================
@@ -38,7 +112,7 @@ const AppState = {
  */
 function initIndexedDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('SpotfyDB', 1);
+        const request = indexedDB.open('SpotfyDB', DB_VERSION);
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
@@ -55,50 +129,214 @@ function initIndexedDB() {
                 musicStore.createIndex('name', 'name', { unique: false });
                 musicStore.createIndex('artist', 'artist', { unique: false });
             }
+            
+            // Object Store para capas (imagem original e miniatura)
+            if (!db.objectStoreNames.contains('artwork')) {
+                db.createObjectStore('artwork', { keyPath: 'id' });
+            }
+            
+            // Object Store para o histórico de escutas (um evento por reprodução)
+            if (!db.objectStoreNames.contains('listens')) {
+                const listenStore = db.createObjectStore('listens', { keyPath: 'id', autoIncrement: true });
+                listenStore.createIndex('trackId', 'trackId', { unique: false });
+                listenStore.createIndex('startedAt', 'startedAt', { unique: false });
+            }
+            
+            // Object Store para o áudio (Blob por música), lido só ao tocar
+            if (!db.objectStoreNames.contains('audio')) {
+                db.createObjectStore('audio', { keyPath: 'id' });
+            }
+            
+            // Object Store para letras (texto por música), lidas só ao abrir o painel de letra
+            if (!db.objectStoreNames.contains('lyrics')) {
+                db.createObjectStore('lyrics', { keyPath: 'id' });
+            }
+            
+            // Bancos anteriores à v4 guardam o áudio dentro do registro da música
+            if (event.oldVersion > 0 && event.oldVersion < 4) {
+                migrateAudioToSeparateStore(event.target.transaction);
+            }
+        };
+    });
+}
+
+/**
+ * Move o áudio embutido (audioData) de cada música para o store 'audio'
+ * Roda na transação de upgrade: se algo falhar, nada é alterado e o banco
+ * continua na versão anterior
+ * Complexidade: O(n) - Um registro por vez, sem carregar a biblioteca inteira
+ */
+function migrateAudioToSeparateStore(transaction) {
+    const musicStore = transaction.objectStore('musics');
+    const audioStore = transaction.objectStore('audio');
+    
+    musicStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        const { audioData, ...track } = cursor.value;
+        if (audioData) {
+            audioStore.put({ id: track.id, blob: new Blob([audioData], { type: track.fileType }) });
+            track.fileSize = track.fileSize || audioData.byteLength;
+            cursor.update(track);
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Salva um arquivo de áudio no IndexedDB (metadados e áudio em stores separados)
+ * Complexidade: O(1) - Operação de escrita no banco
+ */
+function saveMusicToDB(file, metadata) {
+    return new Promise((resolve, reject) => {
+        const musicData = {
+            id: Date.now() + Math.random(),
+            name: metadata.name || file.name,
+            artist: metadata.artist || 'Artista Desconhecido',
+            albumArtist: metadata.albumArtist || null,
+            album: metadata.album || 'Álbum Desconhecido',
+            genre: metadata.genre || 'Geral',
+            year: metadata.year || null,
+            artworkId: metadata.artworkId || null,
+            trackNumber: metadata.trackNumber || null,
+            trackTotal: metadata.trackTotal || null,
+            discNumber: metadata.discNumber || null,
+            discTotal: metadata.discTotal || null,
+            compilation: Boolean(metadata.compilation),
+            contentHash: metadata.contentHash || null,
+            fileType: file.type,
+            fileName: file.webkitRelativePath || file.name,
+            fileSize: file.size,
+            duration: metadata.duration || 0,
+            encoderDelay: metadata.encoderDelay || 0,
+            encoderPadding: metadata.encoderPadding || 0,
+            sampleRate: metadata.sampleRate || null,
+            loudness: metadata.loudness ?? null,
+            truePeak: metadata.truePeak ?? null,
+            albumLoudness: metadata.albumLoudness ?? null,
+            albumPeak: metadata.albumPeak ?? null,
+            loudnessSource: metadata.loudnessSource || null,
+            bpm: metadata.bpm ?? null,
+            musicalKey: metadata.musicalKey || null,
+            camelot: metadata.camelot || null,
+            energy: metadata.energy ?? null,
+            danceability: metadata.danceability ?? null,
+            featuresSource: metadata.featuresSource || null,
+            waveform: metadata.waveform ?? null,
+            dateAdded: new Date().toISOString(),
+            playCount: 0,
+            lastPlayed: null
         };
+
+        const transaction = AppState.db.transaction(['musics', 'audio'], 'readwrite');
+        transaction.objectStore('musics').add(musicData);
+        // O próprio File é um Blob: o navegador guarda o conteúdo sem cópia extra em memória
+        transaction.objectStore('audio').put({ id: musicData.id, blob: file });
+
+        transaction.oncomplete = () => {
+            AppState.musicLibrary.push(musicData);
+            indexTrack(musicData);
+            // Importações chegam em sequência: agrupa as atualizações
+            scheduleLibraryChanged();
+            resolve(musicData);
+        };
+
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
 /**
- * Salva um arquivo de áudio no IndexedDB
+ * Atualiza o registro de uma música já existente no IndexedDB
+ * Não avisa as playlists inteligentes: quem altera campos usados nas regras chama
+ * onLibraryChanged/scheduleLibraryChanged uma vez por lote
  * Complexidade: O(1) - Operação de escrita no banco
  */
-async function saveMusicToDB(file, metadata) {
+function updateMusicInDB(track) {
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+        const transaction = AppState.db.transaction(['musics'], 'readwrite');
+        const store = transaction.objectStore('musics');
+        const request = store.put(track);
         
-        reader.onload = (e) => {
-            const musicData = {
-                id: Date.now() + Math.random(),
-                name: metadata.name || file.name,
-                artist: metadata.artist || 'Artista Desconhecido',
-                album: metadata.album || 'Álbum Desconhecido',
-                genre: metadata.genre || 'Geral',
-                audioData: e.target.result,
-                fileType: file.type,
-                duration: metadata.duration || 0,
-                dateAdded: new Date().toISOString(),
-                playCount: 0,
-                lastPlayed: null
-            };
-            
-            const transaction = AppState.db.transaction(['musics'], 'readwrite');
-            const store = transaction.objectStore('musics');
-            const request = store.add(musicData);
-            
-            request.onsuccess = () => {
-                AppState.musicLibrary.push(musicData);
-                resolve(musicData);
-            };
-            
-            request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            indexTrack(track);
+            resolve(track);
         };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Remove uma música do IndexedDB (áudio, metadados e letra)
+ * Complexidade: O(1) - Operação de remoção por chave
+ */
+function deleteMusicFromDB(trackId) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['musics', 'audio', 'lyrics'], 'readwrite');
+        transaction.objectStore('musics').delete(trackId);
+        transaction.objectStore('audio').delete(trackId);
+        transaction.objectStore('lyrics').delete(trackId);
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Busca o áudio (Blob) de uma música
+ * Complexidade: O(1) - Leitura por chave
+ */
+function getAudioBlob(trackId) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['audio'], 'readonly');
+        const request = transaction.objectStore('audio').get(trackId);
         
-        reader.onerror = () => reject(reader.error);
-        reader.readAsArrayBuffer(file);
+        request.onsuccess = () => resolve(request.result ? request.result.blob : null);
+        request.onerror = () => reject(request.error);
     });
 }
 
+/**
+ * Lê o áudio de uma música como ArrayBuffer (análises e hash)
+ * Complexidade: O(n) - onde n é o tamanho do áudio
+ */
+async function getTrackAudioData(track) {
+    const blob = await getAudioBlob(track.id);
+    if (!blob) {
+        throw new Error(`Áudio da música ${track.name} não encontrado`);
+    }
+    return blob.arrayBuffer();
+}
+
+/**
+ * Decodifica o áudio na taxa pedida para as análises (sonoridade, musical, forma de onda)
+ * Uma mesma decodificação pode ser repassada às três; resolve null sem Web Audio
+ * Complexidade: O(n) - onde n é o número de amostras
+ */
+async function decodeAudioForAnalysis(audioData, sampleRate) {
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContextClass) return null;
+
+    // decodeAudioData consome o buffer e reamostra para a taxa do contexto: decodifica uma cópia
+    return new OfflineContextClass(1, 1, sampleRate).decodeAudioData(audioData.slice(0));
+}
+
+/**
+ * Reamostra um áudio já decodificado renderizando-o em um OfflineAudioContext
+ * (o filtro anti-aliasing do navegador evita uma segunda decodificação)
+ */
+async function resampleAudioBuffer(buffer, sampleRate) {
+    if (buffer.sampleRate === sampleRate) return buffer;
+
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const context = new OfflineContextClass(buffer.numberOfChannels, Math.ceil(buffer.duration * sampleRate), sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    return context.startRendering();
+}
+
 /**
  * Carrega todas as músicas do IndexedDB
  * Complexidade: O(n) - onde n é o número de músicas no banco
@@ -116,6 +354,7 @@ function loadMusicsFromDB() {
         
         request.onsuccess = () => {
             AppState.musicLibrary = request.result;
+            buildSearchIndex();
             resolve(request.result);
         };
         
@@ -127,6 +366,20 @@ function loadMusicsFromDB() {
 // GERENCIAMENTO DE PLAYLISTS (localStorage)
 // ============================================
 
+/**
+ * Carrega favoritos do localStorage
+ * Deve rodar antes de loadPlaylists: regras "Favorita" das playlists inteligentes dependem dele
+ */
+function loadFavorites() {
+    try {
+        const stored = localStorage.getItem('spotfy_favorites');
+        AppState.favoriteTracks = new Set(stored ? JSON.parse(stored) : []);
+    } catch (error) {
+        console.error('Erro ao carregar favoritos:', error);
+        AppState.favoriteTracks = new Set();
+    }
+}
+
 /**
  * Carrega playlists do localStorage
  * Complexidade: O(1) - Leitura simples do localStorage
@@ -135,6 +388,7 @@ function loadPlaylists() {
     try {
         const stored = localStorage.getItem('spotfy_playlists');
         AppState.playlists = stored ? JSON.parse(stored) : [];
+        refreshSmartPlaylists();
         renderPlaylists();
     } catch (error) {
         console.error('Erro ao carregar playlists:', error);
@@ -178,7 +432,7 @@ function createPlaylist(name) {
  */
 function addTrackToPlaylist(playlistId, trackId) {
     const playlist = AppState.playlists.find(p => p.id === playlistId);
-    if (playlist && !playlist.tracks.includes(trackId)) {
+    if (playlist && playlist.type !== 'smart' && !playlist.tracks.includes(trackId)) {
         playlist.tracks.push(trackId);
         savePlaylists();
         renderPlaylists();
@@ -209,632 +463,10020 @@ function deletePlaylist(playlistId) {
 }
 
 // ============================================
-// SISTEMA DE REPRODUÇÃO DE ÁUDIO
+// PLAYLISTS INTELIGENTES (BASEADAS EM REGRAS)
 // ============================================
 
+// Espera (ms) para agrupar alterações da biblioteca antes de reavaliar as playlists
+const LIBRARY_CHANGED_DELAY = 300;
+
+// Campos disponíveis nas regras e o tipo de comparação de cada um
+const SMART_PLAYLIST_FIELDS = {
+    name: { label: 'Título', type: 'text' },
+    artist: { label: 'Artista', type: 'text' },
+    album: { label: 'Álbum', type: 'text' },
+    genre: { label: 'Gênero', type: 'text' },
+    year: { label: 'Ano', type: 'number' },
+    playCount: { label: 'Reproduções', type: 'number' },
+    duration: { label: 'Duração (min)', type: 'number' },
+    // Campos da análise musical: músicas ainda não analisadas não atendem às regras
+    bpm: { label: 'BPM', type: 'number', optional: true },
+    musicalKey: { label: 'Tom', type: 'text', optional: true },
+    energy: { label: 'Energia (0-100)', type: 'number', optional: true },
+    danceability: { label: 'Dançabilidade (0-100)', type: 'number', optional: true },
+    dateAdded: { label: 'Adicionada', type: 'date' },
+    lastPlayed: { label: 'Última reprodução', type: 'date' },
+    favorite: { label: 'Favorita', type: 'boolean' }
+};
+
+// Operadores por tipo de campo
+const SMART_PLAYLIST_OPERATORS = {
+    text: { is: 'é', isNot: 'não é', contains: 'contém', notContains: 'não contém' },
+    number: { gt: 'maior que', lt: 'menor que', eq: 'igual a' },
+    date: { inLast: 'nos últimos (dias)', notInLast: 'antes dos últimos (dias)', never: 'nunca' },
+    boolean: { isTrue: 'sim', isFalse: 'não' }
+};
+
+// Ordenações disponíveis para o resultado
+const SMART_PLAYLIST_SORTS = {
+    name: 'Título',
+    artist: 'Artista',
+    album: 'Álbum',
+    year: 'Ano',
+    playCount: 'Reproduções',
+    duration: 'Duração',
+    bpm: 'BPM',
+    energy: 'Energia',
+    danceability: 'Dançabilidade',
+    dateAdded: 'Data de adição',
+    lastPlayed: 'Última reprodução'
+};
+
 /**
- * Carrega e reproduz uma música
- * Complexidade: O(1) - Operação de carregamento
+ * Regras padrão de uma nova playlist inteligente
  */
-function loadTrack(track) {
-    if (!track || !track.audioData) return;
-    
-    const blob = new Blob([track.audioData], { type: track.fileType });
-    const url = URL.createObjectURL(blob);
-    
-    AppState.audio.src = url;
-    AppState.currentTrack = track;
-    
-    // Atualiza UI
-    updatePlayerInfo(track);
-    updateMusicListHighlight();
-    
-    // Carrega duração quando disponível
-    AppState.audio.addEventListener('loadedmetadata', () => {
-        updateTimeDisplay();
-    });
-    
-    // Atualiza histórico
-    if (!AppState.playHistory.find(h => h.id === track.id)) {
-        AppState.playHistory.unshift(track);
-        if (AppState.playHistory.length > 50) {
-            AppState.playHistory.pop();
-        }
-    }
-    
-    // Incrementa contador de reproduções
-    track.playCount = (track.playCount || 0) + 1;
-    track.lastPlayed = new Date().toISOString();
+function createDefaultSmartRules() {
+    return {
+        match: 'all',
+        groups: [{ match: 'all', conditions: [{ field: 'genre', operator: 'is', value: '' }] }]
+    };
 }
 
 /**
- * Reproduz a música atual
+ * Valor de um campo da música usado pelas regras
  */
-function play() {
-    if (!AppState.currentTrack) return;
-    
-    AppState.audio.play()
-        .then(() => {
-            AppState.isPlaying = true;
-            updatePlayButton();
-        })
-        .catch(error => {
-            console.error('Erro ao reproduzir:', error);
-        });
+function getSmartFieldValue(track, field) {
+    if (field === 'favorite') return AppState.favoriteTracks.has(track.id);
+    if (field === 'duration') return (track.duration || 0) / 60;
+    return track[field];
 }
 
 /**
- * Pausa a reprodução
+ * Avalia uma condição (campo, operador, valor) para uma música
  */
-function pause() {
-    AppState.audio.pause();
-    AppState.isPlaying = false;
-    updatePlayButton();
+function evaluateSmartCondition(track, condition) {
+    const definition = SMART_PLAYLIST_FIELDS[condition.field];
+    if (!definition) return false;
+    const value = getSmartFieldValue(track, condition.field);
+    if (definition.optional && (value === null || value === undefined)) return false;
+
+    switch (definition.type) {
+        case 'text': {
+            const text = normalizeForMatch(value);
+            const expected = normalizeForMatch(condition.value);
+            if (condition.operator === 'is') return text === expected;
+            if (condition.operator === 'isNot') return text !== expected;
+            if (condition.operator === 'contains') return text.includes(expected);
+            if (condition.operator === 'notContains') return !text.includes(expected);
+            return false;
+        }
+        case 'number': {
+            const number = Number(value) || 0;
+            const expected = Number(condition.value);
+            if (condition.operator === 'gt') return number > expected;
+            if (condition.operator === 'lt') return number < expected;
+            if (condition.operator === 'eq') return number === expected;
+            return false;
+        }
+        case 'date': {
+            if (condition.operator === 'never') return !value;
+            if (!value) return condition.operator === 'notInLast';
+            const ageInDays = (Date.now() - new Date(value).getTime()) / 86400000;
+            const days = Number(condition.value) || 0;
+            return condition.operator === 'inLast' ? ageInDays <= days : ageInDays > days;
+        }
+        case 'boolean':
+            return condition.operator === 'isTrue' ? value === true : value !== true;
+        default:
+            return false;
+    }
 }
 
 /**
- * Alterna entre play e pause
+ * Avalia as regras: grupos combinados por E/OU, condições de cada grupo também
  */
-function togglePlayPause() {
-    if (AppState.isPlaying) {
-        pause();
-    } else {
-        play();
-    }
+function matchesSmartRules(track, rules) {
+    const combine = (match, items, test) => (match === 'any' ? items.some(test) : items.every(test));
+    const groups = rules.groups.filter(group => group.conditions.length > 0);
+    if (groups.length === 0) return false;
+
+    return combine(rules.match, groups, group =>
+        combine(group.match, group.conditions, condition => evaluateSmartCondition(track, condition))
+    );
 }
 
 /**
- * Reproduz a próxima música da fila
- * Complexidade: O(1) - Acesso direto ao índice
+ * Calcula as músicas de uma playlist inteligente: filtra, ordena e limita
+ * Complexidade: O(n log n) - Filtragem e ordenação da biblioteca
  */
-function playNext() {
-    if (AppState.playQueue.length === 0) return;
-    
-    if (AppState.isShuffled) {
-        AppState.currentQueueIndex = Math.floor(Math.random() * AppState.playQueue.length);
-    } else {
-        AppState.currentQueueIndex = (AppState.currentQueueIndex + 1) % AppState.playQueue.length;
-    }
-    
-    const nextTrackId = AppState.playQueue[AppState.currentQueueIndex];
-    const nextTrack = AppState.musicLibrary.find(t => t.id === nextTrackId);
-    
-    if (nextTrack) {
-        loadTrack(nextTrack);
-        play();
+function evaluateSmartPlaylist(playlist) {
+    const tracks = AppState.musicLibrary.filter(track => matchesSmartRules(track, playlist.rules));
+
+    if (playlist.sort && SMART_PLAYLIST_SORTS[playlist.sort.field]) {
+        const { field, direction } = playlist.sort;
+        const factor = direction === 'desc' ? -1 : 1;
+        tracks.sort((a, b) => {
+            const valueA = a[field] ?? '';
+            const valueB = b[field] ?? '';
+            const result = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), 'pt-BR');
+            return result * factor;
+        });
     }
+
+    const limited = playlist.limit > 0 ? tracks.slice(0, playlist.limit) : tracks;
+    return limited.map(track => track.id);
 }
 
 /**
- * Reproduz a música anterior da fila
- * Complexidade: O(1) - Acesso direto ao índice
+ * Recalcula todas as playlists inteligentes; retorna true se alguma mudou
+ * Complexidade: O(p·n log n) - onde p é o número de playlists inteligentes
  */
-function playPrevious() {
-    if (AppState.playQueue.length === 0) return;
-    
-    if (AppState.isShuffled) {
-        AppState.currentQueueIndex = Math.floor(Math.random() * AppState.playQueue.length);
-    } else {
-        AppState.currentQueueIndex = AppState.currentQueueIndex <= 0 
-            ? AppState.playQueue.length - 1 
-            : AppState.currentQueueIndex - 1;
-    }
-    
-    const prevTrackId = AppState.playQueue[AppState.currentQueueIndex];
-    const prevTrack = AppState.musicLibrary.find(t => t.id === prevTrackId);
-    
-    if (prevTrack) {
-        loadTrack(prevTrack);
-        play();
-    }
+function refreshSmartPlaylists() {
+    let changed = false;
+    AppState.playlists.forEach(playlist => {
+        if (playlist.type !== 'smart') return;
+        const tracks = evaluateSmartPlaylist(playlist);
+        if (tracks.length !== playlist.tracks.length || tracks.some((id, i) => id !== playlist.tracks[i])) {
+            playlist.tracks = tracks;
+            changed = true;
+        }
+    });
+    return changed;
 }
 
 /**
- * Define o volume
+ * Biblioteca, favoritos ou estatísticas mudaram: atualiza as playlists inteligentes
  */
-function setVolume(value) {
-    AppState.volume = value / 100;
-    AppState.audio.volume = AppState.volume;
-    updateVolumeIcon();
+function onLibraryChanged() {
+    clearTimeout(AppState.libraryChangedTimer);
+    AppState.libraryChangedTimer = null;
+    if (refreshSmartPlaylists()) {
+        savePlaylists();
+        renderPlaylists();
+    }
+    refreshBrowseView();
 }
 
 /**
- * Alterna o modo de repetição
+ * Agenda onLibraryChanged, agrupando alterações em sequência (importação, análises em lote)
  */
-function toggleRepeat() {
-    const modes = ['off', 'all', 'one'];
-    const currentIndex = modes.indexOf(AppState.repeatMode);
-    AppState.repeatMode = modes[(currentIndex + 1) % modes.length];
-    updateRepeatButton();
+function scheduleLibraryChanged() {
+    clearTimeout(AppState.libraryChangedTimer);
+    AppState.libraryChangedTimer = setTimeout(onLibraryChanged, LIBRARY_CHANGED_DELAY);
 }
 
 /**
- * Alterna o modo shuffle
+ * Verifica se alguma playlist inteligente filtra ou ordena por reproduções
+ * Complexidade: O(p·c) - onde c é o número de condições de cada playlist
  */
-function toggleShuffle() {
-    AppState.isShuffled = !AppState.isShuffled;
-    updateShuffleButton();
+function smartPlaylistsUseStats() {
+    const isStat = field => field === 'playCount' || field === 'lastPlayed';
+    return AppState.playlists.some(playlist => playlist.type === 'smart' && (
+        (playlist.sort && isStat(playlist.sort.field)) ||
+        playlist.rules.groups.some(group => group.conditions.some(condition => isStat(condition.field)))
+    ));
 }
 
-// ============================================
-// SISTEMA DE BUSCA
-// ============================================
-
 /**
- * Busca músicas por termo (nome, artista ou álbum)
- * Complexidade: O(n) - Busca linear sobre todas as músicas
- * onde n é o número de músicas na biblioteca
+ * Salva uma playlist inteligente (nova ou editada) a partir do rascunho do editor
  */
-function searchMusics(query) {
-    if (!query || query.trim() === '') {
-        return AppState.musicLibrary;
-    }
-    
-    const lowerQuery = query.toLowerCase().trim();
-    
-    return AppState.musicLibrary.filter(track => {
-        const name = (track.name || '').toLowerCase();
-        const artist = (track.artist || '').toLowerCase();
-        const album = (track.album || '').toLowerCase();
-        
-        return name.includes(lowerQuery) || 
-               artist.includes(lowerQuery) || 
-               album.includes(lowerQuery);
+function saveSmartPlaylist(draft) {
+    const existing = AppState.playlists.find(p => p.id === draft.id);
+    const playlist = existing || { id: Date.now(), createdAt: new Date().toISOString() };
+
+    Object.assign(playlist, {
+        name: draft.name,
+        type: 'smart',
+        rules: draft.rules,
+        sort: draft.sort,
+        limit: draft.limit
     });
+    playlist.tracks = evaluateSmartPlaylist(playlist);
+
+    if (!existing) {
+        AppState.playlists.push(playlist);
+    }
+    savePlaylists();
+    renderPlaylists();
+    return playlist;
 }
 
-// ============================================
-// SISTEMA DE RECOMENDAÇÕES
-// ============================================
+/**
+ * Converte uma playlist inteligente em estática, congelando as músicas atuais
+ */
+function convertToStaticPlaylist(playlistId) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    if (!playlist || playlist.type !== 'smart') return;
+
+    delete playlist.type;
+    delete playlist.rules;
+    delete playlist.sort;
+    delete playlist.limit;
+    savePlaylists();
+    renderPlaylists();
+}
 
 /**
- * Gera recomendações baseadas em histórico e gêneros
- * Complexidade: O(n) - Análise linear do histórico e biblioteca
+ * Abre o editor para uma nova playlist inteligente ou para uma existente
  */
-function getRecommendations(limit = 10) {
-    if (AppState.playHistory.length === 0) {
-        // Se não há histórico, retorna músicas mais recentes
-        return AppState.musicLibrary
-            .slice()
-            .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
-            .slice(0, limit);
-    }
-    
-    // Analisa gêneros mais ouvidos
-    const genreCount = {};
-    AppState.playHistory.slice(0, 20).forEach(track => {
-        const genre = track.genre || 'Geral';
-        genreCount[genre] = (genreCount[genre] || 0) + 1;
-    });
-    
-    // Encontra gênero mais popular
-    const topGenre = Object.keys(genreCount).reduce((a, b) => 
-        genreCount[a] > genreCount[b] ? a : b, 'Geral'
-    );
-    
-    // Retorna músicas do mesmo gênero que não estão no histórico recente
-    const recentIds = new Set(AppState.playHistory.slice(0, 10).map(t => t.id));
-    const recommendations = AppState.musicLibrary
-        .filter(track => 
-            (track.genre === topGenre || !track.genre) && 
-            !recentIds.has(track.id)
-        )
-        .slice(0, limit);
-    
-    // Se não há suficientes, completa com outras músicas
-    if (recommendations.length < limit) {
-        const additional = AppState.musicLibrary
-            .filter(track => !recentIds.has(track.id))
-            .slice(0, limit - recommendations.length);
-        recommendations.push(...additional);
-    }
-    
-    return recommendations;
+function openSmartPlaylistEditor(playlistId = null) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    AppState.editingSmartPlaylist = playlist
+        ? JSON.parse(JSON.stringify({ id: playlist.id, name: playlist.name, rules: playlist.rules, sort: playlist.sort, limit: playlist.limit }))
+        : { id: null, name: '', rules: createDefaultSmartRules(), sort: { field: 'name', direction: 'asc' }, limit: 0 };
+
+    const draft = AppState.editingSmartPlaylist;
+    document.getElementById('smartPlaylistTitle').textContent = playlist ? 'Editar Playlist Inteligente' : 'Nova Playlist Inteligente';
+    document.getElementById('smartPlaylistName').value = draft.name;
+    document.getElementById('smartPlaylistMatch').value = draft.rules.match;
+    document.getElementById('smartPlaylistSort').value = draft.sort ? draft.sort.field : 'name';
+    document.getElementById('smartPlaylistDirection').value = draft.sort ? draft.sort.direction : 'asc';
+    document.getElementById('smartPlaylistLimit').value = draft.limit || '';
+
+    renderSmartPlaylistRules();
+    document.getElementById('smartPlaylistModal').classList.add('active');
 }
 
-// ============================================
-// RENDERIZAÇÃO DA UI
-// ============================================
+/**
+ * Cria um <select> com as opções { valor: rótulo }
+ */
+function createSelect(options, selected, onChange) {
+    const select = document.createElement('select');
+    select.className = 'eq-select';
+    Object.entries(options).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = selected;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
 
 /**
- * Renderiza a lista de playlists na sidebar
- * Complexidade: O(n) - Renderiza cada playlist
+ * Renderiza os grupos e condições do rascunho em edição
  */
-function renderPlaylists() {
-    const list = document.getElementById('playlistsList');
-    list.innerHTML = '';
-    
-    AppState.playlists.forEach(playlist => {
-        const li = document.createElement('li');
-        li.className = 'playlist-item';
-        if (AppState.currentPlaylist && AppState.currentPlaylist.id === playlist.id) {
-            li.classList.add('active');
+function renderSmartPlaylistRules() {
+    const draft = AppState.editingSmartPlaylist;
+    const container = document.getElementById('smartPlaylistGroups');
+    container.innerHTML = '';
+
+    draft.rules.groups.forEach((group, groupIndex) => {
+        const groupElement = document.createElement('div');
+        groupElement.className = 'smart-group';
+
+        const header = document.createElement('div');
+        header.className = 'smart-group-header';
+        const label = document.createElement('span');
+        label.textContent = 'Músicas que atendem a';
+        header.appendChild(label);
+        header.appendChild(createSelect({ all: 'todas as condições', any: 'qualquer condição' }, group.match, value => {
+            group.match = value;
+        }));
+
+        const removeGroupBtn = document.createElement('button');
+        removeGroupBtn.className = 'music-action-btn';
+        removeGroupBtn.title = 'Remover grupo';
+        removeGroupBtn.textContent = '🗑️';
+        removeGroupBtn.addEventListener('click', () => {
+            draft.rules.groups.splice(groupIndex, 1);
+            renderSmartPlaylistRules();
+        });
+        header.appendChild(removeGroupBtn);
+        groupElement.appendChild(header);
+
+        group.conditions.forEach((condition, conditionIndex) => {
+            groupElement.appendChild(createSmartConditionRow(group, condition, conditionIndex));
+        });
+
+        const addConditionBtn = document.createElement('button');
+        addConditionBtn.className = 'btn-cancel';
+        addConditionBtn.textContent = '+ Condição';
+        addConditionBtn.addEventListener('click', () => {
+            group.conditions.push({ field: 'artist', operator: 'contains', value: '' });
+            renderSmartPlaylistRules();
+        });
+        groupElement.appendChild(addConditionBtn);
+
+        container.appendChild(groupElement);
+    });
+}
+
+/**
+ * Cria a linha de uma condição (campo, operador, valor e remoção)
+ */
+function createSmartConditionRow(group, condition, conditionIndex) {
+    const row = document.createElement('div');
+    row.className = 'smart-condition';
+
+    const fieldLabels = Object.fromEntries(Object.entries(SMART_PLAYLIST_FIELDS).map(([key, field]) => [key, field.label]));
+    row.appendChild(createSelect(fieldLabels, condition.field, value => {
+        condition.field = value;
+        // Troca de tipo de campo: volta ao primeiro operador válido
+        const operators = SMART_PLAYLIST_OPERATORS[SMART_PLAYLIST_FIELDS[value].type];
+        if (!operators[condition.operator]) {
+            condition.operator = Object.keys(operators)[0];
+            condition.value = '';
         }
-        
-        const span = document.createElement('span');
-        span.textContent = playlist.name;
-        span.style.cursor = 'pointer';
-        span.addEventListener('click', () => selectPlaylist(playlist.id));
-        
-        const actions = document.createElement('div');
-        actions.className = 'playlist-actions';
-        
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'playlist-action-btn';
-        deleteBtn.title = 'Excluir';
-        deleteBtn.textContent = '🗑️';
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (confirm(`Tem certeza que deseja excluir a playlist "${playlist.name}"?`)) {
-                deletePlaylist(playlist.id);
-            }
+        renderSmartPlaylistRules();
+    }));
+
+    const type = SMART_PLAYLIST_FIELDS[condition.field].type;
+    row.appendChild(createSelect(SMART_PLAYLIST_OPERATORS[type], condition.operator, value => {
+        condition.operator = value;
+        renderSmartPlaylistRules();
+    }));
+
+    // Booleanos e "nunca" não precisam de valor
+    if (type !== 'boolean' && condition.operator !== 'never') {
+        const input = document.createElement('input');
+        input.className = 'modal-input smart-condition-value';
+        input.type = type === 'text' ? 'text' : 'number';
+        input.value = condition.value;
+        input.addEventListener('input', () => {
+            condition.value = input.value;
         });
-        
-        actions.appendChild(deleteBtn);
-        li.appendChild(span);
-        li.appendChild(actions);
-        list.appendChild(li);
+        row.appendChild(input);
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'music-action-btn';
+    removeBtn.title = 'Remover condição';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => {
+        group.conditions.splice(conditionIndex, 1);
+        renderSmartPlaylistRules();
     });
+    row.appendChild(removeBtn);
+
+    return row;
 }
 
 /**
- * Renderiza músicas em formato de grid
- * Complexidade: O(n) - Renderiza cada música
+ * Lê os campos gerais do editor e salva a playlist inteligente
  */
-function renderMusicGrid(musics, containerId) {
-    const container = document.getElementById(containerId);
-    container.innerHTML = '';
-    
-    musics.forEach(track => {
-        const card = document.createElement('div');
-        card.className = 'music-card';
-        
-        const artwork = document.createElement('div');
-        artwork.className = 'music-card-artwork';
-        
-        const overlay = document.createElement('div');
-        overlay.className = 'play-overlay';
-        overlay.textContent = '▶';
-        overlay.addEventListener('click', (e) => {
-            e.stopPropagation();
-            playTrack(track.id);
+function confirmSmartPlaylistEditor() {
+    const draft = AppState.editingSmartPlaylist;
+    draft.name = document.getElementById('smartPlaylistName').value.trim();
+    draft.rules.match = document.getElementById('smartPlaylistMatch').value;
+    draft.sort = {
+        field: document.getElementById('smartPlaylistSort').value,
+        direction: document.getElementById('smartPlaylistDirection').value
+    };
+    draft.limit = Math.max(0, parseInt(document.getElementById('smartPlaylistLimit').value, 10) || 0);
+
+    if (!draft.name) {
+        alert('Dê um nome para a playlist.');
+        return;
+    }
+    if (!draft.rules.groups.some(group => group.conditions.length > 0)) {
+        alert('Adicione pelo menos uma condição.');
+        return;
+    }
+
+    const playlist = saveSmartPlaylist(draft);
+    AppState.editingSmartPlaylist = null;
+    document.getElementById('smartPlaylistModal').classList.remove('active');
+
+    if (AppState.currentPlaylist && AppState.currentPlaylist.id === playlist.id) {
+        selectPlaylist(playlist.id);
+    }
+}
+
+/**
+ * Liga os controles do editor de playlists inteligentes
+ */
+function setupSmartPlaylistControls() {
+    const sortSelect = document.getElementById('smartPlaylistSort');
+    Object.entries(SMART_PLAYLIST_SORTS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sortSelect.appendChild(option);
+    });
+
+    document.getElementById('createSmartPlaylistBtn').addEventListener('click', () => openSmartPlaylistEditor());
+
+    document.getElementById('addSmartGroupBtn').addEventListener('click', () => {
+        AppState.editingSmartPlaylist.rules.groups.push({
+            match: 'all',
+            conditions: [{ field: 'genre', operator: 'is', value: '' }]
         });
-        
-        artwork.appendChild(overlay);
-        card.appendChild(artwork);
-        
-        const title = document.createElement('div');
-        title.className = 'music-card-title';
-        title.textContent = track.name;
-        title.title = track.name;
-        card.appendChild(title);
-        
-        const artist = document.createElement('div');
-        artist.className = 'music-card-artist';
-        artist.textContent = track.artist;
-        artist.title = track.artist;
-        card.appendChild(artist);
-        
-        container.appendChild(card);
+        renderSmartPlaylistRules();
     });
+
+    const close = () => {
+        AppState.editingSmartPlaylist = null;
+        document.getElementById('smartPlaylistModal').classList.remove('active');
+    };
+    document.getElementById('smartPlaylistModalClose').addEventListener('click', close);
+    document.getElementById('cancelSmartPlaylistBtn').addEventListener('click', close);
+    document.getElementById('confirmSmartPlaylistBtn').addEventListener('click', confirmSmartPlaylistEditor);
 }
 
+// ============================================
+// IMPORTAÇÃO E EXPORTAÇÃO DE PLAYLISTS
+// ============================================
+
+// Tolerância (segundos) ao comparar a duração de uma entrada com a da música
+const PLAYLIST_DURATION_TOLERANCE = 3;
+
 /**
- * Renderiza músicas em formato de lista
- * Complexidade: O(n) - Renderiza cada música
+ * Normaliza texto para comparação: minúsculas, sem acentos e sem pontuação
  */
-function renderMusicList(musics, containerId, showNumber = true) {
-    const container = document.getElementById(containerId);
-    container.innerHTML = '';
-    
-    musics.forEach((track, index) => {
-        const item = document.createElement('div');
-        item.className = 'music-item';
-        if (AppState.currentTrack && AppState.currentTrack.id === track.id && AppState.isPlaying) {
-            item.classList.add('playing');
+function normalizeForMatch(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Retorna o nome do arquivo (sem diretórios) de um caminho ou URI
+ */
+function getPathBaseName(path) {
+    let decoded = String(path || '').replace(/^file:\/\/\/?/i, '');
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch (error) {
+        // Caminho com '%' literal: usa como está
+    }
+    return decoded.split(/[\\/]/).pop();
+}
+
+/**
+ * Escapa caracteres especiais de XML
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Retorna as músicas de uma playlist na ordem da playlist
+ * Complexidade: O(n) - Monta um índice por id da biblioteca
+ */
+function getPlaylistTracks(playlist) {
+    const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    return playlist.tracks.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Gera uma playlist M3U8 (UTF-8) com linhas #EXTINF
+ */
+function playlistToM3U(playlist) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+    getPlaylistTracks(playlist).forEach(track => {
+        lines.push(`#EXTINF:${Math.round(track.duration || -1)},${track.artist} - ${track.name}`);
+        lines.push(track.fileName || `${track.artist} - ${track.name}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Gera uma playlist XSPF (XML Shareable Playlist Format)
+ */
+function playlistToXSPF(playlist) {
+    const tracks = getPlaylistTracks(playlist).map(track => {
+        const fields = [];
+        if (track.fileName) {
+            fields.push(`<location>${escapeXml(encodeURI(track.fileName))}</location>`);
         }
-        
-        if (showNumber) {
-            const number = document.createElement('div');
-            number.className = 'music-item-number';
-            number.textContent = index + 1;
-            item.appendChild(number);
+        fields.push(`<title>${escapeXml(track.name)}</title>`);
+        fields.push(`<creator>${escapeXml(track.artist)}</creator>`);
+        if (track.album) {
+            fields.push(`<album>${escapeXml(track.album)}</album>`);
         }
-        
-        const artwork = document.createElement('div');
-        artwork.className = 'music-item-artwork';
-        artwork.textContent = '🎵';
-        item.appendChild(artwork);
-        
-        const info = document.createElement('div');
-        info.className = 'music-item-info';
-        
-        const title = document.createElement('div');
-        title.className = 'music-item-title';
-        title.textContent = track.name;
-        title.title = track.name;
-        
-        const artist = document.createElement('div');
-        artist.className = 'music-item-artist';
-        artist.textContent = track.artist;
-        artist.title = track.artist;
-        
-        info.appendChild(title);
-        info.appendChild(artist);
-        item.appendChild(info);
-        
-        const actions = document.createElement('div');
-        actions.className = 'music-item-actions';
-        
-        const favoriteBtn = document.createElement('button');
-        favoriteBtn.className = `music-action-btn ${AppState.favoriteTracks.has(track.id) ? 'favorite' : ''}`;
-        favoriteBtn.title = 'Favoritar';
-        favoriteBtn.textContent = AppState.favoriteTracks.has(track.id) ? '❤️' : '🤍';
-        favoriteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleFavorite(track.id);
-        });
-        
-        const playBtn = document.createElement('button');
-        playBtn.className = 'music-action-btn';
-        playBtn.title = 'Reproduzir';
-        playBtn.textContent = '▶';
-        playBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            playTrack(track.id);
-        });
-        
-        const addToPlaylistBtn = document.createElement('button');
-        addToPlaylistBtn.className = 'music-action-btn';
-        addToPlaylistBtn.title = 'Adicionar à playlist';
-        addToPlaylistBtn.textContent = '➕';
-        addToPlaylistBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            showAddToPlaylistMenu(track.id);
-        });
-        
-        actions.appendChild(favoriteBtn);
-        actions.appendChild(playBtn);
-        actions.appendChild(addToPlaylistBtn);
-        item.appendChild(actions);
-        
-        // Clique na linha para reproduzir
-        item.addEventListener('click', () => playTrack(track.id));
-        
-        container.appendChild(item);
+        if (track.trackNumber) {
+            fields.push(`<trackNum>${track.trackNumber}</trackNum>`);
+        }
+        if (track.duration) {
+            fields.push(`<duration>${Math.round(track.duration * 1000)}</duration>`);
+        }
+        return `    <track>\n      ${fields.join('\n      ')}\n    </track>`;
     });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(playlist.name)}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>'
+    ].join('\n') + '\n';
 }
 
 /**
- * Renderiza resultados de busca
+ * Gera a playlist no formato JSON nativo do Spotfy
  */
-function renderSearchResults(results) {
-    const container = document.getElementById('searchResults');
-    
-    if (results.length === 0) {
-        container.innerHTML = '<p style="color: var(--spotify-text-secondary); text-align: center; padding: 40px;">Nenhuma música encontrada.</p>';
-        return;
-    }
-    
-    renderMusicList(results, 'searchResults', false);
+function playlistToJSON(playlist) {
+    return JSON.stringify({
+        format: 'spotfy-playlist',
+        version: 1,
+        name: playlist.name,
+        createdAt: playlist.createdAt,
+        tracks: getPlaylistTracks(playlist).map(track => ({
+            id: track.id,
+            name: track.name,
+            artist: track.artist,
+            album: track.album,
+            duration: track.duration,
+            trackNumber: track.trackNumber,
+            fileName: track.fileName || null
+        }))
+    }, null, 2);
 }
 
 /**
- * Atualiza informações do player
+ * Exporta uma playlist no formato escolhido ('m3u8', 'xspf' ou 'json')
  */
-function updatePlayerInfo(track) {
-    document.getElementById('trackName').textContent = track.name || 'Música desconhecida';
-    document.getElementById('trackArtist').textContent = track.artist || 'Artista desconhecido';
+function exportPlaylist(playlistId, format) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    if (!playlist) return;
+
+    const baseName = playlist.name.replace(/[\\/:*?"<>|]+/g, '_');
+    if (format === 'xspf') {
+        downloadFile(playlistToXSPF(playlist), `${baseName}.xspf`, 'application/xspf+xml');
+    } else if (format === 'json') {
+        downloadFile(playlistToJSON(playlist), `${baseName}.json`, 'application/json');
+    } else {
+        downloadFile(playlistToM3U(playlist), `${baseName}.m3u8`, 'audio/x-mpegurl');
+    }
 }
 
 /**
- * Atualiza botão de play/pause
+ * Lê entradas de uma playlist M3U/M3U8
+ * Retorna { name, entries: [{ path, name, artist, duration }] }
  */
-function updatePlayButton() {
-    const btn = document.getElementById('playPauseBtn');
-    btn.textContent = AppState.isPlaying ? '⏸' : '▶';
+function parseM3U(text) {
+    const entries = [];
+    let name = null;
+    let pending = null;
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('#EXTINF:')) {
+            // #EXTINF:123 atributos="...",Artista - Título
+            const info = line.slice(8);
+            const comma = info.indexOf(',');
+            const duration = parseFloat(info);
+            const title = comma >= 0 ? info.slice(comma + 1).trim() : '';
+            const parts = title.split(' - ');
+            pending = {
+                duration: duration > 0 ? duration : null,
+                artist: parts.length > 1 ? parts[0] : null,
+                name: parts.length > 1 ? parts.slice(1).join(' - ') : title
+            };
+        } else if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice(10).trim();
+        } else if (!line.startsWith('#')) {
+            const fromFile = parseFileNameMetadata(getPathBaseName(line));
+            entries.push({
+                path: line,
+                name: (pending && pending.name) || fromFile.name,
+                artist: (pending && pending.artist) || fromFile.artist,
+                duration: pending ? pending.duration : null
+            });
+            pending = null;
+        }
+    });
+
+    return { name, entries };
 }
 
 /**
- * Atualiza botão de shuffle
+ * Lê entradas de uma playlist XSPF
  */
-function updateShuffleButton() {
-    const btn = document.getElementById('shuffleBtn');
-    btn.style.opacity = AppState.isShuffled ? '1' : '0.5';
+function parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XSPF inválido');
+    }
+
+    const childText = (parent, tag) => {
+        const element = Array.from(parent.children).find(child => child.localName === tag);
+        return element ? element.textContent.trim() : null;
+    };
+
+    const playlistElement = doc.documentElement;
+    const entries = Array.from(doc.getElementsByTagNameNS('*', 'track')).map(track => {
+        const duration = parseInt(childText(track, 'duration'), 10);
+        return {
+            path: childText(track, 'location'),
+            name: childText(track, 'title'),
+            artist: childText(track, 'creator'),
+            album: childText(track, 'album'),
+            duration: duration > 0 ? duration / 1000 : null
+        };
+    });
+
+    return { name: childText(playlistElement, 'title'), entries };
 }
 
 /**
- * Atualiza botão de repeat
+ * Lê entradas de uma playlist no formato JSON nativo
  */
-function updateRepeatButton() {
-    const btn = document.getElementById('repeatBtn');
-    const modes = {
-        'off': { text: '🔁', opacity: 0.5 },
-        'all': { text: '🔁', opacity: 1 },
-        'one': { text: '🔁', opacity: 1 }
+function parsePlaylistJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.tracks)) {
+        throw new Error('JSON de playlist inválido');
+    }
+
+    return {
+        name: data.name || null,
+        entries: data.tracks.map(track => ({
+            id: track.id,
+            path: track.fileName || null,
+            name: track.name,
+            artist: track.artist,
+            album: track.album,
+            duration: track.duration || null
+        }))
     };
-    const mode = modes[AppState.repeatMode];
-    btn.textContent = mode.text;
-    btn.style.opacity = mode.opacity;
 }
 
 /**
- * Atualiza ícone de volume
+ * Verifica se duas durações são compatíveis (ignora durações desconhecidas)
  */
-function updateVolumeIcon() {
-    const btn = document.getElementById('volumeBtn');
-    if (AppState.volume === 0) {
-        btn.textContent = '🔇';
-    } else if (AppState.volume < 0.5) {
-        btn.textContent = '🔉';
-    } else {
-        btn.textContent = '🔊';
+function durationsMatch(a, b) {
+    return !a || !b || Math.abs(a - b) <= PLAYLIST_DURATION_TOLERANCE;
+}
+
+/**
+ * Encontra a música da biblioteca correspondente a uma entrada de playlist
+ * Ordem: id (JSON nativo) > caminho do arquivo > título + artista > título + duração
+ * Complexidade: O(n) - Busca linear na biblioteca
+ */
+function resolvePlaylistEntry(entry) {
+    const library = AppState.musicLibrary;
+
+    if (entry.id !== undefined) {
+        const byId = library.find(t => t.id === entry.id);
+        if (byId) return byId;
+    }
+
+    if (entry.path) {
+        const baseName = getPathBaseName(entry.path).toLowerCase();
+        const byPath = library.find(t => t.fileName && getPathBaseName(t.fileName).toLowerCase() === baseName);
+        if (byPath) return byPath;
+    }
+
+    const name = normalizeForMatch(entry.name);
+    if (!name) return null;
+    const artist = normalizeForMatch(entry.artist);
+    const sameName = library.filter(t => normalizeForMatch(t.name) === name);
+
+    if (artist) {
+        const byArtist = sameName.filter(t => normalizeForMatch(t.artist) === artist);
+        const best = byArtist.find(t => durationsMatch(t.duration, entry.duration)) || byArtist[0];
+        if (best) return best;
+    }
+
+    // Sem artista correspondente, só aceita título se a duração confirmar
+    return entry.duration
+        ? sameName.find(t => t.duration && durationsMatch(t.duration, entry.duration)) || null
+        : null;
+}
+
+/**
+ * Importa uma playlist (M3U/M3U8, XSPF ou JSON) e relata entradas não encontradas
+ * Complexidade: O(e * n) - onde e é o número de entradas e n o tamanho da biblioteca
+ */
+async function importPlaylistFile(file) {
+    try {
+        const text = await file.text();
+        const extension = file.name.split('.').pop().toLowerCase();
+        let parsed;
+
+        if (extension === 'xspf') {
+            parsed = parseXSPF(text);
+        } else if (extension === 'json') {
+            parsed = parsePlaylistJSON(text);
+        } else {
+            parsed = parseM3U(text);
+        }
+
+        const playlist = createPlaylist(parsed.name || file.name.replace(/\.[^/.]+$/, ''));
+        const unmatched = [];
+        const trackIds = new Set();
+        let duplicates = 0;
+
+        parsed.entries.forEach(entry => {
+            const track = resolvePlaylistEntry(entry);
+            if (!track) {
+                unmatched.push(entry);
+            } else if (trackIds.has(track.id)) {
+                duplicates++;
+            } else {
+                trackIds.add(track.id);
+            }
+        });
+
+        // Grava e redesenha uma única vez, mesmo em listas com milhares de entradas
+        playlist.tracks = [...trackIds];
+        savePlaylists();
+        renderPlaylists();
+
+        let report = `Playlist "${playlist.name}" importada: ${trackIds.size} de ${parsed.entries.length} músicas encontradas.`;
+        if (duplicates > 0) {
+            report += `\n${duplicates} entrada(s) repetida(s) ignorada(s).`;
+        }
+        if (unmatched.length > 0) {
+            const labels = unmatched.map(entry => entry.artist ? `${entry.artist} - ${entry.name}` : (entry.name || entry.path));
+            report += `\n\nNão encontradas na biblioteca:\n${labels.slice(0, 20).join('\n')}`;
+            if (labels.length > 20) {
+                report += `\n... e mais ${labels.length - 20}`;
+            }
+        }
+        alert(report);
+    } catch (error) {
+        console.error(`Erro ao importar ${file.name}:`, error);
+        alert(`Erro ao importar ${file.name}. Verifique o formato do arquivo.`);
+    }
+}
+
+/**
+ * Pergunta o formato e exporta a playlist
+ */
+function showExportPlaylistMenu(playlistId) {
+    const formats = ['m3u8', 'xspf', 'json'];
+    const selected = prompt('Exportar playlist como:\n1. M3U8\n2. XSPF\n3. JSON (Spotfy)\n\nDigite o número do formato:');
+
+    const index = parseInt(selected) - 1;
+    if (index >= 0 && index < formats.length) {
+        exportPlaylist(playlistId, formats[index]);
     }
 }
 
+// ============================================
+// SISTEMA DE REPRODUÇÃO DE ÁUDIO
+// ============================================
+
+/**
+ * Carrega e reproduz uma música
+ * Se a música já estiver pré-carregada no elemento reserva, os elementos trocam de papel
+ * options.keepOutgoing mantém o elemento anterior tocando (crossfade)
+ * options.resumeAt posiciona a faixa (em segundos) sem registrar uma nova reprodução
+ * options.fromHistory indica que a música veio do "Anterior" e não deve voltar à pilha
+ * Complexidade: O(1) - Operação de carregamento
+ */
+function loadTrack(track, options = {}) {
+    if (!track) return;
+    
+    if (!options.keepOutgoing) {
+        cancelTransition();
+    }
+    clearGaplessTimer();
+    
+    const outgoing = AppState.audio;
+    if (AppState.preloaded && AppState.preloaded.trackId === track.id) {
+        AppState.audio = AppState.standbyAudio;
+        AppState.standbyAudio = outgoing;
+        AppState.preloaded = null;
+        if (!options.keepOutgoing) {
+            outgoing.pause();
+        }
+        if (options.resumeAt !== undefined) {
+            AppState.audio.currentTime = Math.max(getTrackStartOffset(track, AppState.audio), options.resumeAt);
+        }
+    } else {
+        cancelPreload();
+        setAudioSource(AppState.audio, track, options.resumeAt);
+    }
+    
+    // Pilha de reprodução: permite que "Anterior" volte de fato à música tocada
+    if (AppState.currentTrack && AppState.currentTrack.id !== track.id && !options.fromHistory) {
+        AppState.playbackStack.push(AppState.currentTrack.id);
+        if (AppState.playbackStack.length > PLAYBACK_STACK_LIMIT) {
+            AppState.playbackStack.shift();
+        }
+    }
+    
+    AppState.upcomingIndex = null;
+    AppState.upcomingShuffle = null;
+    AppState.currentTrack = track;
+    
+    // Rádio ligado: mantém músicas compatíveis à frente da atual
+    extendRadioQueue();
+    
+    // Atualiza UI
+    updatePlayerInfo(track);
+    showTrackWaveform(track);
+    updateMediaSessionMetadata(track);
+    refreshLyricsPanel();
+    updateMusicListHighlight();
+    updateTimeDisplay();
+    refreshQueueView();
+    
+    // Presets de equalizador podem ser atribuídos por faixa
+    applyEqualizer();
+    applyLoudnessNormalization();
+    scheduleSessionSave();
+    
+    // Sessão restaurada: a posição já foi aplicada acima, sem contar uma nova reprodução
+    if (options.resumeAt !== undefined) {
+        return;
+    }
+    
+    // Encerra a escuta anterior e inicia o registro da nova
+    finishListen('changed');
+    startListen(track);
+    
+    // Atualiza histórico (a música volta para o topo se já estiver nele)
+    AppState.playHistory = AppState.playHistory.filter(h => h.id !== track.id);
+    AppState.playHistory.unshift(track);
+    if (AppState.playHistory.length > 50) {
+        AppState.playHistory.pop();
+    }
+    
+    // Incrementa contador de reproduções
+    track.playCount = (track.playCount || 0) + 1;
+    track.lastPlayed = new Date().toISOString();
+    updateMusicInDB(track).catch(error => {
+        console.error('Erro ao salvar estatísticas da música:', error);
+    });
+    // Só reavalia (e redesenha a navegação) se alguma regra depende das reproduções
+    if (smartPlaylistsUseStats()) {
+        scheduleLibraryChanged();
+    }
+}
+
+/**
+ * Descarrega a música atual e volta o player ao estado "nenhuma música"
+ * (rodapé, forma de onda, Tocando agora, letra e teclas de mídia do sistema)
+ */
+function clearCurrentTrack() {
+    finishListen('closed');
+    pause();
+    clearAudioSource(AppState.audio);
+    AppState.currentTrack = null;
+    Object.assign(AppState.waveform, { trackId: null, peaks: null, seekFraction: null, hoverFraction: null });
+
+    document.getElementById('trackName').textContent = 'Nenhuma música selecionada';
+    document.getElementById('trackArtist').textContent = 'Selecione uma música para começar';
+    renderArtwork(document.getElementById('trackArtwork'), null);
+    clearMediaSessionMetadata();
+    updatePlayButton();
+    updateTimeDisplay();
+    renderNowPlayingView();
+    refreshLyricsPanel();
+    updateMusicListHighlight();
+    scheduleSessionSave();
+}
+
+/**
+ * Reproduz a música atual
+ */
+function play() {
+    if (!AppState.currentTrack) return;
+    
+    // O AudioContext só pode ser criado/retomado após um gesto do usuário
+    ensureAudioGraph();
+    
+    // Faixa restaurada da sessão anterior: a escuta começa no primeiro play
+    if (!AppState.currentListen) {
+        startListen(AppState.currentTrack);
+    }
+    
+    // O áudio é lido do IndexedDB sob demanda: espera a fonte antes de tocar
+    // Um pause (ou outro play) nesse meio tempo torna esta chamada obsoleta
+    const element = AppState.audio;
+    const request = ++AppState.playRequest;
+    const isCurrent = () => request === AppState.playRequest && element === AppState.audio;
+    const source = AppState.audioSources.get(element);
+    
+    (source ? source.ready : Promise.resolve())
+        .then(() => (isCurrent() ? element.play().then(() => true) : false))
+        .then(started => {
+            if (!started || !isCurrent()) return;
+            AppState.isPlaying = true;
+            updatePlayButton();
+            scheduleSessionSave();
+        })
+        .catch(error => {
+            console.error('Erro ao reproduzir:', error);
+        });
+}
+
+/**
+ * Pausa a reprodução
+ */
+function pause() {
+    AppState.playRequest++;
+    cancelTransition();
+    clearGaplessTimer();
+    AppState.audio.pause();
+    AppState.isPlaying = false;
+    updatePlayButton();
+    saveSession();
+}
+
+/**
+ * Alterna entre play e pause
+ */
+function togglePlayPause() {
+    if (AppState.isPlaying) {
+        pause();
+    } else {
+        play();
+    }
+}
+
+/**
+ * Reproduz a próxima música da fila
+ * Complexidade: O(1) - Acesso direto ao índice
+ */
+function playNext() {
+    // Músicas adicionadas pelo usuário têm prioridade sobre a fila do contexto
+    if (AppState.upNext.length > 0) {
+        const upNextId = AppState.upNext.shift();
+        const upNextTrack = AppState.musicLibrary.find(t => t.id === upNextId);
+        if (upNextTrack) {
+            loadTrack(upNextTrack);
+            play();
+            return;
+        }
+    }
+    
+    if (AppState.playQueue.length === 0) return;
+    
+    // Usa o índice já escolhido (e talvez pré-carregado) para a próxima faixa
+    advanceQueueTo(AppState.upcomingIndex !== null ? AppState.upcomingIndex : chooseUpcomingQueueIndex());
+    
+    const nextTrackId = AppState.playQueue[AppState.currentQueueIndex];
+    const nextTrack = AppState.musicLibrary.find(t => t.id === nextTrackId);
+    
+    if (nextTrack) {
+        loadTrack(nextTrack);
+        play();
+    }
+}
+
+/**
+ * Reproduz a música anterior da fila
+ * Complexidade: O(1) - Acesso direto ao índice
+ */
+function playPrevious() {
+    // Volta pela pilha do que realmente tocou ("A seguir", rádio e saltos incluídos)
+    if (AppState.playbackStack.length > 0) {
+        const prevTrackId = AppState.playbackStack.pop();
+        const prevTrack = AppState.musicLibrary.find(t => t.id === prevTrackId);
+        if (prevTrack) {
+            // Se a música está na fila, o "Próximo" continua a partir dela
+            const queueIndex = AppState.playQueue.indexOf(prevTrackId);
+            if (queueIndex !== -1) {
+                AppState.currentQueueIndex = queueIndex;
+            }
+            loadTrack(prevTrack, { fromHistory: true });
+            play();
+            return;
+        }
+    }
+    
+    if (AppState.playQueue.length === 0) return;
+    
+    AppState.currentQueueIndex = AppState.currentQueueIndex <= 0 
+        ? AppState.playQueue.length - 1 
+        : AppState.currentQueueIndex - 1;
+    
+    const prevTrackId = AppState.playQueue[AppState.currentQueueIndex];
+    const prevTrack = AppState.musicLibrary.find(t => t.id === prevTrackId);
+    
+    if (prevTrack) {
+        loadTrack(prevTrack);
+        play();
+    }
+}
+
+/**
+ * Define o volume
+ */
+function setVolume(value) {
+    AppState.volume = value / 100;
+    AppState.audio.volume = AppState.volume;
+    AppState.standbyAudio.volume = AppState.volume;
+    updateVolumeIcon();
+    scheduleSessionSave();
+}
+
+/**
+ * Alterna o modo de repetição
+ */
+function toggleRepeat() {
+    const modes = ['off', 'all', 'one'];
+    const currentIndex = modes.indexOf(AppState.repeatMode);
+    AppState.repeatMode = modes[(currentIndex + 1) % modes.length];
+    resetUpcomingTrack();
+    updateRepeatButton();
+    scheduleSessionSave();
+}
+
+/**
+ * Alterna o modo shuffle
+ */
+function toggleShuffle() {
+    AppState.isShuffled = !AppState.isShuffled;
+    if (AppState.isShuffled) {
+        shuffleQueue();
+    } else {
+        unshuffleQueue();
+    }
+    onQueueChanged();
+    updateShuffleButton();
+}
+
+// ============================================
+// FILA DE REPRODUÇÃO
+// ============================================
+
+// Tamanho máximo da pilha de reprodução
+const PLAYBACK_STACK_LIMIT = 100;
+
+// Tipo dos dados arrastados entre linhas da fila (ignora textos e links vindos de fora)
+const QUEUE_DRAG_TYPE = 'application/x-spotfy-queue';
+
+/**
+ * Embaralha uma lista com Fisher–Yates (cada permutação é igualmente provável)
+ * Complexidade: O(n)
+ */
+function fisherYatesShuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Shuffle inteligente: espalha as músicas de cada artista ao longo da fila
+ * Cada artista recebe posições igualmente espaçadas, com deslocamento aleatório
+ * Complexidade: O(n log n) - Ordenação das posições
+ */
+function smartShuffle(trackIds) {
+    const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    const groups = new Map();
+    trackIds.forEach(id => {
+        const track = byId.get(id);
+        const artist = track ? track.artist.toLowerCase() : '';
+        if (!groups.has(artist)) groups.set(artist, []);
+        groups.get(artist).push(id);
+    });
+    
+    const positioned = [];
+    groups.forEach(group => {
+        const spacing = 1 / group.length;
+        const offset = Math.random() * spacing;
+        fisherYatesShuffle(group).forEach((id, i) => {
+            // Pequena variação para que artistas diferentes não fiquem sempre na mesma ordem
+            const jitter = (Math.random() - 0.5) * spacing * 0.2;
+            positioned.push({ id, position: offset + i * spacing + jitter });
+        });
+    });
+    
+    return positioned.sort((a, b) => a.position - b.position).map(item => item.id);
+}
+
+/**
+ * Embaralha uma lista de músicas conforme a configuração (normal ou inteligente)
+ */
+function shuffleTrackIds(trackIds) {
+    return AppState.playbackSettings.smartShuffle ? smartShuffle(trackIds) : fisherYatesShuffle(trackIds);
+}
+
+/**
+ * Ativa o shuffle: guarda a ordem original e embaralha a fila com a música atual na frente
+ * Complexidade: O(n)
+ */
+function shuffleQueue() {
+    AppState.unshuffledQueue = [...AppState.playQueue];
+    
+    const currentIndex = AppState.currentQueueIndex;
+    const rest = AppState.playQueue.filter((_, index) => index !== currentIndex);
+    
+    if (currentIndex >= 0 && currentIndex < AppState.playQueue.length) {
+        AppState.playQueue = [AppState.playQueue[currentIndex], ...shuffleTrackIds(rest)];
+        AppState.currentQueueIndex = 0;
+    } else {
+        AppState.playQueue = shuffleTrackIds(rest);
+        AppState.currentQueueIndex = -1;
+    }
+}
+
+/**
+ * Desativa o shuffle: volta à ordem original, sem as músicas removidas nesse meio tempo
+ * Complexidade: O(n)
+ */
+function unshuffleQueue() {
+    const currentId = AppState.playQueue[AppState.currentQueueIndex];
+    const remaining = new Set(AppState.playQueue);
+    
+    AppState.playQueue = (AppState.unshuffledQueue || AppState.playQueue).filter(id => remaining.has(id));
+    AppState.currentQueueIndex = currentId !== undefined ? AppState.playQueue.indexOf(currentId) : -1;
+    AppState.unshuffledQueue = null;
+}
+
+/**
+ * Fim de um ciclo do shuffle: sorteia a nova ordem das demais músicas, sem alterar a fila
+ * A atual fica na última posição, então o próximo ciclo começa pelo índice 0 sem repeti-la
+ */
+function createShuffleCycle() {
+    const currentIndex = AppState.currentQueueIndex;
+    const current = AppState.playQueue[currentIndex];
+    const rest = AppState.playQueue.filter((_, index) => index !== currentIndex);
+    return [...shuffleTrackIds(rest), current];
+}
+
+/**
+ * Toca a música logo após a atual (início de "A seguir")
+ * Complexidade: O(k) - onde k é o tamanho de "A seguir"
+ */
+function playTrackNext(trackId) {
+    AppState.upNext.unshift(trackId);
+    onQueueChanged();
+}
+
+/**
+ * Adiciona a música ao fim de "A seguir"
+ * Complexidade: O(1)
+ */
+function addTrackToQueue(trackId) {
+    AppState.upNext.push(trackId);
+    onQueueChanged();
+}
+
+/**
+ * Lista editada pela fila: 'upNext' (adicionadas pelo usuário) ou 'context' (playlist/biblioteca)
+ */
+function getQueueList(listName) {
+    return listName === 'upNext' ? AppState.upNext : AppState.playQueue;
+}
+
+/**
+ * Move um item dentro de uma das listas da fila, preservando a música atual
+ * Complexidade: O(n) - Remoção e inserção no array
+ */
+function moveQueueItem(listName, fromIndex, toIndex) {
+    const list = getQueueList(listName);
+    if (fromIndex === toIndex || !list[fromIndex] || toIndex < 0 || toIndex >= list.length) return;
+    
+    const [trackId] = list.splice(fromIndex, 1);
+    list.splice(toIndex, 0, trackId);
+    
+    if (listName === 'context') {
+        const current = AppState.currentQueueIndex;
+        if (fromIndex === current) {
+            AppState.currentQueueIndex = toIndex;
+        } else if (fromIndex < current && toIndex >= current) {
+            AppState.currentQueueIndex--;
+        } else if (fromIndex > current && toIndex <= current) {
+            AppState.currentQueueIndex++;
+        }
+    }
+    
+    onQueueChanged();
+}
+
+/**
+ * Remove um item de uma das listas da fila
+ * Remover a música atual não interrompe a reprodução: a seguinte assume seu lugar
+ * Complexidade: O(n) - Remoção no array
+ */
+function removeQueueItem(listName, index) {
+    const list = getQueueList(listName);
+    if (index < 0 || index >= list.length) return;
+    
+    list.splice(index, 1);
+    if (listName === 'context' && index <= AppState.currentQueueIndex) {
+        AppState.currentQueueIndex--;
+    }
+    
+    onQueueChanged();
+}
+
+/**
+ * Esvazia a fila, mantendo apenas a música que está tocando
+ */
+function clearQueue() {
+    stopTrackRadio();
+    AppState.upNext = [];
+    AppState.playQueue = AppState.currentTrack ? [AppState.currentTrack.id] : [];
+    AppState.currentQueueIndex = AppState.currentTrack ? 0 : -1;
+    onQueueChanged();
+}
+
+/**
+ * Músicas na ordem em que vão tocar: atual, "A seguir" e o restante da fila
+ * Complexidade: O(n)
+ */
+function getQueueTrackIds() {
+    const ids = AppState.currentTrack ? [AppState.currentTrack.id] : [];
+    return [
+        ...ids,
+        ...AppState.upNext,
+        ...AppState.playQueue.slice(AppState.currentQueueIndex + 1)
+    ];
+}
+
+/**
+ * Salva a fila atual como uma nova playlist (sem repetições)
+ * Complexidade: O(n)
+ */
+function saveQueueAsPlaylist(name) {
+    const trackIds = [...new Set(getQueueTrackIds())];
+    if (trackIds.length === 0) return null;
+    
+    const playlist = createPlaylist(name);
+    playlist.tracks = trackIds;
+    savePlaylists();
+    renderPlaylists();
+    return playlist;
+}
+
+/**
+ * Descarta a próxima faixa pré-carregada e atualiza a fila visível
+ */
+function onQueueChanged() {
+    extendRadioQueue();
+    resetUpcomingTrack();
+    refreshQueueView();
+    scheduleSessionSave();
+}
+
+/**
+ * Re-renderiza a fila se o modal estiver aberto
+ */
+function refreshQueueView() {
+    if (document.getElementById('queueModal').classList.contains('active')) {
+        renderQueue();
+    }
+    renderNowPlayingQueue();
+}
+
+// ============================================
+// SESSÃO DE REPRODUÇÃO
+// ============================================
+
+// Intervalo mínimo (ms) entre gravações da sessão no localStorage
+const SESSION_SAVE_INTERVAL = 2000;
+
+/**
+ * Agenda a gravação da sessão, agrupando alterações frequentes (ex.: timeupdate)
+ */
+function scheduleSessionSave() {
+    if (!AppState.playbackSettings.restoreSession || AppState.sessionSaveTimer) return;
+    AppState.sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_INTERVAL);
+}
+
+/**
+ * Grava imediatamente a música, posição, fila, contexto e modos do player
+ * Complexidade: O(n) - Serialização da fila
+ */
+function saveSession() {
+    clearTimeout(AppState.sessionSaveTimer);
+    AppState.sessionSaveTimer = null;
+    if (!AppState.playbackSettings.restoreSession) return;
+    
+    const session = {
+        trackId: AppState.currentTrack ? AppState.currentTrack.id : null,
+        position: AppState.audio.currentTime || 0,
+        playQueue: AppState.playQueue,
+        currentQueueIndex: AppState.currentQueueIndex,
+        upNext: AppState.upNext,
+        unshuffledQueue: AppState.unshuffledQueue,
+        playlistId: AppState.currentPlaylist ? AppState.currentPlaylist.id : null,
+        contextName: AppState.queueContextName,
+        isShuffled: AppState.isShuffled,
+        repeatMode: AppState.repeatMode,
+        volume: AppState.volume,
+        savedAt: new Date().toISOString()
+    };
+    
+    try {
+        localStorage.setItem('spotfy_session', JSON.stringify(session));
+    } catch (error) {
+        console.error('Erro ao salvar sessão:', error);
+    }
+}
+
+/**
+ * Restaura a sessão salva: a música volta pausada na mesma posição
+ * Músicas removidas da biblioteca são descartadas da fila
+ * Complexidade: O(n + q) - onde q é o tamanho da fila salva
+ */
+function restoreSession() {
+    if (!AppState.playbackSettings.restoreSession) return;
+    
+    let session;
+    try {
+        session = JSON.parse(localStorage.getItem('spotfy_session') || 'null');
+    } catch (error) {
+        console.error('Erro ao carregar sessão:', error);
+    }
+    if (!session) return;
+    
+    const libraryIds = new Set(AppState.musicLibrary.map(t => t.id));
+    const savedQueue = Array.isArray(session.playQueue) ? session.playQueue : [];
+    
+    AppState.playQueue = savedQueue.filter(id => libraryIds.has(id));
+    AppState.currentQueueIndex = savedQueue
+        .slice(0, session.currentQueueIndex + 1)
+        .filter(id => libraryIds.has(id)).length - 1;
+    AppState.upNext = (session.upNext || []).filter(id => libraryIds.has(id));
+    AppState.unshuffledQueue = session.isShuffled && Array.isArray(session.unshuffledQueue)
+        ? session.unshuffledQueue.filter(id => libraryIds.has(id))
+        : null;
+    AppState.currentPlaylist = AppState.playlists.find(p => p.id === session.playlistId) || null;
+    AppState.queueContextName = AppState.currentPlaylist ? null : (session.contextName || null);
+    
+    AppState.isShuffled = Boolean(session.isShuffled);
+    AppState.repeatMode = ['off', 'all', 'one'].includes(session.repeatMode) ? session.repeatMode : 'off';
+    if (typeof session.volume === 'number') {
+        AppState.volume = Math.min(1, Math.max(0, session.volume));
+    }
+    updateShuffleButton();
+    updateRepeatButton();
+    updateVolumeIcon();
+    
+    const track = AppState.musicLibrary.find(t => t.id === session.trackId);
+    if (track) {
+        loadTrack(track, { resumeAt: session.position || 0 });
+    }
+}
+
+/**
+ * Liga ou desliga a restauração; ao desligar, a sessão salva é apagada
+ */
+function setSessionRestore(enabled) {
+    updatePlaybackSettings({ restoreSession: enabled });
+    if (enabled) {
+        saveSession();
+    } else {
+        localStorage.removeItem('spotfy_session');
+    }
+}
+
+// ============================================
+// TRANSIÇÕES ENTRE FAIXAS (GAPLESS E CROSSFADE)
+// ============================================
+
+// Antecedência (s) com que a próxima faixa é pré-carregada no elemento reserva
+const PRELOAD_AHEAD_SECONDS = 30;
+
+// Janela (s) antes do fim em que a troca gapless é agendada
+const GAPLESS_ARM_SECONDS = 1;
+
+// Margem (s) para compensar a latência do play() do próximo elemento
+const GAPLESS_LOOKAHEAD = 0.03;
+
+// Limite do crossfade configurável (s)
+const MAX_CROSSFADE_SECONDS = 12;
+
+/**
+ * Carrega as configurações de reprodução (gapless e crossfade)
+ */
+function loadPlaybackSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('spotfy_playback') || 'null');
+        AppState.playbackSettings = { ...AppState.playbackSettings, ...settings };
+    } catch (error) {
+        console.error('Erro ao carregar configurações de reprodução:', error);
+    }
+}
+
+/**
+ * Salva as configurações de reprodução no localStorage
+ */
+function savePlaybackSettings() {
+    localStorage.setItem('spotfy_playback', JSON.stringify(AppState.playbackSettings));
+}
+
+/**
+ * Atualiza as configurações de reprodução e descarta transições já agendadas
+ */
+function updatePlaybackSettings(changes) {
+    AppState.playbackSettings = { ...AppState.playbackSettings, ...changes };
+    savePlaybackSettings();
+    clearGaplessTimer();
+}
+
+/**
+ * Aponta um elemento de áudio para os dados da música, liberando a URL anterior
+ * O áudio é lido do IndexedDB sob demanda; a Promise em AppState.audioSources
+ * resolve quando a fonte está definida
+ * O atraso do encoder (LAME/iTunSMPB) é pulado assim que os metadados carregam
+ * startAt (s) posiciona a faixa no mesmo momento, sem voltar para antes do atraso
+ */
+function setAudioSource(element, track, startAt = 0) {
+    clearAudioSource(element);
+    
+    const source = { trackId: track.id, ready: null };
+    source.ready = getAudioBlob(track.id)
+        .then(blob => {
+            // Outra música foi carregada no elemento enquanto o áudio era lido
+            if (AppState.audioSources.get(element) !== source) return;
+            if (!blob) throw new Error(`Áudio da música ${track.name} não encontrado`);
+            
+            element.src = URL.createObjectURL(blob);
+            // O corte do encoder depende da duração que o decodificador do navegador informa
+            element.addEventListener('loadedmetadata', () => {
+                const startTime = Math.max(getTrackStartOffset(track, element), startAt);
+                if (startTime > 0) {
+                    element.currentTime = startTime;
+                }
+            }, { once: true });
+        })
+        .catch(error => {
+            console.error('Erro ao carregar áudio:', error);
+        });
+    AppState.audioSources.set(element, source);
+    return source.ready;
+}
+
+/**
+ * Esvazia um elemento de áudio e revoga sua URL de objeto
+ */
+function clearAudioSource(element) {
+    AppState.audioSources.delete(element);
+    if (element.src && element.src.startsWith('blob:')) {
+        URL.revokeObjectURL(element.src);
+    }
+    element.removeAttribute('src');
+    element.load();
+}
+
+/**
+ * Indica se o player precisa cortar o silêncio do encoder (LAME/iTunSMPB) nesse elemento
+ * Chromium e Firefox já descartam atraso e preenchimento ao decodificar MP3 e AAC; cortar de
+ * novo comeria o começo da música. Só recebe o ajuste o MP3 cuja duração no elemento coincide
+ * com a contagem de frames do cabeçalho Xing (ou seja, o decodificador não cortou nada)
+ */
+function needsEncoderTrim(track, element) {
+    if (!track.encoderDelay || !track.sampleRate || !track.duration) return false;
+    if (!/mpeg|mp3/i.test(track.fileType || '') || !Number.isFinite(element.duration)) return false;
+
+    const trimmed = (track.encoderDelay + (track.encoderPadding || 0)) / track.sampleRate;
+    return Math.abs(element.duration - track.duration) < trimmed / 2;
+}
+
+/**
+ * Silêncio inicial inserido pelo encoder que o player deve pular, em segundos
+ */
+function getTrackStartOffset(track, element) {
+    return needsEncoderTrim(track, element) ? track.encoderDelay / track.sampleRate : 0;
+}
+
+/**
+ * Instante (s) em que o áudio útil termina, descontando o preenchimento do encoder
+ */
+function getTrackEndTime(track, element) {
+    const padding = needsEncoderTrim(track, element) && track.encoderPadding
+        ? track.encoderPadding / track.sampleRate
+        : 0;
+    return element.duration - padding;
+}
+
+/**
+ * Escolhe e guarda o índice da fila que segue o atual
+ * No modo shuffle a fila já está embaralhada; no fim do ciclo a próxima ordem é sorteada
+ * aqui, mas só substitui a fila quando o novo ciclo começa (advanceQueueTo), para que a
+ * fila aberta não mude no meio da faixa por causa do pré-carregamento
+ * Complexidade: O(1), ou O(n) no fim de um ciclo do shuffle
+ */
+function chooseUpcomingQueueIndex() {
+    const isLast = AppState.currentQueueIndex >= AppState.playQueue.length - 1;
+    AppState.upcomingShuffle = AppState.isShuffled && isLast && AppState.playQueue.length > 1
+        ? createShuffleCycle()
+        : null;
+    AppState.upcomingIndex = (AppState.currentQueueIndex + 1) % AppState.playQueue.length;
+    return AppState.upcomingIndex;
+}
+
+/**
+ * Torna atual um índice escolhido por chooseUpcomingQueueIndex, aplicando o novo ciclo do shuffle
+ */
+function advanceQueueTo(queueIndex) {
+    if (AppState.upcomingShuffle) {
+        AppState.playQueue = AppState.upcomingShuffle;
+        AppState.upcomingShuffle = null;
+        refreshQueueView();
+    }
+    AppState.currentQueueIndex = queueIndex;
+}
+
+/**
+ * Índice da fila que tocará ao fim da faixa atual (null se a faixa se repete)
+ * O resultado fica guardado para que a faixa pré-carregada seja a mesma usada por playNext
+ * (e para que o fim de um ciclo do shuffle seja sorteado uma única vez)
+ */
+function getUpcomingQueueIndex() {
+    if (AppState.playQueue.length === 0 || AppState.repeatMode === 'one') return null;
+    
+    if (AppState.upcomingIndex === null) {
+        chooseUpcomingQueueIndex();
+    }
+    return AppState.upcomingIndex;
+}
+
+/**
+ * Descarta a próxima faixa escolhida (fila, shuffle ou repetição mudaram)
+ */
+function resetUpcomingTrack() {
+    AppState.upcomingIndex = null;
+    AppState.upcomingShuffle = null;
+    cancelPreload();
+    clearGaplessTimer();
+}
+
+/**
+ * Próxima entrada a tocar: o início de "A seguir" ou o próximo índice da fila
+ */
+function getUpcomingEntry() {
+    if (AppState.repeatMode === 'one') return null;
+    
+    if (AppState.upNext.length > 0) {
+        return { trackId: AppState.upNext[0], fromUpNext: true };
+    }
+    
+    const queueIndex = getUpcomingQueueIndex();
+    if (queueIndex === null) return null;
+    const queue = AppState.upcomingShuffle || AppState.playQueue;
+    return { trackId: queue[queueIndex], queueIndex };
+}
+
+/**
+ * Pré-carrega a próxima faixa da fila no elemento reserva
+ */
+function preloadNextTrack() {
+    if (AppState.preloaded || AppState.transition) return;
+    
+    const entry = getUpcomingEntry();
+    if (!entry) return;
+    
+    const track = AppState.musicLibrary.find(t => t.id === entry.trackId);
+    // A mesma faixa não pode ocupar os dois elementos; o evento 'ended' cuida desse caso
+    if (!track || track.id === AppState.currentTrack.id) return;
+    
+    AppState.standbyAudio.preload = 'auto';
+    setAudioSource(AppState.standbyAudio, track);
+    AppState.preloaded = entry;
+}
+
+/**
+ * Libera o elemento reserva se houver uma faixa pré-carregada
+ */
+function cancelPreload() {
+    if (!AppState.preloaded) return;
+    AppState.preloaded = null;
+    clearAudioSource(AppState.standbyAudio);
+}
+
+/**
+ * Duração do crossfade entre duas faixas (0 desativa)
+ * Faixas do mesmo álbum emendam sem fade (álbuns ao vivo, mixagens contínuas)
+ */
+function getCrossfadeDuration(current, next, element) {
+    const seconds = AppState.playbackSettings.crossfade;
+    if (!seconds || !next || !AppState.audioGraph) return 0;
+    
+    if (hasKnownAlbum(current) && hasKnownAlbum(next) && getAlbumKey(current) === getAlbumKey(next)) {
+        return 0;
+    }
+    
+    // O fade nunca ocupa mais da metade da faixa mais curta
+    const shortest = Math.min(element.duration, next.duration || element.duration);
+    return Math.min(seconds, shortest / 2);
+}
+
+/**
+ * Verifica, a cada timeupdate, se é hora de pré-carregar ou de iniciar a transição
+ */
+function checkTrackTransition() {
+    const element = AppState.audio;
+    const track = AppState.currentTrack;
+    if (!track || !AppState.isPlaying || AppState.transition || !element.duration) return;
+    
+    const remaining = getTrackEndTime(track, element) - element.currentTime;
+    if (remaining <= PRELOAD_AHEAD_SECONDS) {
+        preloadNextTrack();
+    }
+    if (!AppState.preloaded) return;
+    
+    const next = AppState.musicLibrary.find(t => t.id === AppState.preloaded.trackId);
+    const fadeSeconds = getCrossfadeDuration(track, next, element);
+    
+    if (fadeSeconds > 0) {
+        if (remaining <= fadeSeconds) {
+            startTransition(fadeSeconds);
+        }
+    } else if (AppState.playbackSettings.gapless && remaining <= GAPLESS_ARM_SECONDS && !AppState.gaplessTimer) {
+        armGaplessSwitch(track, element);
+    }
+}
+
+/**
+ * Agenda a troca gapless a partir do relógio do próprio elemento
+ * O timeupdate dispara a cada ~250ms; o restante é medido no relógio do áudio, que não
+ * sofre o atraso mínimo de 1 s imposto aos timers em abas em segundo plano.
+ * Se o disparo vier adiantado, a troca é reagendada com o tempo que ainda falta
+ */
+function armGaplessSwitch(track, element) {
+    const remaining = getTrackEndTime(track, element) - element.currentTime;
+    if (remaining <= GAPLESS_LOOKAHEAD * 2) {
+        startTransition(0);
+        return;
+    }
+
+    AppState.gaplessTimer = scheduleOnAudioClock(remaining - GAPLESS_LOOKAHEAD, () => {
+        AppState.gaplessTimer = null;
+        if (AppState.currentTrack === track && AppState.audio === element && AppState.isPlaying && !AppState.transition) {
+            armGaplessSwitch(track, element);
+        }
+    });
+}
+
+/**
+ * Executa o callback após alguns segundos medidos no AudioContext (fim de um nó silencioso)
+ * Sem grafo de áudio ativo, usa setTimeout. Retorna a função que cancela o agendamento
+ */
+function scheduleOnAudioClock(seconds, callback) {
+    const graph = AppState.audioGraph;
+    if (!graph || graph.context.state !== 'running' || !graph.context.createConstantSource) {
+        const timer = setTimeout(callback, seconds * 1000);
+        return () => clearTimeout(timer);
+    }
+
+    const context = graph.context;
+    const source = context.createConstantSource();
+    const silence = context.createGain();
+    silence.gain.value = 0;
+    // Nós desconectados podem não ser processados: passa pelo destino com ganho zero
+    source.connect(silence);
+    silence.connect(context.destination);
+    source.onended = () => {
+        silence.disconnect();
+        callback();
+    };
+    source.start();
+    source.stop(context.currentTime + seconds);
+
+    return () => {
+        source.onended = null;
+        source.stop();
+        silence.disconnect();
+    };
+}
+
+/**
+ * Cancela a troca gapless agendada
+ */
+function clearGaplessTimer() {
+    if (AppState.gaplessTimer) {
+        AppState.gaplessTimer();
+        AppState.gaplessTimer = null;
+    }
+}
+
+/**
+ * Passa para a faixa pré-carregada, com crossfade (fadeSeconds > 0) ou emendando (gapless)
+ */
+function startTransition(fadeSeconds) {
+    const preloaded = AppState.preloaded;
+    const next = preloaded && AppState.musicLibrary.find(t => t.id === preloaded.trackId);
+    if (!next) return;
+    
+    const outgoing = AppState.audio;
+    finishListen('ended');
+    if (preloaded.fromUpNext) {
+        AppState.upNext.shift();
+    } else {
+        advanceQueueTo(preloaded.queueIndex);
+    }
+    
+    // O elemento anterior continua tocando: durante o fade ou até o próximo começar
+    loadTrack(next, { keepOutgoing: true });
+    
+    if (fadeSeconds > 0) {
+        fadeBetween(outgoing, AppState.audio, fadeSeconds);
+    } else {
+        AppState.audio.addEventListener('playing', () => {
+            if (outgoing !== AppState.audio) outgoing.pause();
+        }, { once: true });
+    }
+    
+    play();
+}
+
+/**
+ * Crossfade de potência constante (cosseno/seno) entre os dois elementos
+ */
+function fadeBetween(outgoing, incoming, seconds) {
+    const graph = AppState.audioGraph;
+    const steps = 64;
+    const fadeOut = new Float32Array(steps);
+    const fadeIn = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+        const angle = (i / (steps - 1)) * Math.PI / 2;
+        fadeOut[i] = Math.cos(angle);
+        fadeIn[i] = Math.sin(angle);
+    }
+    
+    const now = graph.context.currentTime;
+    const outGain = graph.faders.get(outgoing).gain;
+    const inGain = graph.faders.get(incoming).gain;
+    outGain.cancelScheduledValues(now);
+    inGain.cancelScheduledValues(now);
+    outGain.setValueCurveAtTime(fadeOut, now, seconds);
+    inGain.setValueCurveAtTime(fadeIn, now, seconds);
+    
+    AppState.transition = {
+        outgoing,
+        timer: setTimeout(cancelTransition, seconds * 1000)
+    };
+}
+
+/**
+ * Encerra o crossfade: para o elemento anterior e devolve os ganhos ao normal
+ */
+function cancelTransition() {
+    const transition = AppState.transition;
+    if (!transition) return;
+    
+    clearTimeout(transition.timer);
+    AppState.transition = null;
+    transition.outgoing.pause();
+    
+    AppState.audioGraph.faders.forEach(fader => {
+        fader.gain.cancelScheduledValues(0);
+        fader.gain.value = 1;
+    });
+}
+
+/**
+ * Trata o fim natural da faixa (quando nenhuma transição foi iniciada antes)
+ */
+function handleTrackEnded() {
+    finishListen('ended');
+    
+    if (AppState.repeatMode === 'one') {
+        startListen(AppState.currentTrack);
+        AppState.audio.currentTime = getTrackStartOffset(AppState.currentTrack, AppState.audio);
+        play();
+    } else if (AppState.repeatMode === 'all' || AppState.playQueue.length > 0 || AppState.upNext.length > 0) {
+        playNext();
+    } else {
+        pause();
+    }
+}
+
+/**
+ * Sincroniza o painel de reprodução com as configurações atuais
+ */
+function renderPlaybackSettings() {
+    const { gapless, crossfade, restoreSession, smartShuffle } = AppState.playbackSettings;
+    document.getElementById('gaplessToggle').checked = gapless;
+    document.getElementById('smartShuffleToggle').checked = smartShuffle;
+    document.getElementById('restoreSessionToggle').checked = restoreSession;
+    document.getElementById('crossfadeSlider').value = crossfade;
+    document.getElementById('crossfadeValue').textContent = crossfade > 0 ? `${crossfade} s` : 'Desligado';
+}
+
+/**
+ * Liga os controles do painel de reprodução
+ */
+function setupPlaybackSettingsControls() {
+    document.getElementById('gaplessToggle').addEventListener('change', (e) => {
+        updatePlaybackSettings({ gapless: e.target.checked });
+    });
+    
+    document.getElementById('smartShuffleToggle').addEventListener('change', (e) => {
+        updatePlaybackSettings({ smartShuffle: e.target.checked });
+    });
+    
+    document.getElementById('restoreSessionToggle').addEventListener('change', (e) => {
+        setSessionRestore(e.target.checked);
+    });
+    
+    const crossfadeSlider = document.getElementById('crossfadeSlider');
+    crossfadeSlider.max = MAX_CROSSFADE_SECONDS;
+    crossfadeSlider.addEventListener('input', (e) => {
+        updatePlaybackSettings({ crossfade: Number(e.target.value) });
+        renderPlaybackSettings();
+    });
+    
+    renderPlaybackSettings();
+}
+
+// ============================================
+// EQUALIZADOR E PROCESSAMENTO DE ÁUDIO (WEB AUDIO)
+// ============================================
+
+// Frequências centrais (Hz) das 10 bandas do equalizador
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Limite de ganho (dB) das bandas e do pré-amplificador
+const EQ_MAX_GAIN = 12;
+
+// Presets embutidos: ganho (dB) por banda e pré-amplificação
+const EQ_BUILTIN_PRESETS = {
+    'Flat': { bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], preamp: 0 },
+    'Rock': { bands: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5], preamp: -4 },
+    'Pop': { bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2], preamp: -3 },
+    'Vocal': { bands: [-2, -2, -1, 1, 3, 4, 4, 2, 0, -1], preamp: -3 },
+    'Jazz': { bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3], preamp: -2 },
+    'Clássica': { bands: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4], preamp: -3 },
+    'Eletrônica': { bands: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5], preamp: -4 },
+    'Acústica': { bands: [4, 4, 3, 1, 2, 1, 3, 3, 3, 2], preamp: -3 },
+    'Agudos': { bands: [0, 0, 0, 0, 0, 1, 3, 5, 6, 7], preamp: -5 }
+};
+
+const DEFAULT_EQ_SETTINGS = {
+    enabled: true,
+    preset: 'Flat',
+    bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    preamp: 0,
+    bassBoost: 0,
+    balance: 0,
+    mono: false
+};
+
+/**
+ * Carrega as configurações do equalizador, presets personalizados e atribuições
+ * Complexidade: O(1) - Leitura simples do localStorage
+ */
+function loadEqualizerSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('spotfy_equalizer') || 'null');
+        AppState.equalizer = { ...DEFAULT_EQ_SETTINGS, ...settings };
+        AppState.customEqPresets = JSON.parse(localStorage.getItem('spotfy_eq_presets') || '[]');
+        AppState.eqAssignments = {
+            tracks: {},
+            playlists: {},
+            ...JSON.parse(localStorage.getItem('spotfy_eq_assignments') || '{}')
+        };
+    } catch (error) {
+        console.error('Erro ao carregar equalizador:', error);
+        AppState.equalizer = { ...DEFAULT_EQ_SETTINGS };
+    }
+}
+
+/**
+ * Salva as configurações do equalizador no localStorage
+ */
+function saveEqualizerSettings() {
+    try {
+        localStorage.setItem('spotfy_equalizer', JSON.stringify(AppState.equalizer));
+        localStorage.setItem('spotfy_eq_presets', JSON.stringify(AppState.customEqPresets));
+        localStorage.setItem('spotfy_eq_assignments', JSON.stringify(AppState.eqAssignments));
+    } catch (error) {
+        console.error('Erro ao salvar equalizador:', error);
+    }
+}
+
+/**
+ * Monta o grafo de áudio na primeira reprodução (exige gesto do usuário)
+ * elementos (normalização → crossfade) → entrada → pré-amp → 10 bandas → reforço de graves → mono → balanço → saída
+ * Retorna null se o navegador não suportar a Web Audio API
+ */
+function ensureAudioGraph() {
+    if (AppState.audioGraph) {
+        if (AppState.audioGraph.context.state === 'suspended') {
+            AppState.audioGraph.context.resume();
+        }
+        return AppState.audioGraph;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    try {
+        const context = new AudioContextClass();
+        const input = context.createGain();
+
+        // Cada elemento de áudio tem seu próprio ganho de normalização e de crossfade
+        const normalizers = new Map();
+        const faders = new Map();
+        [AppState.audio, AppState.standbyAudio].forEach(element => {
+            const normalizer = context.createGain();
+            const fader = context.createGain();
+            context.createMediaElementSource(element).connect(normalizer);
+            normalizer.connect(fader);
+            fader.connect(input);
+            normalizers.set(element, normalizer);
+            faders.set(element, fader);
+        });
+
+        const preamp = context.createGain();
+
+        const bands = EQ_FREQUENCIES.map((frequency, index) => {
+            const filter = context.createBiquadFilter();
+            if (index === 0) filter.type = 'lowshelf';
+            else if (index === EQ_FREQUENCIES.length - 1) filter.type = 'highshelf';
+            else filter.type = 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = 1.41;
+            return filter;
+        });
+
+        const bassBoost = context.createBiquadFilter();
+        bassBoost.type = 'lowshelf';
+        bassBoost.frequency.value = 100;
+
+        // Nó de mixagem: com 1 canal explícito, o navegador faz o downmix para mono
+        const downmix = context.createGain();
+        downmix.channelInterpretation = 'speakers';
+
+        const balance = context.createStereoPanner();
+        const output = context.createGain();
+
+        const chain = [input, preamp, ...bands, bassBoost, downmix, balance, output, context.destination];
+        for (let i = 0; i < chain.length - 1; i++) {
+            chain[i].connect(chain[i + 1]);
+        }
+
+        // Derivação da saída para o visualizador (não altera o som)
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 2048;
+        analyser.smoothingTimeConstant = 0.8;
+        output.connect(analyser);
+
+        AppState.audioGraph = { context, normalizers, faders, input, preamp, bands, bassBoost, downmix, balance, output, analyser };
+        applyEqualizer();
+        applyLoudnessNormalization();
+        return AppState.audioGraph;
+    } catch (error) {
+        console.error('Erro ao criar o grafo de áudio:', error);
+        return null;
+    }
+}
+
+/**
+ * Procura um preset embutido ou personalizado pelo nome
+ */
+function findEqPreset(name) {
+    return EQ_BUILTIN_PRESETS[name] || AppState.customEqPresets.find(p => p.name === name) || null;
+}
+
+/**
+ * Retorna o preset atribuído à faixa atual ou, se não houver, à playlist atual
+ */
+function getAssignedEqPreset() {
+    const { tracks, playlists } = AppState.eqAssignments;
+    const track = AppState.currentTrack;
+    const playlist = AppState.currentPlaylist;
+
+    if (track && tracks[track.id] && findEqPreset(tracks[track.id])) {
+        return { name: tracks[track.id], scope: 'track' };
+    }
+    if (playlist && playlists[playlist.id] && findEqPreset(playlists[playlist.id])) {
+        return { name: playlists[playlist.id], scope: 'playlist' };
+    }
+    return null;
+}
+
+/**
+ * Converte decibéis em ganho linear
+ */
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Aplica as configurações atuais (ou o preset atribuído) aos nós do grafo
+ */
+function applyEqualizer() {
+    const graph = AppState.audioGraph;
+    const settings = AppState.equalizer;
+    if (!graph || !settings) return;
+
+    const assigned = getAssignedEqPreset();
+    const curve = assigned ? findEqPreset(assigned.name) : settings;
+    const now = graph.context.currentTime;
+
+    graph.bands.forEach((band, index) => {
+        band.gain.setTargetAtTime(settings.enabled ? curve.bands[index] : 0, now, 0.02);
+    });
+    graph.preamp.gain.setTargetAtTime(settings.enabled ? dbToGain(curve.preamp) : 1, now, 0.02);
+    graph.bassBoost.gain.setTargetAtTime(settings.enabled ? settings.bassBoost : 0, now, 0.02);
+    graph.balance.pan.setTargetAtTime(settings.balance / 100, now, 0.02);
+
+    graph.downmix.channelCountMode = settings.mono ? 'explicit' : 'max';
+    graph.downmix.channelCount = settings.mono ? 1 : 2;
+}
+
+/**
+ * Atualiza uma configuração do equalizador, aplica e salva
+ */
+function updateEqualizer(changes) {
+    Object.assign(AppState.equalizer, changes);
+    applyEqualizer();
+    saveEqualizerSettings();
+}
+
+/**
+ * Seleciona um preset como curva global do equalizador
+ */
+function selectEqPreset(name) {
+    const preset = findEqPreset(name);
+    if (!preset) return;
+
+    updateEqualizer({ preset: name, bands: preset.bands.slice(), preamp: preset.preamp });
+    renderEqualizerPanel();
+}
+
+/**
+ * Salva a curva atual como preset personalizado (substitui se o nome já existir)
+ */
+function saveCustomEqPreset(name) {
+    if (EQ_BUILTIN_PRESETS[name]) {
+        alert(`"${name}" é um preset embutido. Escolha outro nome.`);
+        return;
+    }
+
+    const preset = { name, bands: AppState.equalizer.bands.slice(), preamp: AppState.equalizer.preamp };
+    AppState.customEqPresets = AppState.customEqPresets.filter(p => p.name !== name).concat(preset);
+    updateEqualizer({ preset: name });
+    renderEqualizerPanel();
+}
+
+/**
+ * Exclui um preset personalizado e as atribuições que o usavam
+ */
+function deleteCustomEqPreset(name) {
+    AppState.customEqPresets = AppState.customEqPresets.filter(p => p.name !== name);
+
+    ['tracks', 'playlists'].forEach(scope => {
+        Object.keys(AppState.eqAssignments[scope]).forEach(id => {
+            if (AppState.eqAssignments[scope][id] === name) {
+                delete AppState.eqAssignments[scope][id];
+            }
+        });
+    });
+
+    updateEqualizer({ preset: AppState.equalizer.preset === name ? null : AppState.equalizer.preset });
+    renderEqualizerPanel();
+}
+
+/**
+ * Atribui (ou remove, com name null) um preset à faixa ou playlist atual
+ * scope: 'track' ou 'playlist'
+ */
+function assignEqPreset(scope, name) {
+    const target = scope === 'track' ? AppState.currentTrack : AppState.currentPlaylist;
+    if (!target) return;
+
+    const assignments = AppState.eqAssignments[scope === 'track' ? 'tracks' : 'playlists'];
+    if (name) {
+        assignments[target.id] = name;
+    } else {
+        delete assignments[target.id];
+    }
+
+    applyEqualizer();
+    saveEqualizerSettings();
+    renderEqualizerPanel();
+}
+
+/**
+ * Renderiza o painel do equalizador com os valores atuais
+ */
+function renderEqualizerPanel() {
+    const settings = AppState.equalizer;
+    const assigned = getAssignedEqPreset();
+    const curve = assigned ? findEqPreset(assigned.name) : settings;
+
+    document.getElementById('eqEnabled').checked = settings.enabled;
+    document.getElementById('eqMono').checked = settings.mono;
+    document.getElementById('eqPreamp').value = curve.preamp;
+    document.getElementById('eqBassBoost').value = settings.bassBoost;
+    document.getElementById('eqBalance').value = settings.balance;
+
+    // Lista de presets (embutidos + personalizados)
+    const select = document.getElementById('eqPresetSelect');
+    select.innerHTML = '';
+    const names = Object.keys(EQ_BUILTIN_PRESETS).concat(AppState.customEqPresets.map(p => p.name));
+    if (!settings.preset) {
+        names.unshift('');
+    }
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name || 'Personalizado';
+        select.appendChild(option);
+    });
+    select.value = assigned ? assigned.name : (settings.preset || '');
+
+    // Sliders das bandas
+    const container = document.getElementById('eqBands');
+    container.innerHTML = '';
+    EQ_FREQUENCIES.forEach((frequency, index) => {
+        const band = document.createElement('label');
+        band.className = 'eq-band';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'eq-band-slider';
+        slider.min = -EQ_MAX_GAIN;
+        slider.max = EQ_MAX_GAIN;
+        slider.step = 0.5;
+        slider.value = curve.bands[index];
+        slider.disabled = Boolean(assigned);
+        slider.addEventListener('input', () => {
+            const bands = settings.bands.slice();
+            bands[index] = parseFloat(slider.value);
+            updateEqualizer({ bands, preset: null });
+            select.value = '';
+        });
+
+        const label = document.createElement('span');
+        label.textContent = frequency >= 1000 ? `${frequency / 1000}k` : frequency;
+
+        band.appendChild(slider);
+        band.appendChild(label);
+        container.appendChild(band);
+    });
+
+    document.getElementById('eqPreamp').disabled = Boolean(assigned);
+    select.disabled = Boolean(assigned);
+
+    // Informação sobre atribuição por faixa/playlist
+    const info = document.getElementById('eqAssignmentInfo');
+    info.textContent = assigned
+        ? `Preset "${assigned.name}" aplicado por ${assigned.scope === 'track' ? 'esta faixa' : 'esta playlist'}.`
+        : '';
+    document.getElementById('eqAssignTrackBtn').disabled = !AppState.currentTrack;
+    document.getElementById('eqAssignPlaylistBtn').disabled = !AppState.currentPlaylist;
+    document.getElementById('eqUnassignBtn').style.display = assigned ? '' : 'none';
+    document.getElementById('eqDeletePresetBtn').disabled = !AppState.customEqPresets.some(p => p.name === settings.preset);
+}
+
+/**
+ * Configura os controles do painel do equalizador
+ */
+function setupEqualizerControls() {
+    document.getElementById('eqBtn').addEventListener('click', () => {
+        renderEqualizerPanel();
+        document.getElementById('eqModal').classList.add('active');
+    });
+
+    document.getElementById('eqModalClose').addEventListener('click', () => {
+        document.getElementById('eqModal').classList.remove('active');
+    });
+
+    document.getElementById('eqEnabled').addEventListener('change', (e) => {
+        updateEqualizer({ enabled: e.target.checked });
+    });
+
+    document.getElementById('eqMono').addEventListener('change', (e) => {
+        updateEqualizer({ mono: e.target.checked });
+    });
+
+    document.getElementById('eqPreamp').addEventListener('input', (e) => {
+        updateEqualizer({ preamp: parseFloat(e.target.value), preset: null });
+        document.getElementById('eqPresetSelect').value = '';
+    });
+
+    document.getElementById('eqBassBoost').addEventListener('input', (e) => {
+        updateEqualizer({ bassBoost: parseFloat(e.target.value) });
+    });
+
+    document.getElementById('eqBalance').addEventListener('input', (e) => {
+        updateEqualizer({ balance: parseFloat(e.target.value) });
+    });
+
+    document.getElementById('eqPresetSelect').addEventListener('change', (e) => {
+        if (e.target.value) {
+            selectEqPreset(e.target.value);
+        }
+    });
+
+    document.getElementById('eqSavePresetBtn').addEventListener('click', () => {
+        const name = prompt('Nome do preset:', AppState.equalizer.preset || '');
+        if (name && name.trim()) {
+            saveCustomEqPreset(name.trim());
+        }
+    });
+
+    document.getElementById('eqDeletePresetBtn').addEventListener('click', () => {
+        const name = AppState.equalizer.preset;
+        if (name && confirm(`Excluir o preset "${name}"?`)) {
+            deleteCustomEqPreset(name);
+        }
+    });
+
+    document.getElementById('eqAssignTrackBtn').addEventListener('click', () => {
+        const name = document.getElementById('eqPresetSelect').value || AppState.equalizer.preset;
+        if (name) assignEqPreset('track', name);
+        else alert('Salve a curva atual como preset antes de atribuí-la.');
+    });
+
+    document.getElementById('eqAssignPlaylistBtn').addEventListener('click', () => {
+        const name = document.getElementById('eqPresetSelect').value || AppState.equalizer.preset;
+        if (name) assignEqPreset('playlist', name);
+        else alert('Salve a curva atual como preset antes de atribuí-la.');
+    });
+
+    document.getElementById('eqUnassignBtn').addEventListener('click', () => {
+        const assigned = getAssignedEqPreset();
+        if (assigned) assignEqPreset(assigned.scope, null);
+    });
+
+    document.getElementById('eqResetBtn').addEventListener('click', () => {
+        updateEqualizer({ bassBoost: 0, balance: 0, mono: false });
+        selectEqPreset('Flat');
+    });
+}
+
+// ============================================
+// NORMALIZAÇÃO DE VOLUME (REPLAYGAIN / EBU R128)
+// ============================================
+
+// Referências das tags de ganho (LUFS)
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+const R128_REFERENCE_LUFS = -23;
+
+// Pico máximo (dBTP) permitido pela proteção contra clipping
+const LOUDNESS_PEAK_CEILING = -1;
+
+// Portas da medição de sonoridade integrada (ITU-R BS.1770)
+const LOUDNESS_ABSOLUTE_GATE = -70;
+const LOUDNESS_RELATIVE_GATE = -10;
+
+// Fator de sobreamostragem e meia largura (amostras) do filtro de pico real
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_TAPS = 8;
+
+// Taxa usada para decodificar o áudio na medição de sonoridade
+const LOUDNESS_SAMPLE_RATE = 44100;
+
+/**
+ * Carrega as configurações de normalização do localStorage
+ */
+function loadLoudnessSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem('spotfy_loudness') || 'null');
+        AppState.loudnessSettings = { ...AppState.loudnessSettings, ...settings };
+    } catch (error) {
+        console.error('Erro ao carregar normalização de volume:', error);
+    }
+}
+
+/**
+ * Atualiza e salva as configurações de normalização, aplicando-as à faixa atual
+ */
+function updateLoudnessSettings(changes) {
+    AppState.loudnessSettings = { ...AppState.loudnessSettings, ...changes };
+    localStorage.setItem('spotfy_loudness', JSON.stringify(AppState.loudnessSettings));
+    applyLoudnessNormalization();
+}
+
+/**
+ * Sonoridade integrada (LUFS) de um sinal já filtrado com a ponderação K
+ * Blocos de 400ms com 75% de sobreposição, porta absoluta e relativa
+ * Complexidade: O(n) - onde n é o número de amostras
+ */
+function computeIntegratedLoudness(weighted) {
+    const step = Math.round(weighted.sampleRate * 0.1);
+    const stepCount = Math.floor(weighted.length / step);
+    const channels = Array.from({ length: weighted.numberOfChannels }, (_, i) => weighted.getChannelData(i));
+
+    // Energia de cada trecho de 100ms, somada entre os canais
+    const energies = new Float64Array(stepCount);
+    channels.forEach(samples => {
+        for (let i = 0; i < stepCount; i++) {
+            let sum = 0;
+            for (let j = i * step, end = j + step; j < end; j++) {
+                sum += samples[j] * samples[j];
+            }
+            energies[i] += sum;
+        }
+    });
+
+    const blocks = [];
+    for (let i = 0; i + 4 <= stepCount; i++) {
+        blocks.push((energies[i] + energies[i + 1] + energies[i + 2] + energies[i + 3]) / (step * 4));
+    }
+
+    const toLoudness = power => -0.691 + 10 * Math.log10(power);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const audible = blocks.filter(power => toLoudness(power) > LOUDNESS_ABSOLUTE_GATE);
+    if (audible.length === 0) return null;
+
+    const relativeGate = toLoudness(mean(audible)) + LOUDNESS_RELATIVE_GATE;
+    const gated = audible.filter(power => toLoudness(power) > relativeGate);
+    return toLoudness(mean(gated));
+}
+
+/**
+ * Pico real (dBTP) estimado com interpolação sinc janelada (sobreamostragem 4x)
+ * Só os trechos próximos do pico amostral são interpolados
+ * Complexidade: O(n) - onde n é o número de amostras
+ */
+function computeTruePeak(buffer) {
+    // Coeficientes de cada fase intermediária: sinc(t) com janela de Hann
+    const phases = [];
+    for (let phase = 1; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+        const fraction = phase / TRUE_PEAK_OVERSAMPLING;
+        const coefficients = [];
+        for (let k = 1 - TRUE_PEAK_TAPS; k <= TRUE_PEAK_TAPS; k++) {
+            const t = fraction - k;
+            const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+            coefficients.push(sinc * 0.5 * (1 + Math.cos(Math.PI * t / TRUE_PEAK_TAPS)));
+        }
+        phases.push(coefficients);
+    }
+
+    let peak = 0;
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const samples = buffer.getChannelData(channel);
+        let samplePeak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            samplePeak = Math.max(samplePeak, Math.abs(samples[i]));
+        }
+        peak = Math.max(peak, samplePeak);
+
+        // Picos entre amostras só superam o pico amostral perto de amostras altas
+        const threshold = samplePeak / 2;
+        for (let i = TRUE_PEAK_TAPS; i < samples.length - TRUE_PEAK_TAPS; i++) {
+            if (Math.abs(samples[i]) < threshold && Math.abs(samples[i + 1]) < threshold) continue;
+            phases.forEach(coefficients => {
+                let value = 0;
+                for (let k = 0; k < coefficients.length; k++) {
+                    value += samples[i + 1 - TRUE_PEAK_TAPS + k] * coefficients[k];
+                }
+                peak = Math.max(peak, Math.abs(value));
+            });
+        }
+    }
+
+    return peak > 0 ? 20 * Math.log10(peak) : null;
+}
+
+/**
+ * Expõe canais soltos (Float32Array) com a interface de AudioBuffer usada nas medições
+ */
+function toChannelBuffer(channels, sampleRate) {
+    return {
+        numberOfChannels: channels.length,
+        length: channels.length > 0 ? channels[0].length : 0,
+        sampleRate,
+        getChannelData: index => channels[index]
+    };
+}
+
+/**
+ * Código do worker de sonoridade: as mesmas funções de medição, fora da thread da interface
+ * (a sobreamostragem do pico real leva segundos em faixas muito comprimidas)
+ */
+function createLoudnessWorkerSource() {
+    return [
+        `const LOUDNESS_ABSOLUTE_GATE = ${LOUDNESS_ABSOLUTE_GATE};`,
+        `const LOUDNESS_RELATIVE_GATE = ${LOUDNESS_RELATIVE_GATE};`,
+        `const TRUE_PEAK_OVERSAMPLING = ${TRUE_PEAK_OVERSAMPLING};`,
+        `const TRUE_PEAK_TAPS = ${TRUE_PEAK_TAPS};`,
+        toChannelBuffer.toString(),
+        computeIntegratedLoudness.toString(),
+        computeTruePeak.toString(),
+        `self.onmessage = ({ data }) => {
+            self.postMessage({
+                id: data.id,
+                loudness: computeIntegratedLoudness(toChannelBuffer(data.weighted, data.sampleRate)),
+                truePeak: computeTruePeak(toChannelBuffer(data.samples, data.sampleRate))
+            });
+        };`
+    ].join('\n');
+}
+
+/**
+ * Worker de sonoridade, criado na primeira medição e reaproveitado
+ * Retorna null se o navegador não oferecer workers (a medição roda na thread principal)
+ */
+function getLoudnessWorker() {
+    if (AppState.loudnessWorker === null) {
+        try {
+            const source = new Blob([createLoudnessWorkerSource()], { type: 'text/javascript' });
+            const state = { worker: new Worker(URL.createObjectURL(source)), pending: new Map(), nextId: 0 };
+
+            state.worker.onmessage = ({ data }) => {
+                const request = state.pending.get(data.id);
+                state.pending.delete(data.id);
+                if (request) request.resolve(data);
+            };
+            // Worker bloqueado ou com erro: as medições pendentes falham e as próximas rodam aqui
+            state.worker.onerror = (event) => {
+                state.pending.forEach(request => request.reject(new Error(event.message || 'Erro no worker de sonoridade')));
+                state.pending.clear();
+                state.worker.terminate();
+                AppState.loudnessWorker = false;
+            };
+            AppState.loudnessWorker = state;
+        } catch (error) {
+            console.warn('Worker de sonoridade indisponível:', error);
+            AppState.loudnessWorker = false;
+        }
+    }
+    return AppState.loudnessWorker || null;
+}
+
+/**
+ * Calcula sonoridade integrada e pico real no worker (ou aqui, sem suporte a workers)
+ * Os canais são copiados: o áudio decodificado continua em uso pelas outras análises
+ */
+function computeLoudnessMeasurements(weighted, decoded) {
+    const state = getLoudnessWorker();
+    if (!state) {
+        return Promise.resolve({ loudness: computeIntegratedLoudness(weighted), truePeak: computeTruePeak(decoded) });
+    }
+
+    const copyChannels = buffer => Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i).slice());
+    const weightedChannels = copyChannels(weighted);
+    const samples = copyChannels(decoded);
+    const id = state.nextId++;
+
+    return new Promise((resolve, reject) => {
+        state.pending.set(id, { resolve, reject });
+        state.worker.postMessage(
+            { id, weighted: weightedChannels, samples, sampleRate: decoded.sampleRate },
+            [...weightedChannels, ...samples].map(channel => channel.buffer)
+        );
+    });
+}
+
+/**
+ * Mede sonoridade integrada e pico real do áudio decodificado em um OfflineAudioContext
+ */
+async function analyzeLoudness(decoded) {
+    const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+    // Ponderação K (BS.1770): shelving de +4 dB nos agudos e passa-altas RLB
+    const context = new OfflineContextClass(decoded.numberOfChannels, decoded.length, decoded.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = decoded;
+
+    const shelf = context.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681;
+    shelf.gain.value = 4;
+
+    const highpass = context.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 38;
+    highpass.Q.value = 0.5;
+
+    source.connect(shelf);
+    shelf.connect(highpass);
+    highpass.connect(context.destination);
+    source.start();
+
+    const weighted = await context.startRendering();
+    const { loudness, truePeak } = await computeLoudnessMeasurements(weighted, decoded);
+    return { loudness, truePeak };
+}
+
+/**
+ * Mede uma faixa e devolve os campos de sonoridade a gravar no registro
+ * decoding: Promise de decodeAudioForAnalysis (decodifica o ArrayBuffer se omitida)
+ * Falhas de decodificação marcam a faixa como analisada, sem valores
+ */
+async function measureTrackLoudness(audioData, decoding = decodeAudioForAnalysis(audioData, LOUDNESS_SAMPLE_RATE)) {
+    try {
+        const decoded = await decoding;
+        if (!decoded) return {};
+        const result = await analyzeLoudness(decoded);
+        return { loudness: result.loudness, truePeak: result.truePeak, loudnessSource: 'analysis' };
+    } catch (error) {
+        console.warn('Não foi possível medir a sonoridade:', error);
+        return { loudness: null, truePeak: null, loudnessSource: 'analysis' };
+    }
+}
+
+/**
+ * Sonoridade e pico do álbum: das tags, ou a média de energia das faixas medidas
+ * Complexidade: O(n) - Busca linear na biblioteca
+ */
+function getAlbumLoudness(track) {
+    if (track.albumLoudness != null) {
+        return { loudness: track.albumLoudness, peak: track.albumPeak ?? track.truePeak };
+    }
+    if (!hasKnownAlbum(track)) {
+        return { loudness: track.loudness, peak: track.truePeak };
+    }
+
+    const albumKey = getAlbumKey(track);
+    let energy = 0;
+    let weight = 0;
+    let peak = null;
+
+    AppState.musicLibrary.forEach(t => {
+        if (t.loudness == null || getAlbumKey(t) !== albumKey) return;
+        const duration = t.duration || 1;
+        energy += duration * Math.pow(10, t.loudness / 10);
+        weight += duration;
+        if (t.truePeak != null) {
+            peak = peak === null ? t.truePeak : Math.max(peak, t.truePeak);
+        }
+    });
+
+    if (weight === 0) {
+        return { loudness: track.loudness, peak: track.truePeak };
+    }
+    return { loudness: 10 * Math.log10(energy / weight), peak };
+}
+
+/**
+ * Ganho (dB) que leva a faixa ao nível-alvo, limitado pelo pico real se configurado
+ */
+function getNormalizationGain(track) {
+    const settings = AppState.loudnessSettings;
+    if (!track || settings.mode === 'off') return 0;
+
+    const reference = settings.mode === 'album'
+        ? getAlbumLoudness(track)
+        : { loudness: track.loudness, peak: track.truePeak };
+    if (reference.loudness == null) return 0;
+
+    let gain = settings.target - reference.loudness;
+    if (settings.preventClipping && reference.peak != null) {
+        gain = Math.min(gain, LOUDNESS_PEAK_CEILING - reference.peak);
+    }
+    return gain;
+}
+
+/**
+ * Aplica o ganho de normalização da faixa atual ao elemento que está tocando
+ */
+function applyLoudnessNormalization() {
+    const graph = AppState.audioGraph;
+    if (!graph) return;
+
+    graph.normalizers.get(AppState.audio).gain.value = dbToGain(getNormalizationGain(AppState.currentTrack));
+}
+
+/**
+ * Mede as músicas importadas antes da normalização existir (sem sonoridade registrada)
+ * Complexidade: O(n·m) - onde m é o número de amostras de cada faixa
+ */
+async function analyzeLibraryLoudness(onProgress = () => {}) {
+    const pending = AppState.musicLibrary.filter(t => !t.loudnessSource);
+
+    for (let i = 0; i < pending.length; i++) {
+        const track = pending[i];
+        onProgress(i, pending.length, track);
+        Object.assign(track, await measureTrackLoudness(await getTrackAudioData(track)));
+        if (track.loudnessSource) {
+            await updateMusicInDB(track);
+        }
+    }
+
+    onProgress(pending.length, pending.length, null);
+    applyLoudnessNormalization();
+    return pending.length;
+}
+
+/**
+ * Sincroniza o painel de normalização com as configurações e a biblioteca
+ */
+function renderLoudnessSettings() {
+    const { mode, target, preventClipping } = AppState.loudnessSettings;
+    document.getElementById('normalizationMode').value = mode;
+    document.getElementById('loudnessTarget').value = target;
+    document.getElementById('loudnessTargetValue').textContent = `${target} LUFS`;
+    document.getElementById('preventClippingToggle').checked = preventClipping;
+
+    if (!AppState.loudnessAnalysisRunning) {
+        const pending = AppState.musicLibrary.filter(t => !t.loudnessSource).length;
+        document.getElementById('loudnessAnalysisStatus').textContent = pending > 0
+            ? `${pending} música(s) sem medição de volume`
+            : 'Todas as músicas já foram medidas';
+        document.getElementById('analyzeLoudnessBtn').disabled = pending === 0;
+    }
+}
+
+/**
+ * Analisa a biblioteca a partir do painel, mostrando o progresso
+ */
+async function handleAnalyzeLoudness() {
+    if (AppState.loudnessAnalysisRunning) return;
+
+    const status = document.getElementById('loudnessAnalysisStatus');
+    const button = document.getElementById('analyzeLoudnessBtn');
+    AppState.loudnessAnalysisRunning = true;
+    button.disabled = true;
+
+    try {
+        const count = await analyzeLibraryLoudness((done, total, track) => {
+            if (track) {
+                status.textContent = `Analisando ${done + 1}/${total}: ${track.name}`;
+            }
+        });
+        alert(`${count} música(s) analisada(s).`);
+    } catch (error) {
+        console.error('Erro ao analisar a biblioteca:', error);
+        alert('Erro ao analisar a biblioteca.');
+    } finally {
+        AppState.loudnessAnalysisRunning = false;
+        renderLoudnessSettings();
+    }
+}
+
+/**
+ * Liga os controles do painel de normalização
+ */
+function setupLoudnessControls() {
+    document.getElementById('normalizationMode').addEventListener('change', (e) => {
+        updateLoudnessSettings({ mode: e.target.value });
+    });
+
+    document.getElementById('loudnessTarget').addEventListener('input', (e) => {
+        updateLoudnessSettings({ target: Number(e.target.value) });
+        renderLoudnessSettings();
+    });
+
+    document.getElementById('preventClippingToggle').addEventListener('change', (e) => {
+        updateLoudnessSettings({ preventClipping: e.target.checked });
+    });
+
+    document.getElementById('analyzeLoudnessBtn').addEventListener('click', handleAnalyzeLoudness);
+    document.getElementById('analyzeFeaturesBtn').addEventListener('click', handleAnalyzeFeatures);
+
+    renderLoudnessSettings();
+    renderFeatureAnalysisSettings();
+}
+
+// ============================================
+// ANÁLISE MUSICAL (BPM, TOM E ENERGIA)
+// ============================================
+
+// Taxa de amostragem usada na análise (o áudio é reamostrado se vier em outra taxa)
+const FEATURE_SAMPLE_RATE = 22050;
+
+// Só o trecho central da música é analisado (segundos)
+const FEATURE_MAX_SECONDS = 90;
+
+// Janela da curva de ataques (amostras) e faixa de andamentos considerada
+const ONSET_HOP = 256;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Tamanho da FFT do cromagrama e faixa de frequências usada (Hz)
+const CHROMA_FFT_SIZE = 4096;
+const CHROMA_MIN_FREQUENCY = 110;
+const CHROMA_MAX_FREQUENCY = 3520;
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Perfis de tonalidade de Krumhansl-Kessler (a partir da tônica)
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Limita um valor ao intervalo [0, 1]
+ */
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Mistura os canais do trecho central da música em um único canal
+ * Complexidade: O(n·c) - amostras do trecho vezes canais
+ */
+function getAnalysisSamples(buffer) {
+    const length = Math.min(buffer.length, FEATURE_MAX_SECONDS * buffer.sampleRate);
+    const start = Math.floor((buffer.length - length) / 2);
+    const samples = new Float32Array(length);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            samples[i] += data[start + i] / buffer.numberOfChannels;
+        }
+    }
+    return samples;
+}
+
+/**
+ * Curva de ataques: aumento de energia (em escala logarítmica) de uma janela para a
+ * seguinte, sobre o sinal diferenciado (realça transientes), menos a média local
+ * Complexidade: O(n)
+ */
+function computeOnsetEnvelope(samples) {
+    const frameCount = Math.floor(samples.length / ONSET_HOP);
+    const energies = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+        let energy = 0;
+        for (let i = frame * ONSET_HOP; i < (frame + 1) * ONSET_HOP; i++) {
+            const diff = samples[i] - (i > 0 ? samples[i - 1] : 0);
+            energy += diff * diff;
+        }
+        energies[frame] = Math.log(1e-6 + energy / ONSET_HOP);
+    }
+
+    const flux = new Float32Array(frameCount);
+    for (let frame = 1; frame < frameCount; frame++) {
+        flux[frame] = Math.max(0, energies[frame] - energies[frame - 1]);
+    }
+
+    // Remove a média móvel para que só os picos relativos contem
+    const radius = 8;
+    const envelope = new Float32Array(frameCount);
+    let sum = 0;
+    for (let i = 0; i < Math.min(frameCount, radius); i++) sum += flux[i];
+    for (let frame = 0; frame < frameCount; frame++) {
+        if (frame + radius < frameCount) sum += flux[frame + radius];
+        if (frame - radius - 1 >= 0) sum -= flux[frame - radius - 1];
+        const count = Math.min(frameCount, frame + radius + 1) - Math.max(0, frame - radius);
+        envelope[frame] = Math.max(0, flux[frame] - sum / count);
+    }
+    return envelope;
+}
+
+/**
+ * Estima o andamento pela autocorrelação da curva de ataques
+ * Cada período é reforçado pelo dobro dele e ponderado por uma preferência em torno
+ * de 120 BPM, o que reduz erros de metade/dobro do andamento
+ * Retorna { bpm, regularity } (regularidade: força da pulsação, 0 a 1)
+ * Complexidade: O(f·l) - janelas vezes períodos testados
+ */
+function estimateTempo(envelope, frameRate) {
+    const minLag = Math.floor((60 * frameRate) / MAX_BPM);
+    const maxLag = Math.ceil((60 * frameRate) / MIN_BPM);
+    if (envelope.length < maxLag * 4) return null;
+
+    const autocorrelation = (lag) => {
+        let sum = 0;
+        for (let i = 0; i + lag < envelope.length; i++) {
+            sum += envelope[i] * envelope[i + lag];
+        }
+        return sum / (envelope.length - lag);
+    };
+
+    const energy = autocorrelation(0);
+    if (energy <= 0) return null;
+
+    const scores = new Map();
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = (60 * frameRate) / lag;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+        const score = (autocorrelation(lag) + 0.5 * autocorrelation(lag * 2)) * prior;
+        scores.set(lag, score);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+    if (bestLag === -1) return null;
+
+    // Interpolação parabólica para um período fracionário
+    let lag = bestLag;
+    const before = scores.get(bestLag - 1);
+    const after = scores.get(bestLag + 1);
+    if (before !== undefined && after !== undefined) {
+        const denominator = before - 2 * bestScore + after;
+        if (denominator < 0) {
+            lag += 0.5 * (before - after) / denominator;
+        }
+    }
+
+    return {
+        bpm: Math.round((600 * frameRate) / lag) / 10,
+        regularity: clamp01(autocorrelation(bestLag) / energy)
+    };
+}
+
+/**
+ * FFT radix-2 in-place (re e im com tamanho potência de 2)
+ * Complexidade: O(N log N)
+ */
+function computeFFT(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+            }
+        }
+    }
+}
+
+/**
+ * Cromagrama: energia acumulada em cada uma das 12 classes de altura (C = 0)
+ * Complexidade: O(j·N log N) - onde j é o número de janelas analisadas
+ */
+function computeChroma(samples, sampleRate) {
+    const size = CHROMA_FFT_SIZE;
+    const chroma = new Array(12).fill(0);
+
+    // Classe de altura de cada bin dentro da faixa analisada
+    const binClasses = [];
+    for (let bin = 1; bin < size / 2; bin++) {
+        const frequency = (bin * sampleRate) / size;
+        if (frequency < CHROMA_MIN_FREQUENCY || frequency > CHROMA_MAX_FREQUENCY) continue;
+        const midi = Math.round(12 * Math.log2(frequency / 440) + 69);
+        binClasses.push([bin, midi % 12]);
+    }
+
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+    }
+
+    // Janelas espaçadas (a tonalidade muda pouco ao longo da música)
+    const re = new Float32Array(size);
+    const im = new Float32Array(size);
+    for (let start = 0; start + size <= samples.length; start += size * 2) {
+        for (let i = 0; i < size; i++) {
+            re[i] = samples[start + i] * window[i];
+            im[i] = 0;
+        }
+        computeFFT(re, im);
+        binClasses.forEach(([bin, pitchClass]) => {
+            chroma[pitchClass] += Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+        });
+    }
+    return chroma;
+}
+
+/**
+ * Correlação de Pearson entre dois vetores do mesmo tamanho
+ */
+function correlate(a, b) {
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let numerator = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+        numerator += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA && varianceB ? numerator / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+/**
+ * Código da roda de Camelot ("8A" = Lá menor, "8B" = Dó maior)
+ * Tons vizinhos na roda combinam harmonicamente
+ */
+function getCamelotCode(tonic, mode) {
+    // Menores usam o número da relativa maior (três semitons acima)
+    const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+    const number = ((majorTonic * 7) % 12 + 7) % 12 + 1;
+    return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+}
+
+/**
+ * Estima a tonalidade comparando o cromagrama com os perfis maior e menor nas 12 tônicas
+ * Retorna { key: "Am", camelot: "8A" } ou null se o trecho não tiver conteúdo tonal
+ */
+function estimateKey(chroma) {
+    if (chroma.every(value => value === 0)) return null;
+
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+        // Perfil girado para que o índice seja a classe de altura
+        const rotate = profile => chroma.map((_, pitchClass) => profile[(pitchClass - tonic + 12) % 12]);
+        [['major', MAJOR_KEY_PROFILE], ['minor', MINOR_KEY_PROFILE]].forEach(([mode, profile]) => {
+            const score = correlate(chroma, rotate(profile));
+            if (!best || score > best.score) {
+                best = { tonic, mode, score };
+            }
+        });
+    }
+
+    return {
+        key: PITCH_CLASS_NAMES[best.tonic] + (best.mode === 'minor' ? 'm' : ''),
+        camelot: getCamelotCode(best.tonic, best.mode)
+    };
+}
+
+/**
+ * Energia (0-100): volume médio e densidade de ataques do trecho
+ */
+function estimateEnergy(samples, envelope, frameRate) {
+    let power = 0;
+    for (let i = 0; i < samples.length; i++) {
+        power += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(power / Math.max(1, samples.length));
+    // -30 dBFS ou menos = calmo, -6 dBFS = máximo
+    const loudness = clamp01((20 * Math.log10(rms + 1e-9) + 30) / 24);
+
+    // Ataques por segundo: janelas acima de média + desvio padrão
+    const mean = envelope.reduce((sum, value) => sum + value, 0) / Math.max(1, envelope.length);
+    const deviation = Math.sqrt(envelope.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, envelope.length));
+    const onsets = envelope.filter(value => value > mean + deviation).length;
+    const density = clamp01(onsets / (envelope.length / frameRate) / 8);
+
+    return Math.round((0.7 * loudness + 0.3 * density) * 100);
+}
+
+/**
+ * Estima andamento, tonalidade, energia e dançabilidade do áudio decodificado
+ */
+async function analyzeMusicFeatures(buffer) {
+    const decoded = await resampleAudioBuffer(buffer, FEATURE_SAMPLE_RATE);
+    const samples = getAnalysisSamples(decoded);
+    const frameRate = decoded.sampleRate / ONSET_HOP;
+
+    const envelope = computeOnsetEnvelope(samples);
+    const tempo = estimateTempo(envelope, frameRate);
+    const key = estimateKey(computeChroma(samples, decoded.sampleRate));
+
+    // Dançabilidade: pulsação regular, com preferência por andamentos entre 90 e 130 BPM
+    const danceability = tempo
+        ? Math.round(clamp01(tempo.regularity * 2) * (0.6 + 0.4 * Math.exp(-0.5 * Math.pow(Math.log2(tempo.bpm / 110) / 0.4, 2))) * 100)
+        : null;
+
+    return {
+        bpm: tempo ? tempo.bpm : null,
+        musicalKey: key ? key.key : null,
+        camelot: key ? key.camelot : null,
+        energy: estimateEnergy(samples, envelope, frameRate),
+        danceability
+    };
+}
+
+/**
+ * Analisa uma faixa e devolve os campos musicais a gravar no registro
+ * decoding: Promise de decodeAudioForAnalysis (decodifica o ArrayBuffer se omitida)
+ * Falhas de decodificação marcam a faixa como analisada, sem valores
+ */
+async function measureTrackFeatures(audioData, decoding = decodeAudioForAnalysis(audioData, FEATURE_SAMPLE_RATE)) {
+    try {
+        const decoded = await decoding;
+        if (!decoded) return {};
+        const result = await analyzeMusicFeatures(decoded);
+        return { ...result, featuresSource: 'analysis' };
+    } catch (error) {
+        console.warn('Não foi possível analisar a música:', error);
+        return { bpm: null, musicalKey: null, camelot: null, energy: null, danceability: null, featuresSource: 'analysis' };
+    }
+}
+
+/**
+ * Analisa em segundo plano as músicas ainda sem BPM, tom e energia
+ * Cede o processador entre as faixas para não travar a interface
+ * Complexidade: O(n·m) - onde m é o número de amostras analisadas de cada faixa
+ */
+async function analyzeLibraryFeatures(onProgress = () => {}) {
+    const pending = AppState.musicLibrary.filter(t => !t.featuresSource);
+
+    for (let i = 0; i < pending.length; i++) {
+        const track = pending[i];
+        onProgress(i, pending.length, track);
+        Object.assign(track, await measureTrackFeatures(await getTrackAudioData(track)));
+        if (track.featuresSource) {
+            await updateMusicInDB(track);
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    onProgress(pending.length, pending.length, null);
+    return pending.length;
+}
+
+/**
+ * Sincroniza o painel de análise musical com a biblioteca
+ */
+function renderFeatureAnalysisSettings() {
+    if (AppState.featureAnalysisRunning) return;
+
+    const pending = AppState.musicLibrary.filter(t => !t.featuresSource).length;
+    document.getElementById('featureAnalysisStatus').textContent = pending > 0
+        ? `${pending} música(s) sem BPM, tom e energia`
+        : 'Todas as músicas já foram analisadas';
+    document.getElementById('analyzeFeaturesBtn').disabled = pending === 0;
+}
+
+/**
+ * Analisa a biblioteca a partir do painel, mostrando o progresso
+ */
+async function handleAnalyzeFeatures() {
+    if (AppState.featureAnalysisRunning) return;
+
+    const status = document.getElementById('featureAnalysisStatus');
+    const button = document.getElementById('analyzeFeaturesBtn');
+    AppState.featureAnalysisRunning = true;
+    button.disabled = true;
+
+    try {
+        const count = await analyzeLibraryFeatures((done, total, track) => {
+            if (track) {
+                status.textContent = `Analisando ${done + 1}/${total}: ${track.name}`;
+            }
+        });
+        onLibraryChanged();
+        alert(`${count} música(s) analisada(s).`);
+    } catch (error) {
+        console.error('Erro ao analisar a biblioteca:', error);
+        alert('Erro ao analisar a biblioteca.');
+    } finally {
+        AppState.featureAnalysisRunning = false;
+        renderFeatureAnalysisSettings();
+    }
+}
+
+// ============================================
+// RÁDIO DA MÚSICA
+// ============================================
+
+// Músicas mantidas à frente da atual enquanto o rádio está ligado
+const RADIO_LOOKAHEAD = 5;
+
+// Músicas tocadas recentemente que o rádio evita repetir
+const RADIO_RECENT_LIMIT = 50;
+
+// O sorteio acontece entre as mais compatíveis
+const RADIO_CHOICES = 5;
+
+// Diferença relativa de andamento tolerada (considerando metade/dobro)
+const RADIO_BPM_TOLERANCE = 0.08;
+
+/**
+ * Compatibilidade harmônica entre dois códigos de Camelot (0 a 1)
+ * Mesmo tom = 1; vizinho na roda (±1) ou relativa maior/menor = 0,8
+ */
+function getCamelotCompatibility(a, b) {
+    const parse = code => {
+        const match = /^(\d{1,2})([AB])$/.exec(code || '');
+        return match ? { number: Number(match[1]), letter: match[2] } : null;
+    };
+    const first = parse(a);
+    const second = parse(b);
+    if (!first || !second) return null;
+
+    const distance = Math.min((first.number - second.number + 12) % 12, (second.number - first.number + 12) % 12);
+    if (first.letter === second.letter) {
+        if (distance === 0) return 1;
+        if (distance === 1) return 0.8;
+        return 0;
+    }
+    return distance === 0 ? 0.8 : 0;
+}
+
+/**
+ * Compatibilidade de andamento (0 a 1), aceitando metade e dobro do BPM
+ */
+function getTempoCompatibility(a, b) {
+    if (!a || !b) return null;
+    const difference = Math.min(...[0.5, 1, 2].map(factor => Math.abs(a * factor - b) / b));
+    return clamp01(1 - difference / RADIO_BPM_TOLERANCE);
+}
+
+/**
+ * Compatibilidade entre duas músicas para o rádio: andamento, tom e energia
+ * Campos ainda não analisados contam como neutros
+ */
+function getRadioCompatibility(candidate, reference) {
+    const neutral = value => (value === null ? 0.3 : value);
+    const tempo = neutral(getTempoCompatibility(candidate.bpm, reference.bpm));
+    const key = neutral(getCamelotCompatibility(candidate.camelot, reference.camelot));
+    const energy = candidate.energy != null && reference.energy != null
+        ? clamp01(1 - Math.abs(candidate.energy - reference.energy) / 50)
+        : 0.3;
+
+    let score = 0.4 * tempo + 0.3 * key + 0.3 * energy;
+    if (candidate.genre && candidate.genre !== 'Geral' && candidate.genre === reference.genre) {
+        score += 0.1;
+    }
+    return score;
+}
+
+/**
+ * Escolhe a próxima música do rádio, compatível com a última da fila e com a semente
+ * Evita o que já tocou recentemente, o que está na fila e o que é pulado com frequência
+ * Complexidade: O(n log n) - pontuação e ordenação da biblioteca
+ */
+function pickRadioTrack() {
+    const radio = AppState.radio;
+    const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    const seed = byId.get(radio.seedId);
+    const last = byId.get(AppState.playQueue[AppState.playQueue.length - 1]) || seed;
+    if (!seed) return null;
+
+    const model = AppState.recommendationModel;
+    const collect = (recentLimit) => {
+        const excluded = new Set([
+            ...AppState.playQueue.slice(-recentLimit),
+            ...AppState.upNext,
+            ...AppState.playHistory.slice(0, recentLimit).map(t => t.id)
+        ]);
+        return AppState.musicLibrary.filter(track =>
+            !excluded.has(track.id) && !(model && isOftenSkipped(model, track.id))
+        );
+    };
+    // Biblioteca pequena: relaxa a janela de repetição antes de desistir
+    let candidates = collect(RADIO_RECENT_LIMIT);
+    if (candidates.length === 0) {
+        // Pelo menos 1: slice(-0) devolveria a fila inteira
+        candidates = collect(Math.max(1, Math.min(RADIO_RECENT_LIMIT, Math.floor(AppState.musicLibrary.length / 2))));
+    }
+    if (candidates.length === 0) return null;
+
+    const ranked = candidates
+        .map(track => {
+            let score = 0.7 * getRadioCompatibility(track, last) + 0.3 * getRadioCompatibility(track, seed);
+            // Evita o mesmo artista em sequência
+            if (getArtistKey(track.artist) === getArtistKey(last.artist)) score -= 0.2;
+            return { track, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RADIO_CHOICES);
+    return ranked[Math.floor(Math.random() * ranked.length)].track;
+}
+
+/**
+ * Mantém RADIO_LOOKAHEAD músicas à frente da atual enquanto o rádio estiver ligado
+ * O início já tocado é descartado além de RADIO_RECENT_LIMIT, para a fila não crescer sem fim
+ * Complexidade: O(k·n log n) - onde k é o número de músicas adicionadas
+ */
+function extendRadioQueue() {
+    if (!AppState.radio) return;
+
+    const played = AppState.currentQueueIndex - RADIO_RECENT_LIMIT;
+    if (played > 0) {
+        AppState.playQueue.splice(0, played);
+        AppState.currentQueueIndex -= played;
+        // Os índices mudaram: a próxima faixa escolhida (e pré-carregada) deixa de valer
+        if (AppState.upcomingIndex !== null) {
+            resetUpcomingTrack();
+        }
+    }
+
+    let added = 0;
+    while (AppState.playQueue.length - 1 - AppState.currentQueueIndex < RADIO_LOOKAHEAD) {
+        const track = pickRadioTrack();
+        if (!track) break;
+        AppState.playQueue.push(track.id);
+        added++;
+    }
+    // Na última música a próxima escolhida seria o início da fila
+    if (added > 0 && AppState.upcomingIndex === 0) {
+        resetUpcomingTrack();
+    }
+}
+
+/**
+ * Liga o rádio a partir de uma música: ela toca e a fila passa a ser estendida
+ * com músicas compatíveis até o rádio ser desligado
+ */
+function startTrackRadio(trackId) {
+    const track = AppState.musicLibrary.find(t => t.id === trackId);
+    if (!track) return;
+
+    // A ordem do rádio é a da escolha: o shuffle é desligado
+    if (AppState.isShuffled) {
+        AppState.isShuffled = false;
+        AppState.unshuffledQueue = null;
+        updateShuffleButton();
+    }
+
+    playTrack(trackId, { name: `Rádio: ${track.name}`, trackIds: [trackId] });
+    AppState.radio = { seedId: trackId };
+    onQueueChanged();
+    updateRadioButton();
+}
+
+/**
+ * Desliga o rádio; as músicas já adicionadas continuam na fila
+ */
+function stopTrackRadio() {
+    if (!AppState.radio) return;
+    AppState.radio = null;
+    updateRadioButton();
+}
+
+/**
+ * Mostra o botão do rádio no player enquanto ele estiver ligado
+ */
+function updateRadioButton() {
+    const button = document.getElementById('radioBtn');
+    const seed = AppState.radio && AppState.musicLibrary.find(t => t.id === AppState.radio.seedId);
+    button.style.display = AppState.radio ? '' : 'none';
+    button.title = seed ? `Rádio de "${seed.name}" — clique para parar` : 'Parar rádio';
+}
+
+// ============================================
+// FORMA DE ONDA (BARRA DE PROGRESSO)
+// ============================================
+
+// Número de picos guardados por música (1 byte cada, em base64 no registro)
+const WAVEFORM_BARS = 200;
+
+// Taxa usada para decodificar o áudio só para a forma de onda
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Largura e espaçamento das barras desenhadas (px CSS)
+const WAVEFORM_BAR_WIDTH = 2;
+const WAVEFORM_BAR_GAP = 1;
+
+// Passo (s) das setas do teclado na barra de progresso
+const WAVEFORM_KEY_STEP = 5;
+
+/**
+ * Picos do áudio em WAVEFORM_BARS faixas, normalizados para 0-255
+ * Complexidade: O(n·c) - amostras vezes canais
+ */
+function computeWaveformPeaks(buffer) {
+    const peaks = new Float32Array(WAVEFORM_BARS);
+    const samplesPerBar = buffer.length / WAVEFORM_BARS;
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+            const end = Math.min(data.length, Math.floor((bar + 1) * samplesPerBar));
+            for (let i = Math.floor(bar * samplesPerBar); i < end; i++) {
+                peaks[bar] = Math.max(peaks[bar], Math.abs(data[i]));
+            }
+        }
+    }
+
+    // Normaliza pelo maior pico para que músicas baixas também tenham relevo
+    const max = Math.max(...peaks) || 1;
+    return Uint8Array.from(peaks, peak => Math.round((peak / max) * 255));
+}
+
+/**
+ * Codifica os picos em base64 (formato compacto gravado na música)
+ */
+function encodeWaveform(peaks) {
+    return btoa(String.fromCharCode(...peaks));
+}
+
+/**
+ * Decodifica os picos gravados; string vazia (análise falhou) vira null
+ */
+function decodeWaveform(text) {
+    if (!text) return null;
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Calcula os picos e devolve o campo a gravar na música
+ * decoding: Promise de decodeAudioForAnalysis (sem ela, decodifica em baixa resolução)
+ * Falhas gravam string vazia, para não tentar de novo a cada reprodução
+ */
+async function measureTrackWaveform(audioData, decoding = decodeAudioForAnalysis(audioData, WAVEFORM_SAMPLE_RATE)) {
+    try {
+        const decoded = await decoding;
+        if (!decoded) return {};
+        return { waveform: encodeWaveform(computeWaveformPeaks(decoded)) };
+    } catch (error) {
+        console.warn('Não foi possível gerar a forma de onda:', error);
+        return { waveform: '' };
+    }
+}
+
+/**
+ * Mostra a forma de onda da música carregada, gerando-a na primeira vez
+ * (músicas importadas antes desta função não têm picos gravados)
+ */
+function showTrackWaveform(track) {
+    AppState.waveform.trackId = track.id;
+    AppState.waveform.peaks = decodeWaveform(track.waveform);
+    drawWaveform();
+
+    if (track.waveform === undefined || track.waveform === null) {
+        ensureTrackWaveform(track);
+    }
+}
+
+/**
+ * Gera e grava a forma de onda de uma música em segundo plano
+ */
+async function ensureTrackWaveform(track) {
+    const pending = AppState.waveform.pending;
+    if (pending.has(track.id)) return;
+    pending.add(track.id);
+
+    try {
+        const audioData = await getTrackAudioData(track);
+        Object.assign(track, await measureTrackWaveform(audioData));
+        if (track.waveform !== undefined) {
+            await updateMusicInDB(track);
+        }
+        // A música pode ter mudado enquanto o áudio era decodificado
+        if (AppState.currentTrack && AppState.currentTrack.id === track.id) {
+            showTrackWaveform(track);
+        }
+    } catch (error) {
+        console.error('Erro ao gerar forma de onda:', error);
+    } finally {
+        pending.delete(track.id);
+    }
+}
+
+/**
+ * Fração tocada (0 a 1); durante o arraste, a posição do ponteiro
+ */
+function getPlaybackFraction() {
+    if (AppState.waveform.seekFraction !== null) return AppState.waveform.seekFraction;
+    const { currentTime, duration } = AppState.audio;
+    return duration ? Math.min(1, currentTime / duration) : 0;
+}
+
+/**
+ * Desenha a forma de onda: parte tocada em verde, o restante em cinza
+ * Sem picos (gerando ou sem música), desenha barras baixas
+ * Complexidade: O(w) - onde w é a largura em barras
+ */
+function drawWaveform() {
+    const canvas = document.getElementById('waveformCanvas');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const styles = getComputedStyle(document.documentElement);
+    const playedColor = styles.getPropertyValue('--spotify-green').trim();
+    const unplayedColor = styles.getPropertyValue('--spotify-text-secondary').trim();
+
+    const { peaks, hoverFraction } = AppState.waveform;
+    const played = getPlaybackFraction() * width;
+    const hovered = hoverFraction !== null ? hoverFraction * width : -1;
+    const step = WAVEFORM_BAR_WIDTH + WAVEFORM_BAR_GAP;
+    const barCount = Math.floor(width / step);
+
+    for (let bar = 0; bar < barCount; bar++) {
+        // Cada barra desenhada usa o maior pico do trecho correspondente
+        let value = 0.15;
+        if (peaks) {
+            const from = Math.floor((bar / barCount) * peaks.length);
+            const to = Math.max(from + 1, Math.floor(((bar + 1) / barCount) * peaks.length));
+            let max = 0;
+            for (let i = from; i < to; i++) max = Math.max(max, peaks[i]);
+            value = Math.max(0.08, max / 255);
+        }
+
+        const x = bar * step;
+        const barHeight = value * height;
+        // Não tocado fica apagado; até o ponteiro, um pouco mais claro
+        context.fillStyle = x < played ? playedColor : unplayedColor;
+        context.globalAlpha = x < played ? 1 : (x < hovered ? 0.7 : 0.35);
+        context.fillRect(x, (height - barHeight) / 2, WAVEFORM_BAR_WIDTH, barHeight);
+    }
+    context.globalAlpha = 1;
+}
+
+/**
+ * Fração da música sob o ponteiro
+ */
+function getWaveformFraction(event) {
+    const rect = document.getElementById('waveform').getBoundingClientRect();
+    return Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+}
+
+/**
+ * Mostra o tempo sob o ponteiro acima da forma de onda
+ */
+function updateWaveformTooltip(event) {
+    const tooltip = document.getElementById('waveformTooltip');
+    const duration = AppState.audio.duration;
+    if (!duration) {
+        tooltip.hidden = true;
+        return;
+    }
+
+    const fraction = getWaveformFraction(event);
+    AppState.waveform.hoverFraction = fraction;
+    tooltip.hidden = false;
+    tooltip.textContent = formatTime(fraction * duration);
+    tooltip.style.left = `${fraction * 100}%`;
+}
+
+/**
+ * Liga a forma de onda: clique e arraste para buscar, tooltip de tempo e teclado
+ */
+function setupWaveformControls() {
+    const waveform = document.getElementById('waveform');
+    const tooltip = document.getElementById('waveformTooltip');
+    const state = AppState.waveform;
+
+    waveform.addEventListener('pointerdown', (e) => {
+        if (!AppState.audio.duration) return;
+        waveform.setPointerCapture(e.pointerId);
+        state.seekFraction = getWaveformFraction(e);
+        drawWaveform();
+    });
+
+    waveform.addEventListener('pointermove', (e) => {
+        updateWaveformTooltip(e);
+        if (state.seekFraction !== null) {
+            state.seekFraction = getWaveformFraction(e);
+        }
+        drawWaveform();
+    });
+
+    // A busca só acontece ao soltar; durante o arraste apenas o desenho acompanha
+    waveform.addEventListener('pointerup', (e) => {
+        if (state.seekFraction === null) return;
+        const fraction = getWaveformFraction(e);
+        state.seekFraction = null;
+        seekTo(fraction * AppState.audio.duration);
+    });
+
+    waveform.addEventListener('pointercancel', () => {
+        state.seekFraction = null;
+        drawWaveform();
+    });
+
+    waveform.addEventListener('pointerleave', () => {
+        state.hoverFraction = null;
+        tooltip.hidden = true;
+        drawWaveform();
+    });
+
+    waveform.addEventListener('keydown', (e) => {
+        const duration = AppState.audio.duration;
+        if (!duration) return;
+
+        const time = AppState.audio.currentTime;
+        const targets = {
+            ArrowLeft: time - WAVEFORM_KEY_STEP,
+            ArrowRight: time + WAVEFORM_KEY_STEP,
+            Home: 0,
+            End: duration - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        seekTo(targets[e.key]);
+    });
+
+    window.addEventListener('resize', drawWaveform);
+    drawWaveform();
+}
+
+// ============================================
+// MEDIA SESSION (TECLAS DE MÍDIA DO SISTEMA)
+// ============================================
+
+// Avanço/retrocesso padrão (segundos) quando o sistema não informa seekOffset
+const MEDIA_SESSION_SEEK_OFFSET = 10;
+
+/**
+ * Indica se o navegador expõe a Media Session API
+ */
+function hasMediaSession() {
+    return 'mediaSession' in navigator && typeof MediaMetadata !== 'undefined';
+}
+
+/**
+ * Posiciona a música atual (em segundos), limitado à duração
+ * Ponto único usado pela forma de onda e pelos controles do sistema
+ */
+function seekTo(time, fastSeek = false) {
+    const element = AppState.audio;
+    const duration = element.duration;
+    if (!duration || !isFinite(duration)) return;
+
+    const target = Math.min(duration, Math.max(0, time));
+    if (fastSeek && typeof element.fastSeek === 'function') {
+        element.fastSeek(target);
+    } else {
+        element.currentTime = target;
+    }
+    updateTimeDisplay();
+    updateMediaSessionPosition();
+}
+
+/**
+ * Publica título, artista, álbum e capa da música no sistema operacional
+ * A capa é carregada depois; se a música mudar nesse meio tempo, é descartada
+ */
+function updateMediaSessionMetadata(track) {
+    if (!hasMediaSession()) return;
+
+    const fields = {
+        title: track.name || '',
+        artist: track.artist || '',
+        album: track.album || ''
+    };
+    navigator.mediaSession.metadata = new MediaMetadata(fields);
+
+    if (!track.artworkId) return;
+    getArtworkUrl(track.artworkId, 'image').then(url => {
+        if (!url || AppState.currentTrack !== track) return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            ...fields,
+            artwork: [{ src: url }]
+        });
+    });
+}
+
+/**
+ * Remove a música exibida pelo sistema (nenhuma música carregada)
+ */
+function clearMediaSessionMetadata() {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.metadata = null;
+}
+
+/**
+ * Sincroniza o estado de reprodução exibido pelo sistema
+ */
+function updateMediaSessionPlaybackState() {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.playbackState = AppState.isPlaying ? 'playing' : 'paused';
+}
+
+/**
+ * Sincroniza duração, velocidade e posição (barra de progresso do sistema)
+ * Duração ainda desconhecida (NaN/Infinity) é ignorada, pois o navegador a rejeita
+ */
+function updateMediaSessionPosition() {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+    const element = AppState.audio;
+    const duration = element.duration;
+    if (!duration || !isFinite(duration)) return;
+
+    try {
+        navigator.mediaSession.setPositionState({
+            duration,
+            playbackRate: element.playbackRate || 1,
+            position: Math.min(duration, Math.max(0, element.currentTime))
+        });
+    } catch (error) {
+        console.warn('Posição rejeitada pela Media Session:', error);
+    }
+}
+
+/**
+ * Registra as ações de mídia do sistema (teclas, fones, tela de bloqueio)
+ * Ações não suportadas pelo navegador lançam erro e são apenas ignoradas
+ */
+function setupMediaSession() {
+    if (!hasMediaSession()) return;
+
+    const seekBy = offset => seekTo(AppState.audio.currentTime + offset);
+    const handlers = {
+        play: () => play(),
+        pause: () => pause(),
+        previoustrack: () => playPrevious(),
+        nexttrack: () => playNext(),
+        seekto: details => seekTo(details.seekTime, details.fastSeek),
+        seekbackward: details => seekBy(-(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET)),
+        seekforward: details => seekBy(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET),
+        stop: () => {
+            pause();
+            seekTo(0);
+        }
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            console.warn(`Ação de mídia não suportada: ${action}`);
+        }
+    });
+}
+
+// ============================================
+// ATALHOS DE TECLADO E PALETA DE COMANDOS
+// ============================================
+
+// Passo das setas: avanço/retrocesso (segundos) e volume (%)
+const SHORTCUT_SEEK_STEP = 5;
+const SHORTCUT_VOLUME_STEP = 5;
+
+// Máximo de resultados exibidos na paleta de comandos
+const COMMAND_PALETTE_LIMIT = 50;
+
+// Teclas que não podem ser atribuídas: Esc cancela e Backspace/Delete removem o atalho
+const RESERVED_SHORTCUT_KEYS = ['Escape', 'Backspace', 'Delete', 'Tab'];
+
+// Ações com atalho: id (gravado em localStorage), descrição e tecla padrão
+// Teclas seguem KeyboardEvent.key (letras em maiúsculas, "Space" para espaço) com prefixos Ctrl+, Alt+ e Shift+
+// global: a ação também responde enquanto se digita em um campo
+const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Tocar/pausar', key: 'Space', run: () => togglePlayPause() },
+    { id: 'seekForward', label: `Avançar ${SHORTCUT_SEEK_STEP} s`, key: 'ArrowRight', run: () => seekTo(AppState.audio.currentTime + SHORTCUT_SEEK_STEP) },
+    { id: 'seekBackward', label: `Voltar ${SHORTCUT_SEEK_STEP} s`, key: 'ArrowLeft', run: () => seekTo(AppState.audio.currentTime - SHORTCUT_SEEK_STEP) },
+    { id: 'volumeUp', label: 'Aumentar volume', key: 'ArrowUp', run: () => changeVolume(SHORTCUT_VOLUME_STEP) },
+    { id: 'volumeDown', label: 'Diminuir volume', key: 'ArrowDown', run: () => changeVolume(-SHORTCUT_VOLUME_STEP) },
+    { id: 'next', label: 'Próxima música', key: 'Ctrl+ArrowRight', run: () => playNext() },
+    { id: 'previous', label: 'Música anterior', key: 'Ctrl+ArrowLeft', run: () => playPrevious() },
+    { id: 'shuffle', label: 'Alternar modo aleatório', key: 'S', run: () => toggleShuffle() },
+    { id: 'repeat', label: 'Alternar modo de repetição', key: 'R', run: () => toggleRepeat() },
+    { id: 'like', label: 'Favoritar a música atual', key: 'L', run: () => AppState.currentTrack && toggleFavorite(AppState.currentTrack.id) },
+    { id: 'search', label: 'Buscar', key: '/', run: () => focusSearch() },
+    { id: 'queue', label: 'Abrir/fechar a fila', key: 'Q', run: () => toggleQueueModal() },
+    { id: 'lyrics', label: 'Abrir/fechar a letra', key: 'Y', run: () => toggleLyricsPanel() },
+    { id: 'cheatSheet', label: 'Mostrar os atalhos', key: '?', run: () => openShortcutSheet() },
+    { id: 'palette', label: 'Paleta de comandos', key: 'Ctrl+K', run: () => toggleCommandPalette(), global: true }
+];
+
+// Ações extras da paleta (sem atalho): abrem telas e diálogos já existentes
+const COMMAND_PALETTE_ACTIONS = [
+    { label: 'Tocando agora (tela cheia)', run: () => openNowPlayingView() },
+    { label: 'Abrir equalizador', run: () => document.getElementById('eqBtn').click() },
+    { label: 'Carregar músicas', run: () => document.getElementById('uploadBtn').click() },
+    { label: 'Criar playlist', run: () => document.getElementById('createPlaylistBtn').click() },
+    { label: 'Criar playlist inteligente', run: () => document.getElementById('createSmartPlaylistBtn').click() }
+];
+
+/**
+ * Carrega os atalhos redefinidos pelo usuário
+ */
+function loadShortcuts() {
+    try {
+        AppState.shortcuts = JSON.parse(localStorage.getItem('spotfy_shortcuts') || '{}') || {};
+    } catch (error) {
+        console.error('Erro ao carregar atalhos:', error);
+        AppState.shortcuts = {};
+    }
+}
+
+/**
+ * Salva no localStorage apenas os atalhos diferentes do padrão
+ */
+function saveShortcuts() {
+    localStorage.setItem('spotfy_shortcuts', JSON.stringify(AppState.shortcuts));
+}
+
+/**
+ * Tecla atual de uma ação ('' quando o atalho foi removido)
+ */
+function getShortcutKey(action) {
+    return action.id in AppState.shortcuts ? AppState.shortcuts[action.id] : action.key;
+}
+
+/**
+ * Atribui uma tecla a uma ação; outra ação que usava a mesma tecla fica sem atalho
+ */
+function setShortcut(actionId, combo) {
+    const assign = (action, key) => {
+        if (key === action.key) {
+            delete AppState.shortcuts[action.id];
+        } else {
+            AppState.shortcuts[action.id] = key;
+        }
+    };
+
+    SHORTCUT_ACTIONS.forEach(action => {
+        if (action.id !== actionId && combo && getShortcutKey(action) === combo) {
+            assign(action, '');
+        }
+    });
+    assign(SHORTCUT_ACTIONS.find(action => action.id === actionId), combo);
+    saveShortcuts();
+}
+
+/**
+ * Converte um evento de teclado na notação dos atalhos ("Ctrl+K", "Space", "?")
+ * Em caracteres impressos o Shift já está no próprio caractere ("?" e não "Shift+/")
+ * Retorna null para teclas modificadoras sozinhas
+ */
+function getKeyCombo(event) {
+    if (!event.key || ['Control', 'Meta', 'Alt', 'Shift', 'Dead'].includes(event.key)) return null;
+
+    const printable = event.key.length === 1;
+    const key = event.key === ' ' ? 'Space' : printable ? event.key.toUpperCase() : event.key;
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey && !printable) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Texto de exibição de um atalho ("Ctrl + →", "Espaço")
+ */
+function formatKeyCombo(combo) {
+    if (!combo) return 'Sem atalho';
+    const names = {
+        Space: 'Espaço',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Enter: 'Enter'
+    };
+    return combo.split('+').map(part => names[part] || part).join(' + ');
+}
+
+/**
+ * Indica se o evento vem de um campo de digitação (onde os atalhos são ignorados)
+ */
+function isTypingTarget(target) {
+    return Boolean(target && target.closest &&
+        target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+/**
+ * Listener global de teclado: redefinição de atalho em andamento ou execução da ação
+ */
+function handleShortcutKeydown(event) {
+    if (AppState.shortcutCapture) {
+        // Saiu das configurações sem escolher a tecla: cancela a redefinição
+        if (document.getElementById('settings-section').classList.contains('active')) {
+            captureShortcutKey(event);
+            return;
+        }
+        AppState.shortcutCapture = null;
+        renderShortcutSettings();
+    }
+    // Teclas já tratadas por um controle (ex.: setas na forma de onda) não viram atalho;
+    // segurar o espaço não fica alternando entre tocar e pausar
+    if (event.defaultPrevented || event.isComposing || (event.repeat && event.key === ' ')) return;
+
+    const combo = getKeyCombo(event);
+    if (!combo) return;
+
+    const action = SHORTCUT_ACTIONS.find(item => getShortcutKey(item) === combo);
+    if (!action || (!action.global && isTypingTarget(event.target))) return;
+
+    // Evita o clique do botão focado (espaço) e a rolagem da página (setas)
+    event.preventDefault();
+    action.run();
+}
+
+/**
+ * Recebe a nova tecla da ação aguardando redefinição (Esc cancela, Backspace/Delete removem)
+ */
+function captureShortcutKey(event) {
+    const combo = getKeyCombo(event);
+    if (!combo) return;
+    event.preventDefault();
+
+    const actionId = AppState.shortcutCapture;
+    AppState.shortcutCapture = null;
+
+    if (combo === 'Backspace' || combo === 'Delete') {
+        setShortcut(actionId, '');
+    } else if (!RESERVED_SHORTCUT_KEYS.includes(combo.split('+').pop())) {
+        setShortcut(actionId, combo);
+    }
+    renderShortcutSettings();
+}
+
+/**
+ * Altera o volume em pontos percentuais, mantendo o controle deslizante em sincronia
+ */
+function changeVolume(delta) {
+    const value = Math.min(100, Math.max(0, Math.round(AppState.volume * 100) + delta));
+    document.getElementById('volumeSlider').value = value;
+    setVolume(value);
+}
+
+/**
+ * Vai para a busca com o campo focado e o texto selecionado
+ */
+function focusSearch() {
+    showSection('search');
+    const input = document.getElementById('searchInput');
+    input.focus();
+    input.select();
+}
+
+/**
+ * Abre ou fecha o modal da fila
+ */
+function toggleQueueModal() {
+    const modal = document.getElementById('queueModal');
+    if (modal.classList.contains('active')) {
+        modal.classList.remove('active');
+    } else {
+        modal.classList.add('active');
+        renderQueue();
+    }
+}
+
+/**
+ * Mostra o resumo de atalhos (tecla "?")
+ */
+function openShortcutSheet() {
+    const sheet = document.getElementById('shortcutSheet');
+    sheet.innerHTML = '';
+
+    SHORTCUT_ACTIONS.forEach(action => {
+        const key = document.createElement('dt');
+        const kbd = document.createElement('kbd');
+        kbd.textContent = formatKeyCombo(getShortcutKey(action));
+        key.appendChild(kbd);
+
+        const label = document.createElement('dd');
+        label.textContent = action.label;
+        sheet.append(key, label);
+    });
+
+    document.getElementById('shortcutsModal').classList.add('active');
+}
+
+/**
+ * Sincroniza a lista de atalhos nas configurações
+ */
+function renderShortcutSettings() {
+    const container = document.getElementById('shortcutSettings');
+    container.innerHTML = '';
+
+    SHORTCUT_ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.textContent = action.label;
+
+        const button = document.createElement('button');
+        const capturing = AppState.shortcutCapture === action.id;
+        button.className = 'filter-btn shortcut-key';
+        button.classList.toggle('active', capturing);
+        button.dataset.actionId = action.id;
+        button.textContent = capturing ? 'Pressione uma tecla…' : formatKeyCombo(getShortcutKey(action));
+
+        row.append(label, button);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Monta os itens da paleta: seções, ações, playlists e músicas
+ * O texto de busca é normalizado uma vez, ao abrir a paleta
+ * Complexidade: O(n) - no tamanho da biblioteca
+ */
+function getCommandPaletteItems() {
+    const items = [];
+    const add = (kind, label, detail, run) => {
+        items.push({ kind, label, detail, run, match: normalizeForMatch(`${label} ${detail}`) });
+    };
+
+    document.querySelectorAll('.nav-item').forEach(nav => {
+        const label = nav.querySelector('span:last-child').textContent;
+        add('Seção', label, '', () => nav.click());
+    });
+    SHORTCUT_ACTIONS.filter(action => action.id !== 'palette').forEach(action => {
+        const key = getShortcutKey(action);
+        add('Ação', action.label, key ? formatKeyCombo(key) : '', action.run);
+    });
+    COMMAND_PALETTE_ACTIONS.forEach(action => add('Ação', action.label, '', action.run));
+    AppState.playlists.forEach(playlist => {
+        const isSmart = playlist.type === 'smart';
+        add(isSmart ? 'Playlist inteligente' : 'Playlist', playlist.name, '', () => selectPlaylist(playlist.id));
+    });
+    AppState.musicLibrary.forEach(track => {
+        add('Música', track.name, track.artist || '', () => playTrack(track.id));
+    });
+
+    return items;
+}
+
+/**
+ * Pontua um texto por correspondência difusa: as letras da consulta precisam
+ * aparecer na ordem; letras seguidas e inícios de palavra valem mais
+ * Retorna null quando não há correspondência
+ * Complexidade: O(t) - no tamanho do texto
+ */
+function fuzzyMatchScore(query, text) {
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+
+    for (const char of query) {
+        const index = text.indexOf(char, position);
+        if (index === -1) return null;
+        score += 1;
+        if (index === previous + 1) score += 3;
+        if (index === 0 || text[index - 1] === ' ') score += 2;
+        previous = index;
+        position = index + 1;
+    }
+
+    // Textos mais curtos (correspondência mais completa) desempatam
+    return score - text.length * 0.01;
+}
+
+/**
+ * Filtra os itens da paleta pela consulta; sem consulta, mostra seções e ações
+ * Complexidade: O(n·t + r log r) - itens, tamanho dos textos e ordenação dos resultados
+ */
+function filterCommandPalette(query) {
+    const palette = AppState.commandPalette;
+    const compact = normalizeForMatch(query).replace(/ /g, '');
+
+    if (!compact) {
+        palette.results = palette.items.filter(item => item.kind === 'Seção' || item.kind === 'Ação');
+    } else {
+        palette.results = palette.items
+            .map(item => ({ item, score: fuzzyMatchScore(compact, item.match) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, COMMAND_PALETTE_LIMIT)
+            .map(result => result.item);
+    }
+    palette.selected = 0;
+    renderCommandPaletteResults();
+}
+
+/**
+ * Renderiza os resultados da paleta, destacando o selecionado
+ */
+function renderCommandPaletteResults() {
+    const { results, selected } = AppState.commandPalette;
+    const container = document.getElementById('commandPaletteResults');
+    container.innerHTML = '';
+
+    if (results.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = 'Nenhum resultado encontrado.';
+        container.appendChild(empty);
+        return;
+    }
+
+    results.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'command-palette-item';
+        row.classList.toggle('selected', index === selected);
+        row.dataset.index = index;
+        row.setAttribute('role', 'option');
+        row.setAttribute('aria-selected', String(index === selected));
+
+        const label = document.createElement('span');
+        label.className = 'command-palette-label';
+        label.textContent = item.label;
+        if (item.detail) {
+            const detail = document.createElement('small');
+            detail.textContent = item.detail;
+            label.appendChild(detail);
+        }
+
+        const kind = document.createElement('span');
+        kind.className = 'command-palette-kind';
+        kind.textContent = item.kind;
+
+        row.append(label, kind);
+        container.appendChild(row);
+    });
+
+    const current = container.children[selected];
+    if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Abre a paleta (Ctrl+K) ou a fecha, se já estiver aberta
+ */
+function toggleCommandPalette() {
+    const modal = document.getElementById('commandPalette');
+    if (modal.classList.contains('active')) {
+        closeCommandPalette();
+        return;
+    }
+
+    AppState.commandPalette.items = getCommandPaletteItems();
+    const input = document.getElementById('commandPaletteInput');
+    input.value = '';
+    modal.classList.add('active');
+    filterCommandPalette('');
+    input.focus();
+}
+
+/**
+ * Fecha a paleta e libera os itens montados
+ */
+function closeCommandPalette() {
+    document.getElementById('commandPalette').classList.remove('active');
+    AppState.commandPalette = { items: [], results: [], selected: 0 };
+}
+
+/**
+ * Executa um resultado da paleta (a paleta fecha antes, pois a ação pode abrir outro modal)
+ */
+function runCommandPaletteItem(index) {
+    const item = AppState.commandPalette.results[index];
+    if (!item) return;
+    closeCommandPalette();
+    item.run();
+}
+
+/**
+ * Liga os atalhos globais, a redefinição nas configurações, o resumo "?" e a paleta
+ */
+function setupKeyboardShortcuts() {
+    loadShortcuts();
+    document.addEventListener('keydown', handleShortcutKeydown);
+
+    document.getElementById('shortcutSettings').addEventListener('click', (e) => {
+        const button = e.target.closest('.shortcut-key');
+        if (!button) return;
+        AppState.shortcutCapture = AppState.shortcutCapture === button.dataset.actionId ? null : button.dataset.actionId;
+        renderShortcutSettings();
+    });
+
+    document.getElementById('resetShortcutsBtn').addEventListener('click', () => {
+        if (!confirm('Restaurar todos os atalhos de teclado padrão?')) return;
+        AppState.shortcuts = {};
+        AppState.shortcutCapture = null;
+        saveShortcuts();
+        renderShortcutSettings();
+    });
+
+    document.getElementById('shortcutsModalClose').addEventListener('click', () => {
+        document.getElementById('shortcutsModal').classList.remove('active');
+    });
+
+    document.getElementById('editShortcutsBtn').addEventListener('click', () => {
+        document.getElementById('shortcutsModal').classList.remove('active');
+        document.querySelector('.nav-item[data-section="settings"]').click();
+        document.getElementById('shortcutSettings').scrollIntoView({ block: 'center' });
+    });
+
+    // Paleta: digitar filtra, setas escolhem, Enter executa e Esc fecha
+    const input = document.getElementById('commandPaletteInput');
+    input.addEventListener('input', () => filterCommandPalette(input.value));
+    input.addEventListener('keydown', (e) => {
+        const palette = AppState.commandPalette;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (palette.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            palette.selected = (palette.selected + step + palette.results.length) % palette.results.length;
+            renderCommandPaletteResults();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runCommandPaletteItem(palette.selected);
+        }
+    });
+
+    document.getElementById('commandPaletteResults').addEventListener('click', (e) => {
+        const row = e.target.closest('.command-palette-item');
+        if (row) runCommandPaletteItem(Number(row.dataset.index));
+    });
+
+    // Esc fecha a paleta e o resumo de atalhos
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        if (document.getElementById('commandPalette').classList.contains('active')) {
+            closeCommandPalette();
+        } else {
+            document.getElementById('shortcutsModal').classList.remove('active');
+        }
+    });
+
+    renderShortcutSettings();
+}
+
+// ============================================
+// TOCANDO AGORA (TELA CHEIA) E VISUALIZADOR
+// ============================================
+
+// Modos do visualizador (gravado em localStorage)
+const VISUALIZER_MODES = ['bars', 'oscilloscope', 'radial', 'off'];
+
+// Barras do espectro e raios do modo radial
+const VISUALIZER_BAR_COUNT = 64;
+const VISUALIZER_RADIAL_COUNT = 96;
+
+// Músicas mostradas na prévia da fila
+const NOW_PLAYING_QUEUE_PREVIEW = 5;
+
+/**
+ * Preferência do sistema por menos animações
+ */
+function prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Abre a tela cheia com a música atual
+ */
+function openNowPlayingView() {
+    AppState.nowPlaying.open = true;
+    document.getElementById('nowPlayingView').classList.add('active');
+    renderNowPlayingView();
+    updateVisualizerLoop();
+}
+
+/**
+ * Fecha a tela cheia; o visualizador para de desenhar
+ */
+function closeNowPlayingView() {
+    AppState.nowPlaying.open = false;
+    document.getElementById('nowPlayingView').classList.remove('active');
+    updateVisualizerLoop();
+}
+
+/**
+ * Atualiza capa, título, artista, álbum e prévia da fila (só com a tela aberta)
+ * Chamada em updatePlayerInfo, então acompanha as trocas de música do loadTrack
+ */
+function renderNowPlayingView() {
+    if (!AppState.nowPlaying.open) return;
+
+    const track = AppState.currentTrack;
+    const info = document.getElementById('nowPlayingInfo');
+    const artist = document.getElementById('npArtist');
+    const album = document.getElementById('npAlbum');
+    artist.innerHTML = '';
+    album.innerHTML = '';
+
+    document.getElementById('npTitle').textContent = track ? track.name : 'Nenhuma música selecionada';
+    renderArtwork(document.getElementById('npArtwork'), track, 'image');
+    if (track) {
+        // Os links de artista/álbum encontram a música pelo data-track-id
+        info.dataset.trackId = track.id;
+        artist.appendChild(createBrowseLink(track.artist, 'artist'));
+        if (hasKnownAlbum(track)) {
+            album.appendChild(createBrowseLink(track.album, 'album'));
+        }
+    } else {
+        delete info.dataset.trackId;
+    }
+
+    renderNowPlayingQueue();
+}
+
+/**
+ * Prévia das próximas músicas da fila
+ */
+function renderNowPlayingQueue() {
+    if (!AppState.nowPlaying.open) return;
+
+    const list = document.getElementById('npQueue');
+    list.innerHTML = '';
+
+    const upcoming = getQueueTrackIds().slice(AppState.currentTrack ? 1 : 0, NOW_PLAYING_QUEUE_PREVIEW + 1);
+    if (upcoming.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'queue-empty';
+        empty.textContent = 'Fila vazia';
+        list.appendChild(empty);
+        return;
+    }
+
+    upcoming.forEach(trackId => {
+        const track = AppState.musicLibrary.find(t => t.id === trackId);
+        if (!track) return;
+        const item = document.createElement('li');
+        const title = document.createElement('div');
+        title.className = 'queue-item-title';
+        title.textContent = track.name;
+        const artist = document.createElement('div');
+        artist.className = 'queue-item-artist';
+        artist.textContent = track.artist;
+        item.appendChild(title);
+        item.appendChild(artist);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Troca o modo do visualizador e grava a escolha
+ */
+function setVisualizerMode(mode) {
+    if (!VISUALIZER_MODES.includes(mode)) return;
+    AppState.nowPlaying.mode = mode;
+    localStorage.setItem('spotfy_visualizer', mode);
+
+    document.querySelectorAll('#visualizerModes [data-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    updateVisualizerLoop();
+}
+
+/**
+ * Liga ou desliga o laço de desenho conforme o estado da tela:
+ * só desenha com a tela aberta, a aba visível, um modo ativo e sem pedido de menos animações
+ */
+function updateVisualizerLoop() {
+    const state = AppState.nowPlaying;
+    const reduced = prefersReducedMotion();
+    const shouldRun = state.open && !document.hidden && state.mode !== 'off' && !reduced;
+
+    const notice = document.getElementById('visualizerNotice');
+    notice.hidden = !(state.open && reduced && state.mode !== 'off');
+    notice.textContent = 'Visualizador pausado: o sistema está configurado para reduzir animações.';
+
+    if (shouldRun && state.frame === null) {
+        const loop = () => {
+            drawVisualizer();
+            state.frame = requestAnimationFrame(loop);
+        };
+        state.frame = requestAnimationFrame(loop);
+    } else if (!shouldRun && state.frame !== null) {
+        cancelAnimationFrame(state.frame);
+        state.frame = null;
+        clearVisualizer();
+    }
+}
+
+/**
+ * Ajusta o canvas ao tamanho exibido e devolve o contexto já limpo
+ */
+function prepareVisualizerCanvas() {
+    const canvas = document.getElementById('visualizerCanvas');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    return { context, width, height };
+}
+
+/**
+ * Limpa o visualizador
+ */
+function clearVisualizer() {
+    prepareVisualizerCanvas();
+}
+
+/**
+ * Desenha um quadro do visualizador a partir do AnalyserNode da saída
+ * O analisador fica depois do equalizador, então funciona nas trocas de música e no crossfade
+ * Complexidade: O(f) - onde f é o número de bins da FFT
+ */
+function drawVisualizer() {
+    const { context, width, height } = prepareVisualizerCanvas();
+    const graph = AppState.audioGraph;
+    if (!graph || !width || !height) return;
+
+    const analyser = graph.analyser;
+    const color = getComputedStyle(document.documentElement).getPropertyValue('--spotify-green').trim();
+    context.fillStyle = color;
+    context.strokeStyle = color;
+    context.globalAlpha = 0.6;
+
+    const mode = AppState.nowPlaying.mode;
+    if (mode === 'oscilloscope') {
+        const samples = new Uint8Array(analyser.fftSize);
+        analyser.getByteTimeDomainData(samples);
+        context.lineWidth = 2;
+        context.beginPath();
+        samples.forEach((value, index) => {
+            const x = (index / (samples.length - 1)) * width;
+            const y = (value / 255) * height;
+            if (index === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+    } else {
+        const spectrum = new Uint8Array(analyser.frequencyBinCount);
+        analyser.getByteFrequencyData(spectrum);
+        const count = mode === 'radial' ? VISUALIZER_RADIAL_COUNT : VISUALIZER_BAR_COUNT;
+
+        // Bins agrupados em escala logarítmica: graves não ficam espremidos à esquerda
+        const levels = [];
+        for (let i = 0; i < count; i++) {
+            const from = Math.floor(Math.pow(spectrum.length, i / count));
+            const to = Math.max(from + 1, Math.floor(Math.pow(spectrum.length, (i + 1) / count)));
+            let max = 0;
+            for (let bin = from; bin < to && bin < spectrum.length; bin++) max = Math.max(max, spectrum[bin]);
+            levels.push(max / 255);
+        }
+
+        if (mode === 'radial') {
+            const centerX = width / 2;
+            const centerY = height / 2;
+            const radius = Math.min(width, height) * 0.22;
+            context.lineWidth = 3;
+            levels.forEach((level, i) => {
+                const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+                const length = level * radius;
+                context.beginPath();
+                context.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+                context.lineTo(centerX + Math.cos(angle) * (radius + length), centerY + Math.sin(angle) * (radius + length));
+                context.stroke();
+            });
+        } else {
+            const barWidth = width / count;
+            levels.forEach((level, i) => {
+                const barHeight = level * height * 0.6;
+                context.fillRect(i * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+            });
+        }
+    }
+    context.globalAlpha = 1;
+}
+
+/**
+ * Liga a tela cheia: abrir/fechar, controles, modos do visualizador e pausas automáticas
+ */
+function setupNowPlayingControls() {
+    const view = document.getElementById('nowPlayingView');
+
+    document.getElementById('expandPlayerBtn').addEventListener('click', openNowPlayingView);
+    document.getElementById('closeNowPlayingBtn').addEventListener('click', closeNowPlayingView);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && AppState.nowPlaying.open && !document.querySelector('.modal.active')) {
+            closeNowPlayingView();
+        }
+    });
+
+    // Ir para a página do artista/álbum fecha a tela cheia
+    view.addEventListener('click', (e) => {
+        if (e.target.closest('.browse-link')) closeNowPlayingView();
+    });
+
+    document.getElementById('npShuffleBtn').addEventListener('click', toggleShuffle);
+    document.getElementById('npPrevBtn').addEventListener('click', playPrevious);
+    document.getElementById('npPlayPauseBtn').addEventListener('click', togglePlayPause);
+    document.getElementById('npNextBtn').addEventListener('click', playNext);
+    document.getElementById('npRepeatBtn').addEventListener('click', toggleRepeat);
+    document.getElementById('npQueueBtn').addEventListener('click', () => {
+        document.getElementById('queueModal').classList.add('active');
+        renderQueue();
+    });
+
+    document.querySelectorAll('#visualizerModes [data-mode]').forEach(button => {
+        button.addEventListener('click', () => setVisualizerMode(button.dataset.mode));
+    });
+
+    // Aba oculta ou preferência de movimento alterada: reavalia o laço de desenho
+    document.addEventListener('visibilitychange', updateVisualizerLoop);
+    if (window.matchMedia) {
+        const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (query.addEventListener) query.addEventListener('change', updateVisualizerLoop);
+    }
+
+    const saved = localStorage.getItem('spotfy_visualizer');
+    setVisualizerMode(VISUALIZER_MODES.includes(saved) ? saved : 'bars');
+}
+
+// ============================================
+// LETRAS SINCRONIZADAS (LRC)
+// ============================================
+
+// Passo (s) do ajuste manual de sincronia da letra
+const LYRICS_OFFSET_STEP = 0.1;
+
+// Ao desfazer uma marcação no editor, volta a música alguns segundos antes dela
+const LYRICS_UNDO_REWIND = 3;
+
+// Depois de rolar a letra manualmente, a rolagem automática espera este tempo (ms)
+const LYRICS_SCROLL_PAUSE_MS = 4000;
+
+// Tempos de linha do LRC: [mm:ss], [mm:ss.xx] ou [mm:ss:xx]
+const LRC_TIME_PATTERN = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+/**
+ * Indica se um texto de letra tem tempos no formato LRC
+ */
+function isSyncedLyricsText(text) {
+    return /\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/.test(text || '');
+}
+
+/**
+ * Interpreta uma letra LRC (ou texto simples, sem tempos)
+ * Linhas com vários tempos são repetidas; [offset:ms] desloca todas as linhas
+ * e os tempos por palavra do LRC estendido (<mm:ss.xx>) são descartados
+ * Retorna { lines: [{ time, text }], synced } com as linhas em ordem de tempo
+ * Complexidade: O(l log l) - onde l é o número de linhas
+ */
+function parseLrc(text) {
+    const timed = [];
+    const plain = [];
+    let offset = 0;
+
+    String(text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+        const tag = rawLine.match(/^\s*\[([a-z]+):([^\]]*)\]\s*$/i);
+        if (tag) {
+            if (tag[1].toLowerCase() === 'offset') {
+                offset = (parseInt(tag[2], 10) || 0) / 1000;
+            }
+            return;
+        }
+
+        const times = [];
+        const content = rawLine
+            .replace(LRC_TIME_PATTERN, (match, minutes, seconds, fraction) => {
+                times.push(Number(minutes) * 60 + Number(seconds) +
+                    (fraction ? Number(fraction) / 10 ** fraction.length : 0));
+                return '';
+            })
+            .replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '')
+            .trim();
+
+        if (times.length > 0) {
+            times.forEach(time => timed.push({ time, text: content }));
+        } else if (content) {
+            plain.push({ time: null, text: content });
+        }
+    });
+
+    if (timed.length === 0) {
+        return { lines: plain, synced: false };
+    }
+
+    // Offset positivo no LRC adianta a letra
+    const lines = timed
+        .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+        .sort((a, b) => a.time - b.time);
+    return { lines, synced: true };
+}
+
+/**
+ * Formata segundos como tempo de LRC (mm:ss.xx)
+ */
+function formatLrcTime(seconds) {
+    const centiseconds = Math.round(Math.max(0, seconds) * 100);
+    const minutes = Math.floor(centiseconds / 6000);
+    const secs = Math.floor((centiseconds % 6000) / 100);
+    return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Gera o texto LRC de linhas com tempo; headers opcionais: { ti, ar, al }
+ */
+function buildLrc(lines, headers = {}) {
+    const header = Object.entries(headers)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `[${key}:${value}]`);
+    const body = lines.map(line => `[${formatLrcTime(line.time)}]${line.text.trim()}`);
+    return [...header, ...body].join('\n');
+}
+
+/**
+ * Grava a letra de uma música (substitui a anterior e zera o ajuste de sincronia)
+ * source: 'lrc' (arquivo), 'embedded' (tags) ou 'editor'
+ */
+async function saveTrackLyrics(trackId, text, source) {
+    await putRecordInDB('lyrics', {
+        id: trackId,
+        text,
+        source,
+        offset: 0,
+        dateAdded: new Date().toISOString()
+    });
+    if (AppState.currentTrack && AppState.currentTrack.id === trackId) {
+        refreshLyricsPanel();
+    }
+}
+
+/**
+ * Indica se o arquivo enviado é uma letra LRC
+ */
+function isLyricsFile(file) {
+    return /\.lrc$/i.test(file.name);
+}
+
+/**
+ * Caminho (ou nome) sem extensão, em minúsculas, para casar música e letra
+ */
+function getFileStem(path) {
+    return String(path || '').replace(/\.[^/.]+$/, '').toLowerCase();
+}
+
+/**
+ * Procura, entre os .lrc enviados, o arquivo com o mesmo nome da música
+ * Compara primeiro o caminho relativo (mesma pasta) e depois só o nome
+ * Complexidade: O(m) - onde m é o número de letras enviadas
+ */
+function findLyricsFile(lyricsFiles, fileName) {
+    const stem = getFileStem(fileName);
+    const baseStem = getFileStem(getPathBaseName(fileName));
+    return lyricsFiles.find(file => getFileStem(file.webkitRelativePath || file.name) === stem) ||
+        lyricsFiles.find(file => getFileStem(file.name) === baseStem) ||
+        null;
+}
+
+/**
+ * Associa a letra importada a uma música
+ * Um arquivo .lrc sempre substitui a letra atual; a letra das tags só preenche a que falta
+ */
+async function importTrackLyrics(track, lyricsFile, embeddedLyrics) {
+    if (lyricsFile) {
+        await saveTrackLyrics(track.id, await lyricsFile.text(), 'lrc');
+        return true;
+    }
+    if (!embeddedLyrics || await getRecordFromDB('lyrics', track.id)) {
+        return false;
+    }
+    await saveTrackLyrics(track.id, embeddedLyrics, 'embedded');
+    return true;
+}
+
+/**
+ * Associa .lrc enviados sem o áudio às músicas já existentes, pelo nome do arquivo
+ * Retorna quantas letras foram associadas
+ * Complexidade: O(m·n) - letras enviadas e biblioteca
+ */
+async function attachLyricsFiles(lyricsFiles) {
+    let attached = 0;
+
+    for (const file of lyricsFiles) {
+        const stem = getFileStem(file.webkitRelativePath || file.name);
+        const baseStem = getFileStem(file.name);
+        const track = AppState.musicLibrary.find(t => getFileStem(t.fileName) === stem) ||
+            AppState.musicLibrary.find(t => getFileStem(getPathBaseName(t.fileName)) === baseStem);
+        if (!track) continue;
+
+        try {
+            await importTrackLyrics(track, file, null);
+            attached++;
+        } catch (error) {
+            console.error(`Erro ao importar ${file.name}:`, error);
+        }
+    }
+
+    return attached;
+}
+
+/**
+ * Indica se o painel de letra está aberto
+ */
+function isLyricsPanelOpen() {
+    return document.getElementById('lyricsModal').classList.contains('active');
+}
+
+/**
+ * Abre o painel de letra da música atual
+ */
+function openLyricsPanel() {
+    document.getElementById('lyricsModal').classList.add('active');
+    refreshLyricsPanel();
+}
+
+/**
+ * Abre ou fecha o painel de letra
+ */
+function toggleLyricsPanel() {
+    if (isLyricsPanelOpen()) {
+        document.getElementById('lyricsModal').classList.remove('active');
+    } else {
+        openLyricsPanel();
+    }
+}
+
+/**
+ * Carrega a letra da música atual e redesenha o painel (só com o painel aberto)
+ * Uma troca de música nesse meio tempo torna a leitura obsoleta
+ */
+async function refreshLyricsPanel() {
+    if (!isLyricsPanelOpen()) return;
+
+    const state = AppState.lyrics;
+    const track = AppState.currentTrack;
+    const request = ++state.request;
+
+    // A marcação em andamento pertence à música em que começou
+    if (state.editor && (!track || state.editor.trackId !== track.id)) {
+        state.editor = null;
+    }
+
+    let record = null;
+    if (track) {
+        try {
+            record = await getRecordFromDB('lyrics', track.id);
+        } catch (error) {
+            console.error('Erro ao carregar letra:', error);
+        }
+    }
+    if (request !== state.request) return;
+
+    const parsed = parseLrc(record ? record.text : '');
+    state.trackId = track ? track.id : null;
+    state.record = record;
+    state.lines = parsed.lines;
+    state.synced = parsed.synced;
+    renderLyricsPanel();
+}
+
+/**
+ * Redesenha o painel: música, ajuste de sincronia, linhas (ou editor) e botões
+ */
+function renderLyricsPanel() {
+    const state = AppState.lyrics;
+    const track = AppState.currentTrack;
+    const editor = state.editor;
+    const offset = state.record ? state.record.offset || 0 : 0;
+
+    document.getElementById('lyricsTrack').textContent = track
+        ? `${track.name} — ${track.artist}`
+        : 'Nenhuma música selecionada';
+
+    const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    };
+    show('lyricsOffsetControls', !editor && state.synced);
+    show('lyricsViewActions', !editor);
+    show('lyricsEditorActions', Boolean(editor));
+    show('lyricsEditorText', Boolean(editor) && editor.stage === 'text');
+    show('lyricsLines', !editor || editor.stage === 'tap');
+    show('lyricsStartTapBtn', Boolean(editor) && editor.stage === 'text');
+    show('lyricsTapBtn', Boolean(editor) && editor.stage === 'tap');
+    show('lyricsUndoBtn', Boolean(editor) && editor.stage === 'tap');
+    show('lyricsSaveBtn', Boolean(editor) && editor.stage === 'tap');
+
+    const sign = offset > 0 ? '+' : offset < 0 ? '−' : '';
+    document.getElementById('lyricsOffsetValue').textContent =
+        `Ajuste: ${sign}${Math.abs(offset).toFixed(1).replace('.', ',')} s`;
+
+    document.getElementById('lyricsImportBtn').disabled = !track;
+    document.getElementById('lyricsEditBtn').disabled = !track;
+    document.getElementById('lyricsRemoveBtn').disabled = !state.record;
+    document.getElementById('lyricsExportBtn').disabled = !state.synced;
+
+    let hint = '';
+    if (editor && editor.stage === 'text') {
+        hint = 'Cole a letra, uma linha por verso, e clique em "Começar": a música volta ao início.';
+    } else if (editor) {
+        hint = `Clique em "Marcar linha" (ou Enter) quando cada linha começar — ${editor.times.length}/${editor.lines.length} marcadas.`;
+    } else if (!track) {
+        hint = '';
+    } else if (!state.record) {
+        hint = 'Esta música não tem letra. Importe um .lrc ou use "Sincronizar" para criar uma.';
+    } else if (!state.synced) {
+        hint = 'Letra sem tempos: use "Sincronizar" para marcar cada linha.';
+    }
+    document.getElementById('lyricsHint').textContent = hint;
+
+    renderLyricsLines();
+}
+
+/**
+ * Renderiza as linhas da letra (ou as do editor, com a próxima a marcar em destaque)
+ */
+function renderLyricsLines() {
+    const state = AppState.lyrics;
+    const editor = state.editor;
+    const container = document.getElementById('lyricsLines');
+    container.innerHTML = '';
+    container.classList.toggle('synced', state.synced && !editor);
+    state.active = -1;
+
+    const lines = editor ? editor.lines.map((text, i) => ({ time: editor.times[i] ?? null, text })) : state.lines;
+    lines.forEach((line, index) => {
+        const row = document.createElement('p');
+        row.className = 'lyrics-line';
+        row.dataset.index = index;
+        row.textContent = line.text;
+
+        if (editor && line.time !== null) {
+            const time = document.createElement('small');
+            time.textContent = formatLrcTime(line.time);
+            row.prepend(time);
+        }
+        container.appendChild(row);
+    });
+
+    if (editor) {
+        highlightLyricsLine(editor.times.length, true);
+    } else {
+        updateLyricsHighlight();
+    }
+}
+
+/**
+ * Destaca uma linha e a traz para o centro (a menos que o usuário tenha rolado há pouco)
+ */
+function highlightLyricsLine(index, force = false) {
+    const state = AppState.lyrics;
+    const container = document.getElementById('lyricsLines');
+    if (index === state.active && !force) return;
+
+    const previous = container.children[state.active];
+    if (previous) previous.classList.remove('active');
+    state.active = index;
+
+    const row = container.children[index];
+    if (!row) return;
+    row.classList.add('active');
+    if (Date.now() - state.scrolledAt > LYRICS_SCROLL_PAUSE_MS) {
+        row.scrollIntoView({ block: 'center', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    }
+}
+
+/**
+ * Acompanha a reprodução: destaca a última linha cujo tempo (com ajuste) já passou
+ * Complexidade: O(log l) - busca binária nas linhas
+ */
+function updateLyricsHighlight() {
+    const state = AppState.lyrics;
+    if (!state.synced || state.editor || !isLyricsPanelOpen()) return;
+    if (!AppState.currentTrack || state.trackId !== AppState.currentTrack.id) return;
+
+    const time = AppState.audio.currentTime - (state.record.offset || 0);
+    let low = 0;
+    let high = state.lines.length - 1;
+    let index = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (state.lines[middle].time <= time) {
+            index = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    highlightLyricsLine(index);
+}
+
+/**
+ * Altera o ajuste de sincronia (positivo atrasa a letra) e grava junto com ela
+ */
+async function setLyricsOffset(offset) {
+    const record = AppState.lyrics.record;
+    if (!record) return;
+
+    record.offset = Math.round(offset * 10) / 10;
+    renderLyricsPanel();
+    try {
+        await putRecordInDB('lyrics', record);
+    } catch (error) {
+        console.error('Erro ao salvar ajuste da letra:', error);
+    }
+}
+
+/**
+ * Exporta a letra sincronizada como .lrc (com o ajuste de sincronia aplicado)
+ */
+function exportLyrics() {
+    const { record, lines, synced } = AppState.lyrics;
+    const track = AppState.currentTrack;
+    if (!track || !record || !synced) return;
+
+    const offset = record.offset || 0;
+    const text = buildLrc(
+        lines.map(line => ({ time: line.time + offset, text: line.text })),
+        { ti: track.name, ar: track.artist, al: hasKnownAlbum(track) ? track.album : '' }
+    );
+    const baseName = getPathBaseName(track.fileName || track.name).replace(/\.[^.]+$/, '');
+    downloadFile(text + '\n', `${baseName}.lrc`, 'text/plain;charset=utf-8');
+}
+
+/**
+ * Importa um .lrc (ou .txt sem tempos) escolhido no painel para a música atual
+ */
+async function importLyricsForCurrentTrack(file) {
+    const track = AppState.currentTrack;
+    if (!track) return;
+
+    try {
+        await saveTrackLyrics(track.id, await file.text(), 'lrc');
+    } catch (error) {
+        console.error('Erro ao importar letra:', error);
+        alert(`Erro ao importar ${file.name}.`);
+    }
+}
+
+/**
+ * Remove a letra da música atual
+ */
+async function removeCurrentLyrics() {
+    const track = AppState.currentTrack;
+    if (!track || !AppState.lyrics.record) return;
+    if (!confirm(`Remover a letra de "${track.name}"?`)) return;
+
+    await deleteRecordFromDB('lyrics', track.id);
+    refreshLyricsPanel();
+}
+
+/**
+ * Abre o editor: a letra atual (sem tempos) vira o texto inicial
+ */
+function startLyricsEditor() {
+    const track = AppState.currentTrack;
+    if (!track) return;
+
+    AppState.lyrics.editor = { trackId: track.id, stage: 'text', lines: [], times: [] };
+    document.getElementById('lyricsEditorText').value = AppState.lyrics.lines.map(line => line.text).join('\n');
+    renderLyricsPanel();
+    document.getElementById('lyricsEditorText').focus();
+}
+
+/**
+ * Começa a marcação: a música volta ao início e cada toque grava o tempo da próxima linha
+ */
+function startLyricsTapping() {
+    const editor = AppState.lyrics.editor;
+    const lines = document.getElementById('lyricsEditorText').value
+        .split(/\r\n|\r|\n/)
+        .map(line => line.replace(LRC_TIME_PATTERN, '').trim())
+        .filter(Boolean);
+    if (lines.length === 0) {
+        alert('Digite ou cole a letra antes de começar.');
+        return;
+    }
+
+    editor.stage = 'tap';
+    editor.lines = lines;
+    editor.times = [];
+    AppState.lyrics.scrolledAt = 0;
+    renderLyricsPanel();
+
+    seekTo(0);
+    play();
+    document.getElementById('lyricsTapBtn').focus();
+}
+
+/**
+ * Marca o início da próxima linha no tempo atual da música
+ */
+function tapLyricsLine() {
+    const editor = AppState.lyrics.editor;
+    if (!editor || editor.stage !== 'tap' || editor.times.length >= editor.lines.length) return;
+
+    editor.times.push(AppState.audio.currentTime);
+    renderLyricsPanel();
+}
+
+/**
+ * Desfaz a última marcação e volta a música um pouco antes dela
+ */
+function undoLyricsTap() {
+    const editor = AppState.lyrics.editor;
+    if (!editor || editor.times.length === 0) return;
+
+    const time = editor.times.pop();
+    seekTo(time - LYRICS_UNDO_REWIND);
+    renderLyricsPanel();
+}
+
+/**
+ * Salva as linhas marcadas como uma nova letra LRC da música
+ */
+async function saveLyricsEditor() {
+    const editor = AppState.lyrics.editor;
+    const track = AppState.musicLibrary.find(t => editor && t.id === editor.trackId);
+    if (!track) return;
+
+    const count = editor.times.length;
+    if (count === 0) {
+        alert('Nenhuma linha foi marcada ainda.');
+        return;
+    }
+    if (count < editor.lines.length &&
+        !confirm(`Só ${count} de ${editor.lines.length} linhas foram marcadas. Salvar apenas essas?`)) {
+        return;
+    }
+
+    const lines = editor.times.map((time, i) => ({ time, text: editor.lines[i] }));
+    AppState.lyrics.editor = null;
+    try {
+        await saveTrackLyrics(track.id, buildLrc(lines), 'editor');
+    } catch (error) {
+        console.error('Erro ao salvar letra:', error);
+        alert('Erro ao salvar a letra. Tente novamente.');
+    }
+}
+
+/**
+ * Liga o painel de letra: abrir/fechar, clique para buscar, ajuste, importação e editor
+ */
+function setupLyricsControls() {
+    const modal = document.getElementById('lyricsModal');
+    const lines = document.getElementById('lyricsLines');
+
+    document.getElementById('lyricsBtn').addEventListener('click', toggleLyricsPanel);
+    document.getElementById('lyricsModalClose').addEventListener('click', () => {
+        modal.classList.remove('active');
+    });
+
+    // Clique em uma linha sincronizada leva a música até ela
+    lines.addEventListener('click', (e) => {
+        const state = AppState.lyrics;
+        const row = e.target.closest('.lyrics-line');
+        if (!row || state.editor || !state.synced) return;
+
+        const line = state.lines[Number(row.dataset.index)];
+        if (!line) return;
+        state.scrolledAt = 0;
+        seekTo(line.time + (state.record.offset || 0));
+        updateLyricsHighlight();
+    });
+
+    // Rolagem feita pelo usuário pausa a rolagem automática por alguns segundos
+    ['wheel', 'touchmove'].forEach(type => {
+        lines.addEventListener(type, () => {
+            AppState.lyrics.scrolledAt = Date.now();
+        }, { passive: true });
+    });
+
+    document.getElementById('lyricsEarlierBtn').addEventListener('click', () => {
+        setLyricsOffset((AppState.lyrics.record.offset || 0) - LYRICS_OFFSET_STEP);
+    });
+    document.getElementById('lyricsLaterBtn').addEventListener('click', () => {
+        setLyricsOffset((AppState.lyrics.record.offset || 0) + LYRICS_OFFSET_STEP);
+    });
+    document.getElementById('lyricsResetOffsetBtn').addEventListener('click', () => setLyricsOffset(0));
+
+    document.getElementById('lyricsImportBtn').addEventListener('click', () => {
+        document.getElementById('lyricsFileInput').click();
+    });
+    document.getElementById('lyricsFileInput').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importLyricsForCurrentTrack(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('lyricsExportBtn').addEventListener('click', exportLyrics);
+    document.getElementById('lyricsRemoveBtn').addEventListener('click', removeCurrentLyrics);
+
+    document.getElementById('lyricsEditBtn').addEventListener('click', startLyricsEditor);
+    document.getElementById('lyricsStartTapBtn').addEventListener('click', startLyricsTapping);
+    document.getElementById('lyricsTapBtn').addEventListener('click', tapLyricsLine);
+    document.getElementById('lyricsUndoBtn').addEventListener('click', undoLyricsTap);
+    document.getElementById('lyricsSaveBtn').addEventListener('click', saveLyricsEditor);
+    document.getElementById('lyricsCancelEditBtn').addEventListener('click', () => {
+        AppState.lyrics.editor = null;
+        renderLyricsPanel();
+    });
+}
+
+// ============================================
+// SISTEMA DE BUSCA
+// ============================================
+
+// Campos indexados: bit na máscara de campos e peso na relevância
+const SEARCH_FIELDS = [
+    { key: 'name', bit: 1, weight: 3 },
+    { key: 'artist', bit: 2, weight: 2 },
+    { key: 'albumArtist', bit: 4, weight: 1.5 },
+    { key: 'album', bit: 8, weight: 1.5 },
+    { key: 'genre', bit: 16, weight: 1 }
+];
+
+// Relevância de cada tipo de correspondência de um termo
+const SEARCH_EXACT_SCORE = 1;
+const SEARCH_PREFIX_SCORE = 0.8;
+const SEARCH_TYPO_SCORE = 0.6;
+
+// Espera (ms) após a digitação antes de buscar
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Máximo de artistas, álbuns e playlists mostrados nos resultados
+const SEARCH_GROUP_LIMIT = 8;
+
+/**
+ * Quebra um texto em termos sem acentos e em minúsculas ("Música" -> "musica")
+ */
+function tokenizeForSearch(text) {
+    return normalizeForMatch(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Indexa (ou reindexa) uma música no índice invertido
+ * Complexidade: O(k) - onde k é o número de termos da música
+ */
+function indexTrack(track) {
+    const index = AppState.searchIndex;
+    removeTrackFromIndex(track.id);
+
+    const masks = new Map();
+    SEARCH_FIELDS.forEach(field => {
+        tokenizeForSearch(track[field.key]).forEach(term => {
+            masks.set(term, (masks.get(term) || 0) | field.bit);
+        });
+    });
+
+    masks.forEach((mask, term) => {
+        if (!index.postings.has(term)) {
+            index.postings.set(term, new Map());
+            index.sortedTerms = null;
+        }
+        index.postings.get(term).set(track.id, mask);
+    });
+    index.trackTerms.set(track.id, [...masks.keys()]);
+}
+
+/**
+ * Remove uma música do índice
+ * Complexidade: O(k) - onde k é o número de termos da música
+ */
+function removeTrackFromIndex(trackId) {
+    const index = AppState.searchIndex;
+    const terms = index.trackTerms.get(trackId);
+    if (!terms) return;
+
+    terms.forEach(term => {
+        const postings = index.postings.get(term);
+        postings.delete(trackId);
+        if (postings.size === 0) {
+            index.postings.delete(term);
+            index.sortedTerms = null;
+        }
+    });
+    index.trackTerms.delete(trackId);
+}
+
+/**
+ * Reconstrói o índice a partir da biblioteca inteira
+ * Complexidade: O(n·k)
+ */
+function buildSearchIndex() {
+    AppState.searchIndex = { postings: new Map(), trackTerms: new Map(), sortedTerms: null };
+    AppState.musicLibrary.forEach(indexTrack);
+}
+
+/**
+ * Termos do índice em ordem alfabética (recalculados só quando o vocabulário muda)
+ * Complexidade: O(t log t) na primeira chamada, O(1) depois
+ */
+function getSortedSearchTerms() {
+    const index = AppState.searchIndex;
+    if (!index.sortedTerms) {
+        index.sortedTerms = [...index.postings.keys()].sort();
+    }
+    return index.sortedTerms;
+}
+
+/**
+ * Distância de edição (Damerau-Levenshtein restrita), interrompida ao passar de max
+ * Complexidade: O(a·b)
+ */
+function editDistance(a, b, max) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+            // Transposição de letras vizinhas ("beyocne")
+            if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = current;
+    }
+    return row[b.length];
+}
+
+/**
+ * Número de erros de digitação tolerados para um termo da busca
+ */
+function getAllowedTypos(term) {
+    if (term.length >= 7) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Relevância da correspondência entre um termo da busca e um termo indexado (0 = não casa)
+ */
+function scoreTermMatch(query, term) {
+    if (term === query) return SEARCH_EXACT_SCORE;
+    if (term.startsWith(query)) return SEARCH_PREFIX_SCORE;
+
+    const allowed = getAllowedTypos(query);
+    if (allowed === 0 || Math.abs(term.length - query.length) > allowed) return 0;
+    const distance = editDistance(query, term, allowed);
+    return distance <= allowed ? SEARCH_TYPO_SCORE / distance : 0;
+}
+
+/**
+ * Termos do índice que casam com um termo da busca: exato, prefixo ou com erros de digitação
+ * Complexidade: O(log t + p) para prefixos, O(t) para a tolerância a erros
+ */
+function expandSearchTerm(query) {
+    const terms = getSortedSearchTerms();
+    const matches = new Map();
+
+    // Busca binária pelo primeiro termo >= query; os prefixos vêm em seguida
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (terms[middle] < query) low = middle + 1;
+        else high = middle;
+    }
+    for (let i = low; i < terms.length && terms[i].startsWith(query); i++) {
+        matches.set(terms[i], terms[i] === query ? SEARCH_EXACT_SCORE : SEARCH_PREFIX_SCORE);
+    }
+
+    if (getAllowedTypos(query) > 0) {
+        terms.forEach(term => {
+            if (matches.has(term)) return;
+            const score = scoreTermMatch(query, term);
+            if (score > 0) matches.set(term, score);
+        });
+    }
+    return matches;
+}
+
+/**
+ * Maior peso entre os campos presentes em uma máscara
+ */
+function getSearchFieldWeight(mask) {
+    return SEARCH_FIELDS.reduce((weight, field) => (mask & field.bit ? Math.max(weight, field.weight) : weight), 0);
+}
+
+/**
+ * Músicas que contêm todos os termos, com relevância e os campos em que todos casaram
+ * Complexidade: O(m) - onde m é o número de ocorrências dos termos expandidos
+ */
+function searchTrackIndex(queryTerms) {
+    const { postings } = AppState.searchIndex;
+    let results = null;
+
+    for (const query of queryTerms) {
+        const hits = new Map();
+        expandSearchTerm(query).forEach((quality, term) => {
+            postings.get(term).forEach((mask, trackId) => {
+                const score = quality * getSearchFieldWeight(mask);
+                const hit = hits.get(trackId);
+                if (hit) {
+                    hit.score = Math.max(hit.score, score);
+                    hit.fields |= mask;
+                } else {
+                    hits.set(trackId, { score, fields: mask });
+                }
+            });
+        });
+
+        if (results === null) {
+            results = hits;
+            continue;
+        }
+
+        const merged = new Map();
+        results.forEach((hit, trackId) => {
+            const other = hits.get(trackId);
+            if (other) {
+                merged.set(trackId, { score: hit.score + other.score, fields: hit.fields & other.fields });
+            }
+        });
+        results = merged;
+    }
+
+    return results || new Map();
+}
+
+/**
+ * Verifica se um texto contém todos os termos da busca (usado para playlists)
+ */
+function matchesSearchTerms(text, queryTerms) {
+    const terms = tokenizeForSearch(text);
+    return queryTerms.every(query => terms.some(term => scoreTermMatch(query, term) > 0));
+}
+
+/**
+ * Cria um filtro numérico: "5", ">5", ">=5", "<5", "<=5" ou "1970..1979"
+ */
+function parseNumericFilter(value) {
+    const range = value.match(/^(\d*)\.\.(\d*)$/);
+    if (range) {
+        const min = range[1] ? Number(range[1]) : -Infinity;
+        const max = range[2] ? Number(range[2]) : Infinity;
+        return number => number >= min && number <= max;
+    }
+
+    const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+    if (!comparison) return null;
+
+    const target = Number(comparison[2]);
+    switch (comparison[1]) {
+        case '>': return number => number > target;
+        case '>=': return number => number >= target;
+        case '<': return number => number < target;
+        case '<=': return number => number <= target;
+        default: return number => number === target;
+    }
+}
+
+/**
+ * Converte um qualificador (chave:valor) em um filtro de músicas
+ * Retorna null para chaves desconhecidas, que são tratadas como texto
+ */
+function createSearchFilter(key, value) {
+    const folded = normalizeForMatch(value);
+    const contains = text => normalizeForMatch(text).includes(folded);
+
+    switch (key) {
+        case 'artist':
+            return track => contains(track.artist) || contains(track.albumArtist);
+        case 'album':
+            return track => contains(track.album);
+        case 'genre':
+            return track => contains(track.genre);
+        case 'title':
+        case 'name':
+            return track => contains(track.name);
+        case 'year': {
+            const test = parseNumericFilter(value);
+            return test && (track => Boolean(track.year) && test(Number(track.year)));
+        }
+        case 'plays': {
+            const test = parseNumericFilter(value);
+            return test && (track => test(track.playCount || 0));
+        }
+        case 'bpm':
+        case 'energy':
+        case 'dance': {
+            const field = key === 'dance' ? 'danceability' : key;
+            const test = parseNumericFilter(value);
+            return test && (track => track[field] != null && test(track[field]));
+        }
+        case 'key': {
+            // Nome do tom ("Am", "F#") ou código de Camelot ("8A")
+            const wanted = value.toLowerCase();
+            return track => [track.musicalKey, track.camelot].some(k => k && k.toLowerCase() === wanted);
+        }
+        case 'is':
+            if (folded === 'favorite' || folded === 'favorita') return track => AppState.favoriteTracks.has(track.id);
+            if (folded === 'played') return track => (track.playCount || 0) > 0;
+            if (folded === 'unplayed') return track => !track.playCount;
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Separa os qualificadores (artist:"Caetano" year:1970..1979 ...) do texto livre
+ */
+function parseSearchQuery(query) {
+    const filters = [];
+    const text = query.replace(/(\w+):(?:"([^"]*)"|(\S+))/g, (match, key, quoted, plain) => {
+        const filter = createSearchFilter(key.toLowerCase(), quoted !== undefined ? quoted : plain);
+        if (!filter) return match;
+        filters.push(filter);
+        return ' ';
+    });
+    return { terms: tokenizeForSearch(text), filters };
+}
+
+/**
+ * Busca na biblioteca com índice invertido, sem acentos, com prefixos e erros de digitação
+ * Retorna músicas ordenadas por relevância e os artistas, álbuns e playlists encontrados
+ * Complexidade: O(m + t + r log r) - ocorrências, vocabulário e ordenação dos resultados
+ */
+function searchMusics(query) {
+    const { terms, filters } = parseSearchQuery(query || '');
+    const passesFilters = track => filters.every(filter => filter(track));
+
+    if (terms.length === 0) {
+        return { tracks: AppState.musicLibrary.filter(passesFilters), artists: [], albums: [], playlists: [] };
+    }
+
+    const tracksById = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    const ranked = [];
+    searchTrackIndex(terms).forEach((hit, trackId) => {
+        const track = tracksById.get(trackId);
+        if (track && passesFilters(track)) {
+            // Músicas mais ouvidas desempatam resultados de mesma relevância
+            ranked.push({ track, hit, score: hit.score + Math.log1p(track.playCount || 0) * 0.1 });
+        }
+    });
+    ranked.sort((a, b) => b.score - a.score);
+
+    // Artistas e álbuns em que todos os termos casaram, na ordem da melhor música
+    const artistBit = SEARCH_FIELDS.find(f => f.key === 'artist').bit;
+    const albumArtistBit = SEARCH_FIELDS.find(f => f.key === 'albumArtist').bit;
+    const albumBit = SEARCH_FIELDS.find(f => f.key === 'album').bit;
+    const artists = new Map();
+    const albums = new Map();
+
+    ranked.forEach(({ track, hit }) => {
+        const artistName = hit.fields & artistBit ? track.artist
+            : hit.fields & albumArtistBit ? track.albumArtist : null;
+        if (artistName) {
+            const entry = artists.get(artistName) || { name: artistName, count: 0 };
+            entry.count++;
+            artists.set(artistName, entry);
+        }
+        if (hit.fields & albumBit && hasKnownAlbum(track)) {
+            const key = getAlbumKey(track);
+            const entry = albums.get(key) || { key, album: track.album, artist: getAlbumArtist(track), count: 0 };
+            entry.count++;
+            albums.set(key, entry);
+        }
+    });
+
+    return {
+        tracks: ranked.map(result => result.track),
+        artists: [...artists.values()].slice(0, SEARCH_GROUP_LIMIT),
+        albums: [...albums.values()].slice(0, SEARCH_GROUP_LIMIT),
+        playlists: AppState.playlists.filter(p => matchesSearchTerms(p.name, terms)).slice(0, SEARCH_GROUP_LIMIT)
+    };
+}
+
+// ============================================
+// SISTEMA DE RECOMENDAÇÕES
+// ============================================
+
+// Intervalo sem escutas (ms) que encerra uma sessão de audição
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Quantas músicas anteriores da sessão contam como "ouvidas juntas"
+const CO_LISTEN_WINDOW = 10;
+
+// Meia-vida (dias) do peso de uma escuta na afinidade por artista
+const AFFINITY_HALF_LIFE_DAYS = 30;
+
+// Pular antes disso (segundos ou fração da duração) é um sinal negativo
+const EARLY_SKIP_SECONDS = 30;
+const EARLY_SKIP_RATIO = 0.3;
+
+// Sem tocar há mais desses dias, a música entra em "Redescubra" / "Favoritas esquecidas"
+const REDISCOVER_AFTER_DAYS = 30;
+
+// Músicas por prateleira e por artista dentro de uma prateleira
+const SHELF_SIZE = 10;
+const SHELF_MAX_PER_ARTIST = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cria um modelo de recomendações vazio
+ * Os pesos de afinidade usam como referência o momento da criação, então
+ * escutas antigas valem menos sem precisar recalcular tudo com o passar do tempo
+ */
+function createRecommendationModel() {
+    return {
+        referenceTime: Date.now(),
+        listenCount: 0,
+        tracks: new Map(),         // id -> { plays, skips, lastPlayed (ms) }
+        artists: new Map(),        // artista normalizado -> afinidade
+        maxArtistAffinity: 0,      // Maior |afinidade| (null: recalcular na próxima consulta)
+        coListens: new Map(),      // id -> Map(id vizinho -> peso)
+        session: { lastEndedAt: 0, trackIds: [] }
+    };
+}
+
+/**
+ * Indica se a escuta foi interrompida logo no começo
+ */
+function isEarlySkip(listen) {
+    if (!listen.skipped) return false;
+    return listen.playedSeconds < EARLY_SKIP_SECONDS ||
+        (listen.duration > 0 && listen.playedSeconds < listen.duration * EARLY_SKIP_RATIO);
+}
+
+/**
+ * Soma um peso à relação entre duas músicas ouvidas na mesma sessão
+ */
+function addCoListen(model, a, b, weight) {
+    if (!model.coListens.has(a)) {
+        model.coListens.set(a, new Map());
+    }
+    const neighbors = model.coListens.get(a);
+    neighbors.set(b, (neighbors.get(b) || 0) + weight);
+}
+
+/**
+ * Incorpora uma escuta ao modelo (as escutas devem chegar em ordem cronológica)
+ * Complexidade: O(w) - onde w é a janela de co-audição
+ */
+function addListenToModel(model, listen) {
+    const startedAt = new Date(listen.startedAt).getTime();
+    const endedAt = new Date(listen.endedAt || listen.startedAt).getTime();
+    const earlySkip = isEarlySkip(listen);
+    model.listenCount++;
+
+    const stats = model.tracks.get(listen.trackId) || { plays: 0, skips: 0, lastPlayed: 0 };
+    if (earlySkip) {
+        stats.skips++;
+    } else {
+        stats.plays++;
+        stats.lastPlayed = Math.max(stats.lastPlayed, startedAt);
+    }
+    model.tracks.set(listen.trackId, stats);
+
+    // Afinidade com decaimento exponencial: escutas completas somam, pulos rápidos subtraem
+    const decay = Math.pow(2, (startedAt - model.referenceTime) / (AFFINITY_HALF_LIFE_DAYS * DAY_MS));
+    const signal = earlySkip ? -0.5 : (listen.completed ? 1 : 0.5);
+    const artistKey = getArtistKey(listen.artist || '');
+    const previous = Math.abs(model.artists.get(artistKey) || 0);
+    const affinity = (model.artists.get(artistKey) || 0) + signal * decay;
+    model.artists.set(artistKey, affinity);
+    if (model.maxArtistAffinity !== null) {
+        if (Math.abs(affinity) >= model.maxArtistAffinity) {
+            model.maxArtistAffinity = Math.abs(affinity);
+        } else if (previous === model.maxArtistAffinity) {
+            // O artista que definia o máximo perdeu afinidade (pulos)
+            model.maxArtistAffinity = null;
+        }
+    }
+
+    // Sessões: escutas separadas por menos de SESSION_GAP_MS; pulos rápidos não entram
+    const session = model.session;
+    if (startedAt - session.lastEndedAt > SESSION_GAP_MS) {
+        session.trackIds = [];
+    }
+    session.lastEndedAt = Math.max(session.lastEndedAt, endedAt);
+    if (earlySkip) return;
+
+    const recent = session.trackIds.slice(-CO_LISTEN_WINDOW);
+    recent.forEach((otherId, position) => {
+        if (otherId === listen.trackId) return;
+        // Músicas mais próximas na sessão pesam mais
+        const weight = 1 / (recent.length - position);
+        addCoListen(model, listen.trackId, otherId, weight);
+        addCoListen(model, otherId, listen.trackId, weight);
+    });
+    session.trackIds.push(listen.trackId);
+}
+
+/**
+ * Constrói o modelo a partir de todas as escutas gravadas
+ * Complexidade: O(k·w) - onde k é o número de escutas
+ */
+async function loadRecommendationModel() {
+    const model = createRecommendationModel();
+    const listens = await loadListens();
+    listens.forEach(listen => addListenToModel(model, listen));
+    AppState.recommendationModel = model;
+    return model;
+}
+
+/**
+ * Afinidade por artista normalizada entre -1 e 1
+ * Complexidade: O(1) - O máximo é mantido por addListenToModel (O(A) só quando invalidado)
+ */
+function getArtistAffinity(model, artist) {
+    if (model.maxArtistAffinity === null) {
+        model.maxArtistAffinity = 0;
+        model.artists.forEach(value => {
+            model.maxArtistAffinity = Math.max(model.maxArtistAffinity, Math.abs(value));
+        });
+    }
+    const max = model.maxArtistAffinity;
+    return max > 0 ? (model.artists.get(getArtistKey(artist || '')) || 0) / max : 0;
+}
+
+/**
+ * Penalidade por pulos: fração das escutas da música que foram pulos rápidos
+ */
+function getSkipPenalty(model, trackId) {
+    const stats = model.tracks.get(trackId);
+    if (!stats || stats.skips === 0) return 0;
+    return stats.skips / (stats.plays + stats.skips);
+}
+
+/**
+ * Indica se a música é pulada com frequência (fica fora das recomendações)
+ */
+function isOftenSkipped(model, trackId) {
+    const stats = model.tracks.get(trackId);
+    return Boolean(stats) && stats.skips >= 2 && getSkipPenalty(model, trackId) > 0.5;
+}
+
+/**
+ * Seleciona as melhores músicas evitando que um artista domine a lista
+ * Artistas acima do limite só entram se faltarem músicas
+ * Complexidade: O(n) - sobre a lista já ordenada
+ */
+function diversifyByArtist(rankedTracks, limit = SHELF_SIZE, maxPerArtist = SHELF_MAX_PER_ARTIST) {
+    const picked = [];
+    const overflow = [];
+    const perArtist = new Map();
+
+    for (const track of rankedTracks) {
+        if (picked.length >= limit) break;
+        const key = getArtistKey(track.artist || '');
+        const count = perArtist.get(key) || 0;
+        if (count < maxPerArtist) {
+            picked.push(track);
+            perArtist.set(key, count + 1);
+        } else {
+            overflow.push(track);
+        }
+    }
+    return picked.concat(overflow.slice(0, limit - picked.length));
+}
+
+/**
+ * Ordena músicas por pontuação decrescente, descartando as sem pontuação
+ */
+function rankByScore(tracks, score) {
+    return tracks
+        .map(track => ({ track, score: score(track) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.track);
+}
+
+/**
+ * Gera recomendações gerais: afinidade por artista, co-audição com o que
+ * foi ouvido recentemente e novidade, menos a penalidade por pulos
+ * Complexidade: O(n log n) - pontuação e ordenação da biblioteca
+ */
+function getRecommendations(limit = SHELF_SIZE) {
+    const model = AppState.recommendationModel;
+    if (!model || model.listenCount === 0) {
+        // Sem escutas, retorna as músicas adicionadas mais recentemente
+        return AppState.musicLibrary
+            .slice()
+            .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
+            .slice(0, limit);
+    }
+
+    // Vizinhos de co-audição das últimas músicas tocadas
+    const recentIds = new Set(AppState.playHistory.slice(0, 10).map(t => t.id));
+    const coScores = new Map();
+    AppState.playHistory.slice(0, 5).forEach((track, position) => {
+        (model.coListens.get(track.id) || new Map()).forEach((weight, neighborId) => {
+            coScores.set(neighborId, (coScores.get(neighborId) || 0) + weight / (position + 1));
+        });
+    });
+    const maxCo = Math.max(1, ...coScores.values());
+
+    const candidates = AppState.musicLibrary.filter(track =>
+        !recentIds.has(track.id) && !isOftenSkipped(model, track.id)
+    );
+    const ranked = rankByScore(candidates, track => {
+        const stats = model.tracks.get(track.id);
+        const novelty = stats ? 0 : 0.3;
+        // Base pequena para que a biblioteca inteira possa completar a lista
+        return 0.01 + Math.max(0, getArtistAffinity(model, track.artist)) +
+            (coScores.get(track.id) || 0) / maxCo + novelty -
+            getSkipPenalty(model, track.id);
+    });
+    return diversifyByArtist(ranked, limit);
+}
+
+/**
+ * Prateleiras "Porque você ouviu X": músicas ouvidas nas mesmas sessões
+ * que as últimas músicas tocadas
+ */
+function getBecauseYouListenedShelves(model, maxShelves = 2) {
+    const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    const shelves = [];
+
+    for (const seed of AppState.playHistory.slice(0, 10)) {
+        if (shelves.length >= maxShelves) break;
+        const neighbors = model.coListens.get(seed.id);
+        if (!neighbors) continue;
+
+        const tracks = [...neighbors.keys()]
+            .map(id => byId.get(id))
+            .filter(track => track && !isOftenSkipped(model, track.id));
+        const ranked = rankByScore(tracks, track =>
+            neighbors.get(track.id) + 0.3 * getArtistAffinity(model, track.artist)
+        );
+        if (ranked.length < 3) continue;
+
+        shelves.push({
+            title: `Porque você ouviu ${seed.name}`,
+            explanation: `Músicas que você costuma ouvir na mesma sessão que "${seed.name}", de ${seed.artist}`,
+            tracks: diversifyByArtist(ranked)
+        });
+    }
+    return shelves;
+}
+
+/**
+ * Prateleira "Redescubra": músicas ouvidas várias vezes que não tocam há tempos
+ */
+function getRediscoverShelf(model, now) {
+    const cutoff = now - REDISCOVER_AFTER_DAYS * DAY_MS;
+    const tracks = AppState.musicLibrary.filter(track => {
+        const stats = model.tracks.get(track.id);
+        return stats && stats.plays >= 2 && stats.lastPlayed < cutoff &&
+            !AppState.favoriteTracks.has(track.id) && !isOftenSkipped(model, track.id);
+    });
+    const ranked = rankByScore(tracks, track => model.tracks.get(track.id).plays);
+    if (ranked.length < 3) return null;
+
+    return {
+        title: 'Redescubra',
+        explanation: `Músicas que você ouvia bastante e não toca há mais de ${REDISCOVER_AFTER_DAYS} dias`,
+        tracks: diversifyByArtist(ranked)
+    };
+}
+
+/**
+ * Prateleira "Favoritas esquecidas": favoritas sem tocar há tempos (mais antigas primeiro)
+ */
+function getForgottenFavoritesShelf(model, now) {
+    const cutoff = now - REDISCOVER_AFTER_DAYS * DAY_MS;
+    const lastPlayed = (track) => {
+        const stats = model.tracks.get(track.id);
+        return stats ? stats.lastPlayed : 0;
+    };
+    const tracks = AppState.musicLibrary
+        .filter(track => AppState.favoriteTracks.has(track.id) && lastPlayed(track) < cutoff)
+        .sort((a, b) => lastPlayed(a) - lastPlayed(b));
+    if (tracks.length === 0) return null;
+
+    return {
+        title: 'Favoritas esquecidas',
+        explanation: `Suas favoritas que não tocam há mais de ${REDISCOVER_AFTER_DAYS} dias`,
+        tracks: diversifyByArtist(tracks)
+    };
+}
+
+/**
+ * Monta as prateleiras da tela inicial, cada uma com título e explicação
+ * Complexidade: O(n log n) por prateleira
+ */
+function getRecommendationShelves() {
+    const model = AppState.recommendationModel;
+    if (!model || model.listenCount === 0) {
+        return [{
+            title: 'Adicionadas recentemente',
+            explanation: 'Ouça algumas músicas para receber recomendações personalizadas',
+            tracks: getRecommendations()
+        }];
+    }
+
+    // Artistas com maior afinidade explicam a prateleira principal
+    const topArtists = [...model.artists.entries()]
+        .filter(([, value]) => value > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([key]) => AppState.musicLibrary.find(t => getArtistKey(t.artist) === key))
+        .filter(Boolean)
+        .map(track => track.artist);
+
+    const now = Date.now();
+    return [
+        {
+            title: 'Recomendado para você',
+            explanation: topArtists.length > 0
+                ? `Baseado no que você tem ouvido, como ${topArtists.join(', ')}`
+                : 'Baseado no que você tem ouvido',
+            tracks: getRecommendations()
+        },
+        ...getBecauseYouListenedShelves(model),
+        getRediscoverShelf(model, now),
+        getForgottenFavoritesShelf(model, now)
+    ].filter(shelf => shelf && shelf.tracks.length > 0);
+}
+
+/**
+ * Renderiza as prateleiras de recomendações da tela inicial
+ */
+function renderRecommendations() {
+    const container = document.getElementById('homeShelves');
+    container.innerHTML = '';
+
+    getRecommendationShelves().forEach((shelf, index) => {
+        const section = document.createElement('div');
+        section.className = 'recommendations';
+
+        const title = document.createElement('h3');
+        title.textContent = shelf.title;
+        section.appendChild(title);
+
+        const explanation = document.createElement('p');
+        explanation.className = 'shelf-explanation';
+        explanation.textContent = shelf.explanation;
+        section.appendChild(explanation);
+
+        const grid = document.createElement('div');
+        grid.className = 'music-grid';
+        grid.id = `homeShelf${index}`;
+        section.appendChild(grid);
+
+        container.appendChild(section);
+        renderMusicGrid(shelf.tracks, grid.id);
+    });
+}
+
+// ============================================
+// HISTÓRICO DE ESCUTAS E ESTATÍSTICAS
+// ============================================
+
+// Fração da música que precisa ser ouvida para a escuta contar como completa
+const LISTEN_COMPLETE_RATIO = 0.9;
+
+/**
+ * Inicia o registro de uma escuta para a música carregada
+ */
+function startListen(track) {
+    if (!track) return;
+
+    AppState.currentListen = {
+        trackId: track.id,
+        startedAt: new Date().toISOString(),
+        playedSeconds: 0,
+        lastPosition: 0
+    };
+}
+
+/**
+ * Acumula o tempo efetivamente ouvido (chamado no 'timeupdate')
+ * Saltos grandes na posição são seeks e não contam como tempo ouvido
+ */
+function trackListenProgress() {
+    const listen = AppState.currentListen;
+    if (!listen) return;
+
+    const position = AppState.audio.currentTime;
+    const delta = position - listen.lastPosition;
+    if (!AppState.audio.paused && delta > 0 && delta < 2) {
+        listen.playedSeconds += delta;
+    }
+    listen.lastPosition = position;
+}
+
+/**
+ * Finaliza a escuta em andamento e grava o evento no IndexedDB
+ * reason: 'ended' (terminou), 'changed' (trocou de música) ou 'closed' (página fechada)
+ */
+function finishListen(reason) {
+    const listen = AppState.currentListen;
+    AppState.currentListen = null;
+    if (!listen || listen.playedSeconds <= 0) return;
+
+    const track = AppState.musicLibrary.find(t => t.id === listen.trackId);
+    const duration = (track && track.duration) || AppState.audio.duration || 0;
+    const completed = reason === 'ended' || (duration > 0 && listen.playedSeconds >= duration * LISTEN_COMPLETE_RATIO);
+
+    const event = {
+        trackId: listen.trackId,
+        startedAt: listen.startedAt,
+        endedAt: new Date().toISOString(),
+        playedSeconds: Math.round(listen.playedSeconds * 10) / 10,
+        duration,
+        completed,
+        skipped: !completed && reason === 'changed',
+        // Cópia dos metadados para que as estatísticas sobrevivam a edições e remoções
+        name: track ? track.name : '',
+        artist: track ? track.artist : '',
+        album: track ? track.album : '',
+        genre: track ? track.genre : ''
+    };
+
+    // O modelo de recomendações aprende com a escuta assim que ela termina
+    if (AppState.recommendationModel) {
+        addListenToModel(AppState.recommendationModel, event);
+    }
+
+    saveListenToDB(event).catch(error => {
+        console.error('Erro ao salvar escuta:', error);
+    });
+}
+
+/**
+ * Grava um evento de escuta no IndexedDB
+ * Complexidade: O(1) - Operação de escrita no banco
+ */
+function saveListenToDB(event) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['listens'], 'readwrite');
+        const request = transaction.objectStore('listens').add(event);
+
+        request.onsuccess = () => {
+            event.id = request.result;
+            resolve(event);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Carrega escutas do IndexedDB dentro de um intervalo de datas (ISO)
+ * Complexidade: O(k) - onde k é o número de escutas no intervalo
+ */
+function loadListens(from = null, to = null) {
+    return new Promise((resolve, reject) => {
+        if (!AppState.db) {
+            resolve([]);
+            return;
+        }
+
+        let range = null;
+        if (from && to) range = IDBKeyRange.bound(from, to);
+        else if (from) range = IDBKeyRange.lowerBound(from);
+        else if (to) range = IDBKeyRange.upperBound(to);
+
+        const transaction = AppState.db.transaction(['listens'], 'readonly');
+        const request = transaction.objectStore('listens').index('startedAt').getAll(range);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reconstrói o histórico recente (sem repetições) a partir das últimas escutas
+ * Complexidade: O(k) - onde k é o número de escutas percorridas
+ */
+function loadPlayHistory(limit = 50) {
+    return new Promise((resolve, reject) => {
+        const seen = new Set();
+        const history = [];
+        const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+        const transaction = AppState.db.transaction(['listens'], 'readonly');
+        const request = transaction.objectStore('listens').index('startedAt').openCursor(null, 'prev');
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || history.length >= limit) {
+                AppState.playHistory = history;
+                resolve(history);
+                return;
+            }
+
+            const trackId = cursor.value.trackId;
+            const track = byId.get(trackId);
+            if (track && !seen.has(trackId)) {
+                seen.add(trackId);
+                history.push(track);
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Retorna a data local no formato AAAA-MM-DD
+ */
+function toLocalDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Agrupa escutas por uma chave e ordena pelo número de escutas
+ * Complexidade: O(k log k) - onde k é o número de escutas
+ */
+function rankListens(listens, getKey, getLabel, limit = 10) {
+    const groups = new Map();
+
+    listens.forEach(listen => {
+        const key = getKey(listen);
+        if (!key) return;
+
+        const group = groups.get(key) || { key, label: getLabel(listen), count: 0, seconds: 0 };
+        group.count++;
+        group.seconds += listen.playedSeconds;
+        groups.set(key, group);
+    });
+
+    return Array.from(groups.values())
+        .sort((a, b) => b.count - a.count || b.seconds - a.seconds)
+        .slice(0, limit);
+}
+
+/**
+ * Calcula a sequência atual e a maior sequência de dias com escutas
+ * Complexidade: O(d log d) - onde d é o número de dias distintos
+ */
+function computeStreaks(dayKeys) {
+    const days = Array.from(new Set(dayKeys)).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    days.forEach(key => {
+        const date = new Date(`${key}T00:00:00`);
+        const isNextDay = previous && Math.round((date - previous) / 86400000) === 1;
+        run = isNextDay ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = date;
+    });
+
+    // A sequência atual continua válida se a última escuta foi hoje ou ontem
+    const daySet = new Set(days);
+    const cursor = new Date();
+    if (!daySet.has(toLocalDateKey(cursor))) {
+        cursor.setDate(cursor.getDate() - 1);
+    }
+    let current = 0;
+    while (daySet.has(toLocalDateKey(cursor))) {
+        current++;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Calcula as estatísticas de escuta de um conjunto de eventos
+ * Complexidade: O(k log k) - onde k é o número de escutas
+ */
+function computeListeningStats(listens) {
+    const perDay = new Map();
+    const perMonth = new Map();
+    let totalSeconds = 0;
+
+    listens.forEach(listen => {
+        const dayKey = toLocalDateKey(new Date(listen.startedAt));
+        const monthKey = dayKey.slice(0, 7);
+        perDay.set(dayKey, (perDay.get(dayKey) || 0) + listen.playedSeconds);
+        perMonth.set(monthKey, (perMonth.get(monthKey) || 0) + listen.playedSeconds);
+        totalSeconds += listen.playedSeconds;
+    });
+
+    const trackName = (listen) => {
+        const track = AppState.musicLibrary.find(t => t.id === listen.trackId);
+        const name = track ? track.name : listen.name;
+        const artist = track ? track.artist : listen.artist;
+        return artist ? `${name} — ${artist}` : name;
+    };
+
+    return {
+        totalSeconds,
+        listenCount: listens.length,
+        uniqueTracks: new Set(listens.map(l => l.trackId)).size,
+        completedCount: listens.filter(l => l.completed).length,
+        skippedCount: listens.filter(l => l.skipped).length,
+        topTracks: rankListens(listens, l => l.trackId, trackName),
+        topArtists: rankListens(listens, l => l.artist, l => l.artist),
+        topAlbums: rankListens(listens, l => l.album && `${l.artist}\u0000${l.album}`, l => `${l.album} — ${l.artist}`),
+        topGenres: rankListens(listens, l => l.genre, l => l.genre),
+        perDay,
+        perMonth,
+        streaks: computeStreaks(Array.from(perDay.keys()))
+    };
+}
+
+/**
+ * Converte o intervalo selecionado nas estatísticas em datas ISO
+ * Aceita um número de dias, 'all' ou 'custom' (usa os campos de data)
+ */
+function getStatsDateRange() {
+    if (AppState.statsRange === 'all') {
+        return { from: null, to: null };
+    }
+
+    if (AppState.statsRange === 'custom') {
+        const fromValue = document.getElementById('statsFrom').value;
+        const toValue = document.getElementById('statsTo').value;
+        return {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).toISOString() : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).toISOString() : null
+        };
+    }
+
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (parseInt(AppState.statsRange, 10) - 1));
+    return { from: from.toISOString(), to: null };
+}
+
+/**
+ * Formata uma duração longa como "3 h 25 min"
+ */
+function formatListeningTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
+
+/**
+ * Renderiza um ranking (top músicas, artistas, álbuns ou gêneros)
+ */
+function renderStatsRanking(containerId, items) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'stats-empty';
+        empty.textContent = 'Sem dados no período';
+        container.appendChild(empty);
+        return;
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'stats-ranking-item';
+
+        const label = document.createElement('span');
+        label.className = 'stats-ranking-label';
+        label.textContent = item.label;
+        label.title = item.label;
+
+        const value = document.createElement('span');
+        value.className = 'stats-ranking-value';
+        value.textContent = `${item.count}× · ${formatListeningTime(item.seconds)}`;
+
+        li.appendChild(label);
+        li.appendChild(value);
+        container.appendChild(li);
+    });
+}
+
+/**
+ * Renderiza um gráfico de barras simples (tempo ouvido por dia ou mês)
+ */
+function renderStatsChart(containerId, entries, formatLabel) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        container.textContent = 'Sem dados no período';
+        return;
+    }
+
+    const max = Math.max(...entries.map(([, seconds]) => seconds));
+    entries.forEach(([key, seconds]) => {
+        const bar = document.createElement('div');
+        bar.className = 'stats-bar';
+        bar.style.height = `${Math.max(2, (seconds / max) * 100)}%`;
+        bar.title = `${formatLabel(key)}: ${formatListeningTime(seconds)}`;
+        container.appendChild(bar);
+    });
+}
+
+/**
+ * Renderiza a seção "Suas Estatísticas" para o intervalo selecionado
+ */
+async function renderStats() {
+    const { from, to } = getStatsDateRange();
+    const listens = await loadListens(from, to);
+    const stats = computeListeningStats(listens);
+
+    document.getElementById('statsTotalTime').textContent = formatListeningTime(stats.totalSeconds);
+    document.getElementById('statsListenCount').textContent = stats.listenCount;
+    document.getElementById('statsUniqueTracks').textContent = stats.uniqueTracks;
+    document.getElementById('statsSkipRate').textContent = stats.listenCount
+        ? `${Math.round((stats.skippedCount / stats.listenCount) * 100)}%`
+        : '0%';
+    document.getElementById('statsCurrentStreak').textContent = `${stats.streaks.current} dias`;
+    document.getElementById('statsLongestStreak').textContent = `${stats.streaks.longest} dias`;
+
+    renderStatsRanking('statsTopTracks', stats.topTracks);
+    renderStatsRanking('statsTopArtists', stats.topArtists);
+    renderStatsRanking('statsTopAlbums', stats.topAlbums);
+    renderStatsRanking('statsTopGenres', stats.topGenres);
+
+    const byKey = (a, b) => a[0].localeCompare(b[0]);
+    renderStatsChart('statsPerDay', Array.from(stats.perDay.entries()).sort(byKey),
+        key => new Date(`${key}T00:00:00`).toLocaleDateString('pt-BR'));
+    renderStatsChart('statsPerMonth', Array.from(stats.perMonth.entries()).sort(byKey),
+        key => new Date(`${key}-01T00:00:00`).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' }));
+}
+
+/**
+ * Exporta o registro bruto de escutas do intervalo selecionado (JSON ou CSV)
+ */
+async function exportListens(format) {
+    const { from, to } = getStatsDateRange();
+    const listens = await loadListens(from, to);
+    const date = toLocalDateKey(new Date());
+
+    if (format === 'csv') {
+        const columns = ['id', 'trackId', 'startedAt', 'endedAt', 'playedSeconds', 'duration',
+            'completed', 'skipped', 'name', 'artist', 'album', 'genre'];
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = listens.map(listen => columns.map(column => escape(listen[column])).join(','));
+        downloadFile([columns.join(','), ...rows].join('\n'), `spotfy-escutas-${date}.csv`, 'text/csv');
+    } else {
+        downloadFile(JSON.stringify(listens, null, 2), `spotfy-escutas-${date}.json`, 'application/json');
+    }
+}
+
+// ============================================
+// BACKUP E RESTAURAÇÃO DA BIBLIOTECA
+// ============================================
+
+// Versão do formato do arquivo de backup (manifest.json)
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Quantidade de escutas gravadas por arquivo dentro do backup
+const BACKUP_LISTENS_PER_FILE = 1000;
+
+/**
+ * Lê um registro de qualquer object store
+ * Complexidade: O(1) - Leitura por chave
+ */
+function getRecordFromDB(storeName, key) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).get(key);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Grava (insere ou substitui) um registro em qualquer object store
+ * Complexidade: O(1) - Operação de escrita no banco
+ */
+function putRecordInDB(storeName, record) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction([storeName], 'readwrite');
+        const request = transaction.objectStore(storeName).put(record);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Remove um registro de qualquer object store
+ * Complexidade: O(1) - Remoção por chave
+ */
+function deleteRecordFromDB(storeName, key) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction([storeName], 'readwrite');
+        const request = transaction.objectStore(storeName).delete(key);
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Lista todas as chaves de um object store (sem carregar os valores)
+ * Complexidade: O(n) - onde n é o número de registros
+ */
+function getAllKeysFromDB(storeName) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).getAllKeys();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Lê um lote de registros a partir de uma chave (exclusiva)
+ * Usado para percorrer stores grandes sem manter uma transação aberta
+ */
+function getBatchFromDB(storeName, afterKey, count) {
+    return new Promise((resolve, reject) => {
+        const range = afterKey === null ? null : IDBKeyRange.lowerBound(afterKey, true);
+        const transaction = AppState.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).getAll(range, count);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Remove todos os registros de um object store
+ */
+function clearStoreInDB(storeName) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction([storeName], 'readwrite');
+        const request = transaction.objectStore(storeName).clear();
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Garante que a música tenha o hash do conteúdo de áudio (usado na deduplicação)
+ * Complexidade: O(n) - onde n é o tamanho do áudio, apenas na primeira vez
+ */
+async function ensureContentHash(track) {
+    if (!track.contentHash) {
+        const blob = await getAudioBlob(track.id);
+        if (!blob) return null;
+        track.contentHash = await computeContentHash(await blob.arrayBuffer());
+        await updateMusicInDB(track);
+    }
+    return track.contentHash;
+}
+
+/**
+ * Monta o cabeçalho ustar (512 bytes) de uma entrada do arquivo TAR
+ */
+function createTarHeader(name, size) {
+    const header = new Uint8Array(512);
+    const encoder = new TextEncoder();
+    const writeField = (offset, length, value) => {
+        header.set(encoder.encode(value).subarray(0, length), offset);
+    };
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+    writeField(0, 100, name);
+    writeField(100, 8, octal(0o644, 8));
+    writeField(108, 8, octal(0, 8));
+    writeField(116, 8, octal(0, 8));
+    writeField(124, 12, octal(size, 12));
+    writeField(136, 12, octal(Math.floor(Date.now() / 1000), 12));
+    writeField(148, 8, '        '); // Checksum é calculado com o campo preenchido por espaços
+    header[156] = 0x30; // '0' = arquivo comum
+    writeField(257, 6, 'ustar');
+    writeField(263, 2, '00');
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeField(148, 8, `${octal(checksum, 7)}\0 `);
+    return header;
+}
+
+/**
+ * Escreve uma entrada (cabeçalho + conteúdo + preenchimento) no arquivo TAR
+ */
+async function writeTarEntry(writer, name, content) {
+    const blob = content instanceof Blob ? content : new Blob([content]);
+    await writer.write(createTarHeader(name, blob.size));
+    await writer.write(blob);
+
+    const padding = (512 - (blob.size % 512)) % 512;
+    if (padding > 0) {
+        await writer.write(new Uint8Array(padding));
+    }
+}
+
+/**
+ * Cria o destino do backup
+ * Com a File System Access API os dados vão direto para o disco; sem ela, cada
+ * parte vira um Blob (que o navegador pode manter em disco) e o download é feito no final
+ * Retorna null se o usuário cancelar a escolha do arquivo
+ */
+async function createBackupWriter(fileName) {
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: [{ description: 'Backup do Spotfy', accept: { 'application/x-tar': ['.tar'] } }]
+            });
+            const writable = await handle.createWritable();
+            return {
+                write: (part) => writable.write(part),
+                close: () => writable.close()
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            console.warn('Gravação direta indisponível, usando download:', error);
+        }
+    }
+
+    const parts = [];
+    return {
+        write: async (part) => {
+            parts.push(part instanceof Blob ? part : new Blob([part]));
+        },
+        close: async () => {
+            downloadFile(new Blob(parts, { type: 'application/x-tar' }), fileName);
+        }
+    };
+}
+
+/**
+ * Lê todas as chaves do localStorage que pertencem ao Spotfy
+ */
+function getStoredAppState() {
+    const state = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith('spotfy_')) {
+            state[key] = localStorage.getItem(key);
+        }
+    }
+    return state;
+}
+
+/**
+ * Gera o backup completo (áudio, metadados, capas, letras, escutas e localStorage) em TAR
+ * As músicas são lidas e gravadas uma por vez para não carregar tudo na memória
+ * Complexidade: O(n) - onde n é o tamanho total da biblioteca
+ */
+async function createBackup(onProgress = () => {}) {
+    const fileName = `spotfy-backup-${toLocalDateKey(new Date())}.tar`;
+    const writer = await createBackupWriter(fileName);
+    if (!writer) return false;
+
+    const trackIds = await getAllKeysFromDB('musics');
+    const artworkIds = await getAllKeysFromDB('artwork');
+
+    await writeTarEntry(writer, 'manifest.json', JSON.stringify({
+        format: 'spotfy-backup',
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        dbVersion: DB_VERSION,
+        createdAt: new Date().toISOString(),
+        trackCount: trackIds.length,
+        artworkCount: artworkIds.length
+    }, null, 2));
+
+    await writeTarEntry(writer, 'state/localStorage.json', JSON.stringify(getStoredAppState(), null, 2));
+
+    for (const id of artworkIds) {
+        const artwork = await getRecordFromDB('artwork', id);
+        if (!artwork) continue;
+        await writeTarEntry(writer, `artwork/${id}.json`, JSON.stringify({
+            id: artwork.id,
+            mimeType: artwork.mimeType,
+            dateAdded: artwork.dateAdded
+        }));
+        await writeTarEntry(writer, `artwork/${id}.image`, artwork.image);
+        await writeTarEntry(writer, `artwork/${id}.thumbnail`, artwork.thumbnail);
+    }
+
+    for (let i = 0; i < trackIds.length; i++) {
+        const track = await getRecordFromDB('musics', trackIds[i]);
+        const audio = await getRecordFromDB('audio', trackIds[i]);
+        if (!track || !audio) continue;
+
+        await writeTarEntry(writer, `tracks/${track.id}.json`, JSON.stringify(track));
+        await writeTarEntry(writer, `tracks/${track.id}.audio`, audio.blob);
+        onProgress(i + 1, trackIds.length);
+    }
+
+    for (const id of await getAllKeysFromDB('lyrics')) {
+        const lyrics = await getRecordFromDB('lyrics', id);
+        if (lyrics) {
+            await writeTarEntry(writer, `lyrics/${id}.json`, JSON.stringify(lyrics));
+        }
+    }
+
+    let lastKey = null;
+    let part = 0;
+    for (;;) {
+        const listens = await getBatchFromDB('listens', lastKey, BACKUP_LISTENS_PER_FILE);
+        if (listens.length === 0) break;
+        part++;
+        await writeTarEntry(writer, `listens/${String(part).padStart(6, '0')}.json`, JSON.stringify(listens));
+        lastKey = listens[listens.length - 1].id;
+    }
+
+    // Fim do arquivo TAR: dois blocos zerados
+    await writer.write(new Uint8Array(1024));
+    await writer.close();
+    return true;
+}
+
+/**
+ * Percorre as entradas de um arquivo TAR lendo apenas um bloco por vez
+ * O callback recebe { name, size, blob } onde blob é uma fatia do arquivo
+ * Complexidade: O(e) - onde e é o número de entradas
+ */
+async function forEachTarEntry(file, callback) {
+    let offset = 0;
+
+    while (offset + 512 <= file.size) {
+        const header = new Uint8Array(await file.slice(offset, offset + 512).arrayBuffer());
+        if (header.every(byte => byte === 0)) break;
+
+        if (readAscii(header, 257, 5) !== 'ustar') {
+            throw new Error('Arquivo de backup inválido');
+        }
+
+        const field = (start, length) => decodeText(header.subarray(start, start + length)).replace(/\0.*$/, '');
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const size = parseInt(field(124, 12), 8) || 0;
+        const dataStart = offset + 512;
+
+        // Apenas arquivos comuns ('0' ou nulo) são processados
+        if (header[156] === 0x30 || header[156] === 0) {
+            await callback({ name, size, blob: file.slice(dataStart, dataStart + size) });
+        }
+
+        offset = dataStart + Math.ceil(size / 512) * 512;
+    }
+}
+
+/**
+ * Valida um backup TAR por inteiro antes de qualquer alteração na biblioteca
+ * Confere o manifest (primeira entrada), a integridade dos cabeçalhos, se nenhuma
+ * entrada ultrapassa o fim do arquivo e se os metadados JSON são legíveis
+ * Retorna o manifest; o áudio não é lido, apenas os cabeçalhos
+ * Complexidade: O(e) - onde e é o número de entradas
+ */
+async function validateBackupArchive(file) {
+    let manifest = null;
+
+    await forEachTarEntry(file, async ({ name, size, blob }) => {
+        if (blob.size < size) {
+            throw new Error('Backup incompleto ou corrompido');
+        }
+        if (name === 'manifest.json') {
+            manifest = JSON.parse(await blob.text());
+            if (manifest.format !== 'spotfy-backup' || manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+                throw new Error(`Versão de backup não suportada: ${manifest.schemaVersion}`);
+            }
+            return;
+        }
+        if (!manifest) {
+            throw new Error('Backup sem manifest.json');
+        }
+        if (name.endsWith('.json')) {
+            JSON.parse(await blob.text());
+        }
+    });
+
+    if (!manifest) {
+        throw new Error('Backup vazio ou inválido');
+    }
+    return manifest;
+}
+
+/**
+ * Mescla listas de ids sem duplicar, preservando a ordem
+ */
+function mergeIdLists(current, incoming) {
+    const merged = current.slice();
+    const seen = new Set(current);
+    incoming.forEach(id => {
+        if (!seen.has(id)) {
+            seen.add(id);
+            merged.push(id);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Restaura um backup TAR
+ * mode: 'merge' (mescla com a biblioteca atual) ou 'replace' (apaga tudo antes)
+ * Músicas são deduplicadas pelo id e pelo hash do conteúdo de áudio
+ * Complexidade: O(n) - onde n é o tamanho do backup
+ */
+async function restoreBackup(file, mode, onProgress = () => {}) {
+    // Só apaga ou altera algo depois que o arquivo inteiro foi validado
+    const manifest = await validateBackupArchive(file);
+    let storedState = {};
+    let pendingArtwork = null;
+    let pendingTrack = null;
+    const idMap = new Map(); // id no backup -> id na biblioteca (duplicatas)
+    const summary = { added: 0, duplicates: 0, listens: 0 };
+
+    if (mode === 'replace') {
+        clearCurrentTrack();
+        for (const storeName of ['musics', 'audio', 'artwork', 'lyrics', 'listens']) {
+            await clearStoreInDB(storeName);
+        }
+        Object.keys(getStoredAppState()).forEach(key => localStorage.removeItem(key));
+        AppState.musicLibrary = [];
+        AppState.artworkCache.clear();
+        AppState.playHistory = [];
+        AppState.playQueue = [];
+        AppState.currentQueueIndex = -1;
+    }
+
+    // Índices para deduplicação contra a biblioteca atual
+    const knownIds = new Set(AppState.musicLibrary.map(t => t.id));
+    const knownHashes = new Map();
+    for (const track of AppState.musicLibrary) {
+        const hash = await ensureContentHash(track);
+        if (hash) knownHashes.set(hash, track.id);
+    }
+
+    await forEachTarEntry(file, async ({ name, blob }) => {
+        if (name === 'state/localStorage.json') {
+            storedState = JSON.parse(await blob.text());
+        } else if (name.startsWith('artwork/') && name.endsWith('.json')) {
+            pendingArtwork = JSON.parse(await blob.text());
+        } else if (name.startsWith('artwork/') && name.endsWith('.image') && pendingArtwork) {
+            pendingArtwork.image = blob.slice(0, blob.size, pendingArtwork.mimeType);
+        } else if (name.startsWith('artwork/') && name.endsWith('.thumbnail') && pendingArtwork) {
+            pendingArtwork.thumbnail = blob.slice(0, blob.size, 'image/jpeg');
+            if (!(await getRecordFromDB('artwork', pendingArtwork.id))) {
+                await putRecordInDB('artwork', pendingArtwork);
+            }
+            pendingArtwork = null;
+        } else if (name.startsWith('tracks/') && name.endsWith('.json')) {
+            pendingTrack = JSON.parse(await blob.text());
+        } else if (name.startsWith('tracks/') && name.endsWith('.audio') && pendingTrack) {
+            const track = pendingTrack;
+            pendingTrack = null;
+            const audio = blob.slice(0, blob.size, track.fileType);
+            track.fileSize = track.fileSize || blob.size;
+            track.contentHash = track.contentHash || await computeContentHash(await audio.arrayBuffer());
+
+            if (knownIds.has(track.id)) {
+                summary.duplicates++;
+            } else if (knownHashes.has(track.contentHash)) {
+                idMap.set(track.id, knownHashes.get(track.contentHash));
+                summary.duplicates++;
+            } else {
+                await putRecordInDB('audio', { id: track.id, blob: audio });
+                await putRecordInDB('musics', track);
+                knownIds.add(track.id);
+                knownHashes.set(track.contentHash, track.id);
+                summary.added++;
+            }
+            onProgress(summary.added + summary.duplicates, manifest.trackCount);
+        } else if (name.startsWith('lyrics/')) {
+            // Letras vêm depois das músicas: duplicatas já estão mapeadas; na mesclagem a letra atual é mantida
+            const lyrics = JSON.parse(await blob.text());
+            lyrics.id = idMap.get(lyrics.id) || lyrics.id;
+            if (knownIds.has(lyrics.id) && !(mode === 'merge' && await getRecordFromDB('lyrics', lyrics.id))) {
+                await putRecordInDB('lyrics', lyrics);
+            }
+        } else if (name.startsWith('listens/')) {
+            const listens = JSON.parse(await blob.text());
+            for (const listen of listens) {
+                delete listen.id;
+                listen.trackId = idMap.get(listen.trackId) || listen.trackId;
+                if (mode === 'merge' && await hasListen(listen)) continue;
+                await saveListenToDB(listen);
+                summary.listens++;
+            }
+        }
+    });
+
+    restoreStoredAppState(storedState, mode, idMap);
+
+    // Recarrega o estado a partir do banco e do localStorage restaurados
+    await loadMusicsFromDB();
+    await loadPlayHistory();
+    await loadRecommendationModel();
+    loadFavorites();
+    loadPlaylists();
+
+    return summary;
+}
+
+/**
+ * Verifica se uma escuta idêntica (mesma música e início) já está gravada
+ */
+function hasListen(listen) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['listens'], 'readonly');
+        const request = transaction.objectStore('listens').index('startedAt').getAll(listen.startedAt);
+
+        request.onsuccess = () => resolve(request.result.some(l => l.trackId === listen.trackId));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Restaura as chaves do localStorage de um backup
+ * Na mesclagem, playlists e favoritos são unidos e as demais preferências locais são mantidas
+ */
+function restoreStoredAppState(storedState, mode, idMap) {
+    const remap = (ids) => ids.map(id => idMap.get(id) || id);
+
+    Object.entries(storedState).forEach(([key, value]) => {
+        if (key === 'spotfy_playlists') {
+            const incoming = JSON.parse(value).map(p => ({ ...p, tracks: remap(p.tracks) }));
+            const current = mode === 'merge' ? JSON.parse(localStorage.getItem(key) || '[]') : [];
+            incoming.forEach(playlist => {
+                const existing = current.find(p => p.id === playlist.id);
+                if (existing) {
+                    existing.tracks = mergeIdLists(existing.tracks, playlist.tracks);
+                } else {
+                    current.push(playlist);
+                }
+            });
+            localStorage.setItem(key, JSON.stringify(current));
+        } else if (key === 'spotfy_favorites') {
+            const current = mode === 'merge' ? JSON.parse(localStorage.getItem(key) || '[]') : [];
+            localStorage.setItem(key, JSON.stringify(mergeIdLists(current, remap(JSON.parse(value)))));
+        } else if (mode === 'replace' || localStorage.getItem(key) === null) {
+            localStorage.setItem(key, value);
+        }
+    });
+}
+
+/**
+ * Fluxo de interface do backup (botão "Backup")
+ */
+async function handleCreateBackup() {
+    const button = document.getElementById('backupBtn');
+    const label = button.textContent;
+
+    try {
+        const created = await createBackup((done, total) => {
+            button.textContent = `Backup ${done}/${total}`;
+        });
+        if (created) {
+            alert('Backup concluído!');
+        }
+    } catch (error) {
+        console.error('Erro ao criar backup:', error);
+        alert('Erro ao criar o backup. Tente novamente.');
+    } finally {
+        button.textContent = label;
+    }
+}
+
+/**
+ * Fluxo de interface da restauração (botão "Restaurar")
+ */
+async function handleRestoreBackup(file) {
+    const selected = prompt('Restaurar backup:\n1. Mesclar com a biblioteca atual\n2. Substituir a biblioteca atual\n\nDigite o número da opção:');
+    const mode = selected === '1' ? 'merge' : selected === '2' ? 'replace' : null;
+    if (!mode) return;
+
+    if (mode === 'replace' && !confirm('Todas as músicas, playlists e estatísticas atuais serão apagadas. Continuar?')) {
+        return;
+    }
+
+    const button = document.getElementById('restoreBtn');
+    const label = button.textContent;
+
+    try {
+        const summary = await restoreBackup(file, mode, (done, total) => {
+            button.textContent = `Restaurando ${done}/${total}`;
+        });
+
+        renderRecommendations();
+        renderMusicList(AppState.playHistory.slice(0, 10), 'recentPlaysList', false);
+        renderLibrary();
+
+        alert(`Backup restaurado!\n${summary.added} músicas adicionadas, ${summary.duplicates} duplicadas ignoradas, ${summary.listens} escutas importadas.`);
+    } catch (error) {
+        console.error('Erro ao restaurar backup:', error);
+        alert(`Erro ao restaurar o backup: ${error.message}`);
+    } finally {
+        button.textContent = label;
+    }
+}
+
+// ============================================
+// EDIÇÃO E REMOÇÃO DE MÚSICAS
+// ============================================
+
+// Campos editáveis no diálogo de detalhes (batch: usados na edição em lote)
+const EDITABLE_TRACK_FIELDS = [
+    { key: 'name', label: 'Título', type: 'text', batch: false },
+    { key: 'artist', label: 'Artista', type: 'text', batch: true },
+    { key: 'albumArtist', label: 'Artista do álbum', type: 'text', batch: true },
+    { key: 'album', label: 'Álbum', type: 'text', batch: true },
+    { key: 'genre', label: 'Gênero', type: 'text', batch: true },
+    { key: 'year', label: 'Ano', type: 'number', batch: true },
+    { key: 'trackNumber', label: 'Faixa', type: 'number', batch: false },
+    { key: 'discNumber', label: 'Disco', type: 'number', batch: true }
+];
+
+// Valores usados quando um campo obrigatório é apagado (os mesmos da importação)
+const TRACK_FIELD_DEFAULTS = {
+    artist: 'Artista Desconhecido',
+    album: 'Álbum Desconhecido',
+    genre: 'Geral'
+};
+
+/**
+ * Converte o valor digitado no formato salvo (texto aparado ou número)
+ */
+function parseTrackFieldValue(field, value) {
+    const text = String(value ?? '').trim();
+    if (field.type === 'number') {
+        const number = parseInt(text, 10);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+    return text || TRACK_FIELD_DEFAULTS[field.key] || null;
+}
+
+/**
+ * Aplica alterações a uma música; retorna true se algo mudou
+ * Título vazio mantém o nome atual
+ */
+function applyTrackEdits(track, changes) {
+    let changed = false;
+    EDITABLE_TRACK_FIELDS.forEach(field => {
+        if (!(field.key in changes)) return;
+        const value = parseTrackFieldValue(field, changes[field.key]);
+        if (field.key === 'name' && !value) return;
+        if (track[field.key] !== value) {
+            track[field.key] = value;
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+/**
+ * Edita uma ou várias músicas e grava as alterações no IndexedDB
+ * Complexidade: O(k) - onde k é o número de músicas editadas
+ */
+async function editTracks(trackIds, changes) {
+    const edited = [];
+    for (const trackId of trackIds) {
+        const track = AppState.musicLibrary.find(t => t.id === trackId);
+        if (track && applyTrackEdits(track, changes)) {
+            await updateMusicInDB(track);
+            edited.push(track);
+        }
+    }
+    
+    if (AppState.currentTrack && edited.includes(AppState.currentTrack)) {
+        updatePlayerInfo(AppState.currentTrack);
+    }
+    if (edited.length > 0) {
+        onLibraryChanged();
+        refreshLibraryViews();
+    }
+    return edited;
+}
+
+/**
+ * Remove músicas da biblioteca: áudio, capas órfãs e referências em
+ * playlists, favoritos, fila, histórico e atribuições de equalizador
+ * As escutas ficam nas estatísticas (guardam uma cópia dos metadados)
+ * Complexidade: O(n + p + q) - biblioteca, playlists e fila
+ */
+async function deleteTracks(trackIds) {
+    const ids = new Set(trackIds);
+    const removed = AppState.musicLibrary.filter(t => ids.has(t.id));
+    if (removed.length === 0) return 0;
+    
+    // Música atual removida: encerra a escuta e libera o elemento de áudio
+    if (AppState.currentTrack && ids.has(AppState.currentTrack.id)) {
+        clearCurrentTrack();
+    }
+    
+    for (const track of removed) {
+        await deleteMusicFromDB(track.id);
+        removeTrackFromIndex(track.id);
+    }
+    AppState.musicLibrary = AppState.musicLibrary.filter(t => !ids.has(t.id));
+    
+    // Capas compartilhadas só saem quando nenhuma outra música as usa
+    const artworkIds = new Set(removed.map(t => t.artworkId).filter(Boolean));
+    for (const artworkId of artworkIds) {
+        await deleteArtworkIfUnused(artworkId);
+    }
+    
+    // Fila: o índice atual passa a contar só as músicas que ficaram antes dele
+    const keep = id => !ids.has(id);
+    AppState.currentQueueIndex = AppState.playQueue
+        .slice(0, AppState.currentQueueIndex + 1)
+        .filter(keep).length - 1;
+    AppState.playQueue = AppState.playQueue.filter(keep);
+    AppState.upNext = AppState.upNext.filter(keep);
+    if (AppState.unshuffledQueue) {
+        AppState.unshuffledQueue = AppState.unshuffledQueue.filter(keep);
+    }
+    AppState.playbackStack = AppState.playbackStack.filter(keep);
+    AppState.playHistory = AppState.playHistory.filter(t => keep(t.id));
+    
+    AppState.playlists.forEach(playlist => {
+        playlist.tracks = playlist.tracks.filter(keep);
+    });
+    savePlaylists();
+    
+    removed.forEach(track => {
+        AppState.favoriteTracks.delete(track.id);
+        AppState.selectedTracks.delete(track.id);
+        delete AppState.eqAssignments.tracks[track.id];
+    });
+    localStorage.setItem('spotfy_favorites', JSON.stringify(Array.from(AppState.favoriteTracks)));
+    saveEqualizerSettings();
+    
+    onLibraryChanged();
+    onQueueChanged();
+    renderPlaylists();
+    refreshLibraryViews();
+    return removed.length;
+}
+
+/**
+ * Atualiza as listas da tela inicial e da biblioteca
+ */
+function refreshLibraryViews() {
+    renderRecommendations();
+    renderMusicList(AppState.playHistory.slice(0, 10), 'recentPlaysList', false);
+    if (AppState.currentPlaylist) {
+        renderMusicList(getPlaylistTracks(AppState.currentPlaylist), 'musicLibrary', true);
+    } else {
+        renderLibrary(document.querySelector('.filter-btn[data-filter].active')?.dataset.filter || 'all');
+    }
+    updateSelectionBar();
+}
+
+/**
+ * Pede confirmação e remove as músicas
+ */
+async function confirmDeleteTracks(trackIds) {
+    const tracks = AppState.musicLibrary.filter(t => trackIds.includes(t.id));
+    if (tracks.length === 0) return false;
+    
+    const message = tracks.length === 1
+        ? `Excluir "${tracks[0].name}" da biblioteca? O arquivo de áudio será apagado e a música sairá de playlists, favoritos e da fila.`
+        : `Excluir ${tracks.length} músicas da biblioteca? Os arquivos de áudio serão apagados e as músicas sairão de playlists, favoritos e da fila.`;
+    if (!confirm(message)) return false;
+    
+    try {
+        await deleteTracks(trackIds);
+        return true;
+    } catch (error) {
+        console.error('Erro ao excluir músicas:', error);
+        alert('Erro ao excluir músicas. Tente novamente.');
+        return false;
+    }
+}
+
+/**
+ * Abre o diálogo de detalhes/edição para uma música ou várias (edição em lote)
+ * Na edição em lote, campos deixados em branco mantêm o valor de cada música
+ */
+function openTrackEditor(trackIds) {
+    const tracks = AppState.musicLibrary.filter(t => trackIds.includes(t.id));
+    if (tracks.length === 0) return;
+    
+    AppState.editingTrackIds = tracks.map(t => t.id);
+    const batch = tracks.length > 1;
+    const track = tracks[0];
+    
+    document.getElementById('trackEditTitle').textContent = batch ? `Editar ${tracks.length} músicas` : 'Detalhes da música';
+    
+    const fields = document.getElementById('trackEditFields');
+    fields.innerHTML = '';
+    EDITABLE_TRACK_FIELDS.filter(field => !batch || field.batch).forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'track-edit-field';
+        label.textContent = field.label;
+        
+        const input = document.createElement('input');
+        input.className = 'modal-input';
+        input.type = field.type;
+        input.dataset.field = field.key;
+        if (batch) {
+            // Mostra o valor comum, se todas as músicas compartilham o mesmo
+            const values = new Set(tracks.map(t => t[field.key] ?? ''));
+            input.value = values.size === 1 ? [...values][0] : '';
+            input.placeholder = values.size === 1 ? '' : '(vários valores — manter)';
+        } else {
+            input.value = track[field.key] ?? '';
+        }
+        
+        label.appendChild(input);
+        fields.appendChild(label);
+    });
+    
+    // Informações somente leitura da música
+    const info = document.getElementById('trackEditInfo');
+    info.innerHTML = '';
+    if (!batch) {
+        const details = [
+            ['Arquivo', track.fileName],
+            ['Formato', track.fileType || '—'],
+            ['Duração', formatTime(track.duration || 0)],
+            ['Adicionada', track.dateAdded ? new Date(track.dateAdded).toLocaleDateString('pt-BR') : '—'],
+            ['Reproduções', track.playCount || 0],
+            ['Sonoridade', track.loudness !== null && track.loudness !== undefined ? `${track.loudness.toFixed(1)} LUFS` : '—'],
+            ['BPM', track.bpm != null ? Math.round(track.bpm) : '—'],
+            ['Tom', track.musicalKey ? `${track.musicalKey} (${track.camelot})` : '—'],
+            ['Energia', track.energy != null ? `${track.energy}/100` : '—'],
+            ['Dançabilidade', track.danceability != null ? `${track.danceability}/100` : '—']
+        ];
+        details.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'track-edit-info-row';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const content = document.createElement('span');
+            content.textContent = value;
+            row.appendChild(name);
+            row.appendChild(content);
+            info.appendChild(row);
+        });
+    }
+    
+    document.getElementById('trackEditModal').classList.add('active');
+}
+
+/**
+ * Fecha o diálogo de edição
+ */
+function closeTrackEditor() {
+    AppState.editingTrackIds = [];
+    document.getElementById('trackEditModal').classList.remove('active');
+}
+
+/**
+ * Salva o diálogo: em lote, só os campos preenchidos são aplicados
+ */
+async function confirmTrackEditor() {
+    const trackIds = AppState.editingTrackIds;
+    const batch = trackIds.length > 1;
+    const changes = {};
+    
+    document.querySelectorAll('#trackEditFields input').forEach(input => {
+        if (batch && input.value.trim() === '') return;
+        changes[input.dataset.field] = input.value;
+    });
+    
+    try {
+        await editTracks(trackIds, changes);
+        closeTrackEditor();
+    } catch (error) {
+        console.error('Erro ao salvar metadados:', error);
+        alert('Erro ao salvar as alterações. Tente novamente.');
+    }
+}
+
+/**
+ * Liga/desliga o modo de seleção da biblioteca
+ */
+function setSelectionMode(enabled) {
+    AppState.selectionMode = enabled;
+    AppState.selectedTracks.clear();
+    document.getElementById('selectTracksBtn').classList.toggle('active', enabled);
+    refreshLibraryViews();
+}
+
+/**
+ * Marca ou desmarca uma música na seleção
+ */
+function toggleTrackSelection(trackId) {
+    if (AppState.selectedTracks.has(trackId)) {
+        AppState.selectedTracks.delete(trackId);
+    } else {
+        AppState.selectedTracks.add(trackId);
+    }
+    updateSelectionBar();
+}
+
+/**
+ * Mostra as ações em lote com o número de músicas selecionadas
+ */
+function updateSelectionBar() {
+    const count = AppState.selectedTracks.size;
+    const batchEditBtn = document.getElementById('batchEditBtn');
+    const batchDeleteBtn = document.getElementById('batchDeleteBtn');
+    
+    batchEditBtn.hidden = !AppState.selectionMode;
+    batchDeleteBtn.hidden = !AppState.selectionMode;
+    batchEditBtn.disabled = count === 0;
+    batchDeleteBtn.disabled = count === 0;
+    batchEditBtn.textContent = `✏️ Editar (${count})`;
+    batchDeleteBtn.textContent = `🗑️ Excluir (${count})`;
+}
+
+/**
+ * Liga os controles do diálogo de edição e das ações em lote
+ */
+function setupTrackEditorControls() {
+    document.getElementById('trackEditModalClose').addEventListener('click', closeTrackEditor);
+    document.getElementById('cancelTrackEditBtn').addEventListener('click', closeTrackEditor);
+    document.getElementById('confirmTrackEditBtn').addEventListener('click', confirmTrackEditor);
+    document.getElementById('deleteTrackBtn').addEventListener('click', async () => {
+        if (await confirmDeleteTracks(AppState.editingTrackIds)) {
+            closeTrackEditor();
+        }
+    });
+    
+    document.getElementById('selectTracksBtn').addEventListener('click', () => {
+        setSelectionMode(!AppState.selectionMode);
+    });
+    document.getElementById('batchEditBtn').addEventListener('click', () => {
+        openTrackEditor([...AppState.selectedTracks]);
+    });
+    document.getElementById('batchDeleteBtn').addEventListener('click', async () => {
+        if (await confirmDeleteTracks([...AppState.selectedTracks])) {
+            setSelectionMode(false);
+        }
+    });
+}
+
+// ============================================
+// DUPLICATAS
+// ============================================
+
+// Diferença máxima de duração (s) para considerar duas faixas a mesma gravação
+const DUPLICATE_DURATION_TOLERANCE = 2;
+
+// Valores de importação que indicam campo não preenchido
+const PLACEHOLDER_TRACK_VALUES = new Set(['Artista Desconhecido', 'Álbum Desconhecido', 'Geral']);
+
+/**
+ * Monta o índice hash do conteúdo -> música da biblioteca
+ * Músicas antigas sem hash o recebem aqui (uma única vez)
+ * Complexidade: O(n) - mais o custo do hash nas músicas sem ele
+ */
+async function buildContentHashIndex() {
+    const index = new Map();
+    for (const track of AppState.musicLibrary) {
+        const hash = await ensureContentHash(track);
+        if (hash && !index.has(hash)) {
+            index.set(hash, track);
+        }
+    }
+    return index;
+}
+
+/**
+ * Completa a música existente com metadados que só a cópia importada tem
+ * Retorna true se algo foi preenchido
+ */
+async function mergeImportedMetadata(track, metadata) {
+    const isMissing = value => value === null || value === undefined || value === '' || PLACEHOLDER_TRACK_VALUES.has(value);
+    let changed = false;
+    
+    ['artist', 'albumArtist', 'album', 'genre', 'year', 'trackNumber', 'trackTotal', 'discNumber', 'discTotal'].forEach(key => {
+        if (isMissing(track[key]) && !isMissing(metadata[key])) {
+            track[key] = metadata[key];
+            changed = true;
+        }
+    });
+    
+    if (!track.artworkId && metadata.picture) {
+        track.artworkId = await saveArtwork(new Blob([metadata.picture.data], { type: metadata.picture.mimeType }));
+        changed = Boolean(track.artworkId) || changed;
+    }
+    
+    if (changed) {
+        await updateMusicInDB(track);
+        scheduleLibraryChanged();
+    }
+    return changed;
+}
+
+/**
+ * Tamanho do áudio em bytes
+ */
+function getTrackFileSize(track) {
+    return track.fileSize || 0;
+}
+
+/**
+ * Agrupa duplicatas: conteúdo idêntico (hash) ou mesmo título/artista
+ * normalizados com duração parecida
+ * Complexidade: O(n log n) - Ordenação por duração dentro de cada título/artista
+ */
+async function findDuplicateGroups() {
+    await buildContentHashIndex();
+    
+    // Union-find: faixas ligadas por hash ou por título/artista/duração ficam no mesmo grupo
+    const parent = new Map(AppState.musicLibrary.map(track => [track.id, track.id]));
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+    
+    const byHash = new Map();
+    const byTitle = new Map();
+    AppState.musicLibrary.forEach(track => {
+        if (track.contentHash) {
+            if (byHash.has(track.contentHash)) {
+                union(track.id, byHash.get(track.contentHash));
+            } else {
+                byHash.set(track.contentHash, track.id);
+            }
+        }
+        
+        const key = `${normalizeForMatch(track.name)}\u0000${normalizeForMatch(track.artist)}`;
+        if (!byTitle.has(key)) byTitle.set(key, []);
+        byTitle.get(key).push(track);
+    });
+    
+    byTitle.forEach(tracks => {
+        tracks.sort((a, b) => (a.duration || 0) - (b.duration || 0));
+        for (let i = 1; i < tracks.length; i++) {
+            if ((tracks[i].duration || 0) - (tracks[i - 1].duration || 0) <= DUPLICATE_DURATION_TOLERANCE) {
+                union(tracks[i].id, tracks[i - 1].id);
+            }
+        }
+    });
+    
+    const groups = new Map();
+    AppState.musicLibrary.forEach(track => {
+        const root = find(track.id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(track);
+    });
+    
+    return [...groups.values()]
+        .filter(tracks => tracks.length > 1)
+        .map(tracks => ({
+            tracks,
+            exact: tracks.every(track => track.contentHash && track.contentHash === tracks[0].contentHash),
+            suggestedKeepId: suggestDuplicateToKeep(tracks).id
+        }));
+}
+
+/**
+ * Sugere a cópia a manter: maior taxa de bits, depois mais ouvida, depois a mais antiga
+ */
+function suggestDuplicateToKeep(tracks) {
+    const bitrate = track => (track.duration > 0 ? getTrackFileSize(track) / track.duration : 0);
+    return [...tracks].sort((a, b) =>
+        bitrate(b) - bitrate(a) ||
+        (b.playCount || 0) - (a.playCount || 0) ||
+        String(a.dateAdded).localeCompare(String(b.dateAdded))
+    )[0];
+}
+
+/**
+ * Mantém uma cópia e remove as demais, colocando a mantida no lugar
+ * delas em playlists, favoritos e atribuições de equalizador
+ * Complexidade: O(p·m + n) - playlists de tamanho m e biblioteca
+ */
+async function mergeDuplicates(keepId, removeIds) {
+    const keep = AppState.musicLibrary.find(t => t.id === keepId);
+    const removed = AppState.musicLibrary.filter(t => removeIds.includes(t.id) && t.id !== keepId);
+    if (!keep || removed.length === 0) return 0;
+    const ids = new Set(removed.map(t => t.id));
+    
+    // Playlists: a cópia mantida assume a primeira posição ocupada pelo grupo
+    AppState.playlists.forEach(playlist => {
+        if (playlist.type === 'smart') return;
+        const seen = new Set();
+        playlist.tracks = playlist.tracks
+            .map(id => (ids.has(id) ? keepId : id))
+            .filter(id => {
+                if (id !== keepId) return true;
+                if (seen.has(id)) return false;
+                seen.add(id);
+                return true;
+            });
+    });
+    savePlaylists();
+    
+    if (removed.some(t => AppState.favoriteTracks.has(t.id))) {
+        AppState.favoriteTracks.add(keepId);
+        localStorage.setItem('spotfy_favorites', JSON.stringify(Array.from(AppState.favoriteTracks)));
+    }
+    
+    const trackPresets = AppState.eqAssignments.tracks;
+    const removedPreset = removed.map(t => trackPresets[t.id]).find(Boolean);
+    if (!trackPresets[keepId] && removedPreset) {
+        trackPresets[keepId] = removedPreset;
+        saveEqualizerSettings();
+    }
+    
+    // Sem letra própria, a cópia mantida herda a primeira letra das removidas
+    if (!(await getRecordFromDB('lyrics', keepId))) {
+        for (const track of removed) {
+            const lyrics = await getRecordFromDB('lyrics', track.id);
+            if (lyrics) {
+                await putRecordInDB('lyrics', { ...lyrics, id: keepId });
+                break;
+            }
+        }
+    }
+    
+    // Estatísticas de reprodução se somam na cópia mantida
+    keep.playCount = removed.reduce((sum, t) => sum + (t.playCount || 0), keep.playCount || 0);
+    keep.lastPlayed = [keep, ...removed]
+        .map(t => t.lastPlayed)
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+    await updateMusicInDB(keep);
+    
+    return deleteTracks([...ids]);
+}
+
+/**
+ * Abre o localizador de duplicatas
+ */
+async function openDuplicateFinder() {
+    const button = document.getElementById('findDuplicatesBtn');
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Procurando...';
+    
+    try {
+        AppState.duplicateGroups = await findDuplicateGroups();
+        renderDuplicateGroups();
+        document.getElementById('duplicatesModal').classList.add('active');
+    } catch (error) {
+        console.error('Erro ao procurar duplicatas:', error);
+        alert('Erro ao procurar duplicatas. Tente novamente.');
+    } finally {
+        button.disabled = false;
+        button.textContent = label;
+    }
+}
+
+/**
+ * Renderiza os grupos de duplicatas, cada um com a escolha da cópia a manter
+ */
+function renderDuplicateGroups() {
+    const container = document.getElementById('duplicateGroups');
+    container.innerHTML = '';
+    const groups = AppState.duplicateGroups;
+    document.getElementById('mergeAllDuplicatesBtn').disabled = groups.length === 0;
+    
+    if (groups.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = 'Nenhuma duplicata encontrada.';
+        container.appendChild(empty);
+        return;
+    }
+    
+    groups.forEach((group, groupIndex) => {
+        const element = document.createElement('div');
+        element.className = 'duplicate-group';
+        
+        const heading = document.createElement('div');
+        heading.className = 'queue-heading';
+        heading.textContent = group.exact ? 'Arquivos idênticos' : 'Parecidas (mesmo título, artista e duração)';
+        element.appendChild(heading);
+        
+        group.tracks.forEach(track => {
+            const row = document.createElement('label');
+            row.className = 'duplicate-item';
+            
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `duplicate-${groupIndex}`;
+            radio.checked = track.id === group.suggestedKeepId;
+            radio.addEventListener('change', () => {
+                group.suggestedKeepId = track.id;
+            });
+            row.appendChild(radio);
+            
+            const info = document.createElement('div');
+            info.className = 'queue-item-info';
+            const title = document.createElement('div');
+            title.className = 'queue-item-title';
+            title.textContent = `${track.name} — ${track.artist}`;
+            const detail = document.createElement('div');
+            detail.className = 'queue-item-artist';
+            const sizeInMB = (getTrackFileSize(track) / 1048576).toFixed(1);
+            detail.textContent = `${track.album} • ${formatTime(track.duration || 0)} • ${sizeInMB} MB • ${track.playCount || 0} reprodução(ões) • ${track.fileName}`;
+            detail.title = track.fileName;
+            info.appendChild(title);
+            info.appendChild(detail);
+            row.appendChild(info);
+            
+            element.appendChild(row);
+        });
+        
+        const mergeBtn = document.createElement('button');
+        mergeBtn.className = 'btn-cancel';
+        mergeBtn.textContent = 'Manter selecionada e remover as outras';
+        mergeBtn.addEventListener('click', () => resolveDuplicateGroups([group]));
+        element.appendChild(mergeBtn);
+        
+        container.appendChild(element);
+    });
+}
+
+/**
+ * Mescla os grupos escolhidos (mantendo a cópia selecionada em cada um)
+ */
+async function resolveDuplicateGroups(groups) {
+    const removeCount = groups.reduce((sum, group) => sum + group.tracks.length - 1, 0);
+    if (!confirm(`Remover ${removeCount} cópia(s) duplicada(s)? A cópia mantida entra no lugar delas em playlists e favoritos.`)) {
+        return;
+    }
+    
+    try {
+        for (const group of groups) {
+            await mergeDuplicates(group.suggestedKeepId, group.tracks.map(t => t.id));
+        }
+        AppState.duplicateGroups = AppState.duplicateGroups.filter(group => !groups.includes(group));
+        renderDuplicateGroups();
+    } catch (error) {
+        console.error('Erro ao mesclar duplicatas:', error);
+        alert('Erro ao remover duplicatas. Tente novamente.');
+    }
+}
+
+/**
+ * Liga os controles do localizador de duplicatas
+ */
+function setupDuplicateControls() {
+    document.getElementById('findDuplicatesBtn').addEventListener('click', openDuplicateFinder);
+    document.getElementById('mergeAllDuplicatesBtn').addEventListener('click', () => {
+        resolveDuplicateGroups(AppState.duplicateGroups);
+    });
+    
+    const close = () => {
+        AppState.duplicateGroups = [];
+        document.getElementById('duplicatesModal').classList.remove('active');
+    };
+    document.getElementById('duplicatesModalClose').addEventListener('click', close);
+    document.getElementById('closeDuplicatesBtn').addEventListener('click', close);
+}
+
+// ============================================
+// NAVEGAÇÃO POR ARTISTA, ÁLBUM E GÊNERO
+// ============================================
+
+// Nome exibido para coletâneas sem artista do álbum
+const VARIOUS_ARTISTS = 'Vários Artistas';
+
+// Grafias comuns de "vários artistas" nas tags (já normalizadas)
+const VARIOUS_ARTISTS_ALIASES = new Set(['various artists', 'various', 'va', 'varios artistas', 'varios']);
+
+/**
+ * Chave de agrupamento de um artista (sem acentos nem maiúsculas)
+ */
+function getArtistKey(name) {
+    return normalizeForMatch(name || '');
+}
+
+/**
+ * Chave de agrupamento de um gênero
+ */
+function getGenreKey(name) {
+    return normalizeForMatch(name || '');
+}
+
+/**
+ * Agrupa a biblioteca por uma chave, somando músicas e duração
+ * Complexidade: O(n)
+ */
+function groupLibrary(getKey, createEntry) {
+    const groups = new Map();
+    AppState.musicLibrary.forEach(track => {
+        const key = getKey(track);
+        if (!key) return;
+        if (!groups.has(key)) {
+            groups.set(key, { key, tracks: [], duration: 0, ...createEntry(track) });
+        }
+        const group = groups.get(key);
+        group.tracks.push(track);
+        group.duration += track.duration || 0;
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Artistas da biblioteca (pelo artista de cada faixa), com número de álbuns
+ * Complexidade: O(n log n)
+ */
+function getArtists() {
+    const artists = groupLibrary(track => getArtistKey(track.artist), track => ({ name: track.artist }));
+    artists.forEach(artist => {
+        artist.albumCount = new Set(artist.tracks.filter(hasKnownAlbum).map(getAlbumKey)).size;
+    });
+    return artists.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+/**
+ * Álbuns da biblioteca; coletâneas ficam agrupadas pelo artista do álbum
+ * Complexidade: O(n log n)
+ */
+function getAlbums() {
+    const albums = groupLibrary(
+        track => (hasKnownAlbum(track) ? getAlbumKey(track) : null),
+        track => ({ name: track.album, artist: getAlbumArtist(track), year: track.year })
+    );
+    albums.forEach(album => {
+        album.tracks = sortAlbumTracks(album.tracks);
+        album.compilation = isVariousArtists(album.artist);
+    });
+    return albums.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+/**
+ * Gêneros da biblioteca
+ * Complexidade: O(n log n)
+ */
+function getGenres() {
+    const genres = groupLibrary(track => getGenreKey(track.genre), track => ({ name: track.genre }));
+    return genres.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+/**
+ * Ordena as faixas de um álbum por disco e número da faixa
+ * Complexidade: O(n log n)
+ */
+function sortAlbumTracks(tracks) {
+    return [...tracks].sort((a, b) =>
+        (a.discNumber || 1) - (b.discNumber || 1) ||
+        (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+        a.name.localeCompare(b.name, 'pt-BR')
+    );
+}
+
+/**
+ * Dados de uma página (artista, álbum ou gênero) a partir da chave
+ * Complexidade: O(n log n)
+ */
+function getBrowsePage(type, key) {
+    if (type === 'album') {
+        return getAlbums().find(album => album.key === key) || null;
+    }
+    if (type === 'genre') {
+        return getGenres().find(genre => genre.key === key) || null;
+    }
+
+    // Página do artista: faixas próprias e as dos álbuns em que ele é o artista do álbum
+    const tracks = AppState.musicLibrary.filter(track =>
+        getArtistKey(track.artist) === key || getArtistKey(getAlbumArtist(track)) === key
+    );
+    if (tracks.length === 0) return null;
+
+    const own = tracks.find(track => getArtistKey(track.artist) === key);
+    const albumKeys = new Set(tracks.filter(hasKnownAlbum).map(getAlbumKey));
+    const albums = getAlbums().filter(album => albumKeys.has(album.key));
+    const ordered = [
+        ...albums.flatMap(album => album.tracks.filter(track => tracks.includes(track))),
+        ...tracks.filter(track => !hasKnownAlbum(track))
+    ];
+
+    return {
+        key,
+        name: own ? own.artist : getAlbumArtist(tracks[0]),
+        tracks: ordered,
+        albums,
+        duration: tracks.reduce((sum, track) => sum + (track.duration || 0), 0)
+    };
+}
+
+/**
+ * Reproduz uma lista de músicas como novo contexto (álbum, artista ou gênero)
+ */
+function playTrackList(tracks, contextName, shuffle = false) {
+    if (tracks.length === 0) return;
+
+    // "Embaralhar" liga o shuffle, como no botão do player
+    if (shuffle && !AppState.isShuffled) {
+        AppState.isShuffled = true;
+        updateShuffleButton();
+    }
+
+    const trackIds = tracks.map(track => track.id);
+    const first = AppState.isShuffled ? trackIds[Math.floor(Math.random() * trackIds.length)] : trackIds[0];
+    playTrack(first, { name: contextName, trackIds });
+}
+
+/**
+ * Mostra uma seção do conteúdo principal e marca o item de navegação
+ */
+function showSection(section) {
+    document.querySelectorAll('.content-section').forEach(sec => sec.classList.remove('active'));
+    document.getElementById(`${section}-section`).classList.add('active');
+    document.querySelectorAll('.nav-item').forEach(nav => {
+        nav.classList.toggle('active', nav.dataset.section === section);
+    });
+    // As recomendações mudam a cada escuta; recalcula ao voltar para o início
+    if (section === 'home') {
+        renderRecommendations();
+    }
+    // Listas renderizadas enquanto a seção estava oculta ainda não têm linhas
+    scheduleVirtualListUpdate();
+}
+
+/**
+ * Abre a página de um artista, álbum ou gênero
+ */
+function openBrowsePage(type, key) {
+    AppState.browse.page = { type, key };
+    showSection('browse');
+    renderBrowse();
+}
+
+/**
+ * Cria um nome clicável que leva à página do artista ou álbum
+ * O destino vem da música do elemento pai (data-track-id), via handleBrowseLinkClick
+ */
+function createBrowseLink(text, type) {
+    const link = document.createElement('span');
+    link.className = 'browse-link';
+    link.dataset.browse = type;
+    link.textContent = text;
+    return link;
+}
+
+/**
+ * Listener global (delegado) dos nomes de artista/álbum em listas e cards
+ */
+function handleBrowseLinkClick(event) {
+    const link = event.target.closest('.browse-link');
+    const holder = link && link.closest('[data-track-id]');
+    if (!holder) return;
+    
+    const track = AppState.musicLibrary.find(t => t.id === Number(holder.dataset.trackId));
+    if (!track) return;
+    
+    if (link.dataset.browse === 'album') {
+        openBrowsePage('album', getAlbumKey(track));
+    } else {
+        openBrowsePage('artist', getArtistKey(track.artist));
+    }
+}
+
+/**
+ * Re-renderiza a navegação se ela estiver visível (após mudanças na biblioteca)
+ */
+function refreshBrowseView() {
+    const section = document.getElementById('browse-section');
+    if (section && section.classList.contains('active')) {
+        renderBrowse();
+    }
+}
+
+/**
+ * Renderiza a navegação: índice da aba atual ou a página aberta
+ */
+function renderBrowse() {
+    const { view, page } = AppState.browse;
+    document.querySelectorAll('.browse-tab').forEach(tab => {
+        tab.classList.toggle('active', !page && tab.dataset.view === view);
+    });
+
+    const container = document.getElementById('browseContent');
+    container.innerHTML = '';
+
+    const data = page ? getBrowsePage(page.type, page.key) : null;
+    if (page && !data) {
+        // A página pode ter sumido (música removida ou editada): volta ao índice
+        AppState.browse.page = null;
+        renderBrowse();
+        return;
+    }
+
+    if (data) {
+        renderBrowsePage(container, page.type, data);
+    } else {
+        renderBrowseIndex(container, view);
+    }
+}
+
+/**
+ * Renderiza o índice de artistas, álbuns ou gêneros como grade de cartões
+ */
+function renderBrowseIndex(container, view) {
+    const entries = view === 'albums' ? getAlbums() : view === 'genres' ? getGenres() : getArtists();
+    document.getElementById('browseTitle').textContent = 'Explorar';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = 'Nenhuma música na biblioteca.';
+        container.appendChild(empty);
+        return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'music-grid';
+    const type = view === 'albums' ? 'album' : view === 'genres' ? 'genre' : 'artist';
+
+    entries.forEach(entry => {
+        let detail = `${entry.tracks.length} música(s) • ${formatListeningTime(entry.duration)}`;
+        if (type === 'album') {
+            detail = `${entry.artist} • ${detail}`;
+        } else if (type === 'artist') {
+            detail = `${entry.albumCount} álbum(ns) • ${detail}`;
+        }
+        grid.appendChild(createBrowseCard(entry, detail, () => openBrowsePage(type, entry.key)));
+    });
+    container.appendChild(grid);
+}
+
+/**
+ * Cria o cartão de um artista, álbum ou gênero (capa da primeira faixa que tiver uma)
+ */
+function createBrowseCard(entry, detail, onClick) {
+    const card = document.createElement('div');
+    card.className = 'music-card';
+
+    const artwork = document.createElement('div');
+    artwork.className = 'music-card-artwork';
+    artwork.textContent = '💿';
+    renderArtwork(artwork, entry.tracks.find(track => track.artworkId));
+    card.appendChild(artwork);
+
+    const title = document.createElement('div');
+    title.className = 'music-card-title';
+    title.textContent = entry.name;
+    title.title = entry.name;
+    card.appendChild(title);
+
+    const subtitle = document.createElement('div');
+    subtitle.className = 'music-card-artist';
+    subtitle.textContent = detail;
+    subtitle.title = detail;
+    card.appendChild(subtitle);
+
+    card.addEventListener('click', onClick);
+    return card;
+}
+
+/**
+ * Renderiza a página de um artista, álbum ou gênero
+ */
+function renderBrowsePage(container, type, data) {
+    document.getElementById('browseTitle').textContent = data.name;
+
+    const header = document.createElement('div');
+    header.className = 'browse-page-header';
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'filter-btn';
+    backBtn.textContent = '← Voltar';
+    backBtn.addEventListener('click', () => {
+        AppState.browse.page = null;
+        renderBrowse();
+    });
+    header.appendChild(backBtn);
+
+    const meta = document.createElement('span');
+    meta.className = 'browse-page-meta';
+    const parts = [`${data.tracks.length} música(s)`, formatListeningTime(data.duration)];
+    if (type === 'album') {
+        parts.unshift(data.artist);
+        if (data.year) parts.splice(1, 0, data.year);
+    } else if (type === 'artist') {
+        parts.unshift(`${data.albums.length} álbum(ns)`);
+    }
+    meta.textContent = parts.join(' • ');
+    header.appendChild(meta);
+
+    const addAction = (label, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'filter-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        header.appendChild(button);
+    };
+
+    if (type === 'album') {
+        addAction('▶ Tocar álbum', () => playTrackList(data.tracks, data.name));
+        // Em coletâneas não há um artista para embaralhar
+        if (!data.compilation) {
+            const artist = getBrowsePage('artist', getArtistKey(data.artist));
+            if (artist) {
+                addAction('🔀 Embaralhar artista', () => playTrackList(artist.tracks, artist.name, true));
+            }
+        }
+    } else if (type === 'artist') {
+        addAction('▶ Tocar tudo', () => playTrackList(data.tracks, data.name));
+        addAction('🔀 Embaralhar artista', () => playTrackList(data.tracks, data.name, true));
+    } else {
+        addAction('▶ Tocar', () => playTrackList(data.tracks, data.name));
+        addAction('🔀 Embaralhar', () => playTrackList(data.tracks, data.name, true));
+    }
+    container.appendChild(header);
+
+    // Página do artista: álbuns em que ele aparece
+    if (type === 'artist' && data.albums.length > 0) {
+        const heading = document.createElement('h3');
+        heading.textContent = 'Álbuns';
+        container.appendChild(heading);
+
+        const grid = document.createElement('div');
+        grid.className = 'music-grid';
+        data.albums.forEach(album => {
+            const detail = [album.year, `${album.tracks.length} música(s)`].filter(Boolean).join(' • ');
+            grid.appendChild(createBrowseCard(album, detail, () => openBrowsePage('album', album.key)));
+        });
+        container.appendChild(grid);
+
+        const tracksHeading = document.createElement('h3');
+        tracksHeading.textContent = 'Músicas';
+        container.appendChild(tracksHeading);
+    }
+
+    const list = document.createElement('div');
+    list.className = 'music-list';
+    list.id = 'browseTrackList';
+    container.appendChild(list);
+    renderMusicList(data.tracks, 'browseTrackList', true, {
+        name: data.name,
+        trackIds: data.tracks.map(track => track.id)
+    });
+}
+
+/**
+ * Liga as abas de artistas, álbuns e gêneros
+ */
+function setupBrowseControls() {
+    document.addEventListener('click', handleBrowseLinkClick);
+    
+    document.querySelectorAll('.browse-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            AppState.browse.view = tab.dataset.view;
+            AppState.browse.page = null;
+            renderBrowse();
+        });
+    });
+}
+
+// ============================================
+// LISTAS VIRTUALIZADAS
+// ============================================
+
+// Altura reservada por linha (px): linha + espaçamento, iguais ao CSS
+const MUSIC_ROW_HEIGHT = 79;
+const MUSIC_ROW_GAP = 5;
+const QUEUE_ROW_HEIGHT = 68;
+const QUEUE_ROW_GAP = 5;
+
+// Linhas extras renderizadas acima e abaixo da área visível
+const VIRTUAL_LIST_OVERSCAN = 8;
+
+/**
+ * Transforma um contêiner em lista virtualizada
+ * Um espaçador com a altura total mantém a barra de rolagem; só as linhas
+ * na área visível (mais a margem) são criadas, posicionadas por índice
+ * options: { count, rowHeight, rowGap, renderRow(index) -> Element }
+ */
+function createVirtualList(container, options) {
+    container.innerHTML = '';
+    
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-list-spacer';
+    spacer.style.height = `${options.count * options.rowHeight}px`;
+    container.appendChild(spacer);
+    
+    const list = {
+        container,
+        spacer,
+        ...options,
+        rows: new Map() // índice -> linha renderizada
+    };
+    AppState.virtualLists.set(container, list);
+    
+    updateVirtualList(list);
+    // Contêiner ainda oculto (seção ou modal sendo aberto): tenta de novo no próximo quadro
+    if (list.rows.size === 0 && options.count > 0) {
+        scheduleVirtualListUpdate();
+    }
+    return list;
+}
+
+/**
+ * Área visível de um elemento: interseção da janela com os ancestrais que rolam
+ */
+function getVisibleBounds(element) {
+    let top = 0;
+    let bottom = window.innerHeight;
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+        const overflow = getComputedStyle(parent).overflowY;
+        if (overflow === 'auto' || overflow === 'scroll') {
+            const rect = parent.getBoundingClientRect();
+            top = Math.max(top, rect.top);
+            bottom = Math.min(bottom, rect.bottom);
+        }
+    }
+    return { top, bottom };
+}
+
+/**
+ * Cria as linhas que entraram na área visível e remove as que saíram
+ * Complexidade: O(v) - onde v é o número de linhas visíveis
+ */
+function updateVirtualList(list) {
+    const { spacer, rowHeight, rowGap, count, rows } = list;
+    
+    // Oculto (display: none) não tem caixa: mantém o que já existe
+    if (spacer.getClientRects().length === 0) return;
+    
+    const rect = spacer.getBoundingClientRect();
+    const bounds = getVisibleBounds(spacer);
+    const first = Math.max(0, Math.floor((bounds.top - rect.top) / rowHeight) - VIRTUAL_LIST_OVERSCAN);
+    const last = Math.min(count - 1, Math.ceil((bounds.bottom - rect.top) / rowHeight) + VIRTUAL_LIST_OVERSCAN);
+    
+    rows.forEach((row, index) => {
+        if (index < first || index > last) {
+            row.remove();
+            rows.delete(index);
+        }
+    });
+    
+    for (let index = first; index <= last; index++) {
+        if (!rows.has(index)) {
+            const row = list.renderRow(index);
+            row.classList.add('virtual-row');
+            row.style.top = `${index * rowHeight}px`;
+            row.style.height = `${rowHeight - rowGap}px`;
+            spacer.appendChild(row);
+            rows.set(index, row);
+        }
+    }
+}
+
+/**
+ * Atualiza todas as listas no próximo quadro (rolagem, redimensionamento, troca de seção)
+ * Listas cujo contêiner saiu do documento são descartadas
+ */
+function scheduleVirtualListUpdate() {
+    if (AppState.virtualListFrame) return;
+    
+    AppState.virtualListFrame = requestAnimationFrame(() => {
+        AppState.virtualListFrame = null;
+        AppState.virtualLists.forEach((list, container) => {
+            if (!container.isConnected || !container.contains(list.spacer)) {
+                AppState.virtualLists.delete(container);
+            } else {
+                updateVirtualList(list);
+            }
+        });
+    });
+}
+
+/**
+ * Recria só as linhas já renderizadas que satisfazem o filtro
+ * (ex.: as linhas de uma música cujo favorito mudou)
+ */
+function refreshVirtualRows(predicate) {
+    AppState.virtualLists.forEach(list => {
+        list.rows.forEach((row, index) => {
+            if (!predicate(row, list)) return;
+            const replacement = list.renderRow(index);
+            replacement.classList.add('virtual-row');
+            replacement.style.top = row.style.top;
+            replacement.style.height = row.style.height;
+            row.replaceWith(replacement);
+            list.rows.set(index, replacement);
+        });
+    });
+}
+
+// ============================================
+// RENDERIZAÇÃO DA UI
+// ============================================
+
+/**
+ * Renderiza a lista de playlists na sidebar
+ * Complexidade: O(n) - Renderiza cada playlist
+ */
+function renderPlaylists() {
+    const list = document.getElementById('playlistsList');
+    list.innerHTML = '';
+    
+    AppState.playlists.forEach(playlist => {
+        const li = document.createElement('li');
+        li.className = 'playlist-item';
+        if (AppState.currentPlaylist && AppState.currentPlaylist.id === playlist.id) {
+            li.classList.add('active');
+        }
+        
+        const isSmart = playlist.type === 'smart';
+        const span = document.createElement('span');
+        span.textContent = isSmart ? `✨ ${playlist.name}` : playlist.name;
+        span.title = isSmart ? 'Playlist inteligente (atualizada automaticamente)' : playlist.name;
+        span.style.cursor = 'pointer';
+        span.addEventListener('click', () => selectPlaylist(playlist.id));
+        
+        const actions = document.createElement('div');
+        actions.className = 'playlist-actions';
+        
+        if (isSmart) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'playlist-action-btn';
+            editBtn.title = 'Editar regras';
+            editBtn.textContent = '✏️';
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openSmartPlaylistEditor(playlist.id);
+            });
+            
+            const convertBtn = document.createElement('button');
+            convertBtn.className = 'playlist-action-btn';
+            convertBtn.title = 'Converter em playlist estática';
+            convertBtn.textContent = '📌';
+            convertBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (confirm(`Converter "${playlist.name}" em playlist estática? As músicas atuais serão mantidas e as regras descartadas.`)) {
+                    convertToStaticPlaylist(playlist.id);
+                }
+            });
+            
+            actions.appendChild(editBtn);
+            actions.appendChild(convertBtn);
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'playlist-action-btn';
+        deleteBtn.title = 'Excluir';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm(`Tem certeza que deseja excluir a playlist "${playlist.name}"?`)) {
+                deletePlaylist(playlist.id);
+            }
+        });
+        
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'playlist-action-btn';
+        exportBtn.title = 'Exportar';
+        exportBtn.textContent = '💾';
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showExportPlaylistMenu(playlist.id);
+        });
+        
+        actions.appendChild(exportBtn);
+        actions.appendChild(deleteBtn);
+        li.appendChild(span);
+        li.appendChild(actions);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Renderiza músicas em formato de grid
+ * Complexidade: O(n) - Renderiza cada música
+ */
+function renderMusicGrid(musics, containerId) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    
+    musics.forEach(track => {
+        const card = document.createElement('div');
+        card.className = 'music-card';
+        card.dataset.trackId = track.id;
+        
+        const artwork = document.createElement('div');
+        artwork.className = 'music-card-artwork';
+        renderArtwork(artwork, track);
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'play-overlay';
+        overlay.textContent = '▶';
+        overlay.addEventListener('click', (e) => {
+            e.stopPropagation();
+            playTrack(track.id);
+        });
+        
+        artwork.appendChild(overlay);
+        card.appendChild(artwork);
+        
+        const title = document.createElement('div');
+        title.className = 'music-card-title';
+        title.textContent = track.name;
+        title.title = track.name;
+        card.appendChild(title);
+        
+        const artist = document.createElement('div');
+        artist.className = 'music-card-artist';
+        artist.appendChild(createBrowseLink(track.artist, 'artist'));
+        artist.title = track.artist;
+        card.appendChild(artist);
+        
+        const actions = document.createElement('div');
+        actions.className = 'music-card-actions';
+        
+        const playNextBtn = document.createElement('button');
+        playNextBtn.className = 'music-action-btn';
+        playNextBtn.title = 'Tocar em seguida';
+        playNextBtn.textContent = '⏭';
+        playNextBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            playTrackNext(track.id);
+        });
+        
+        const addToQueueBtn = document.createElement('button');
+        addToQueueBtn.className = 'music-action-btn';
+        addToQueueBtn.title = 'Adicionar à fila';
+        addToQueueBtn.textContent = '📋';
+        addToQueueBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            addTrackToQueue(track.id);
+        });
+        
+        const radioBtn = document.createElement('button');
+        radioBtn.className = 'music-action-btn';
+        radioBtn.title = 'Iniciar rádio';
+        radioBtn.textContent = '📻';
+        radioBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startTrackRadio(track.id);
+        });
+        
+        actions.appendChild(playNextBtn);
+        actions.appendChild(addToQueueBtn);
+        actions.appendChild(radioBtn);
+        card.appendChild(actions);
+        
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Renderiza músicas em formato de lista (virtualizada: só as linhas visíveis existem no DOM)
+ * Os cliques são tratados por um único listener no contêiner (handleMusicListClick)
+ * Complexidade: O(v) - onde v é o número de linhas visíveis
+ */
+function renderMusicList(musics, containerId, showNumber = true, context = null) {
+    const container = document.getElementById(containerId);
+    
+    // Caixas de seleção só na biblioteca, quando o modo de seleção está ativo
+    const selectable = AppState.selectionMode && containerId === 'musicLibrary';
+    
+    const list = createVirtualList(container, {
+        count: musics.length,
+        rowHeight: MUSIC_ROW_HEIGHT,
+        rowGap: MUSIC_ROW_GAP,
+        renderRow: index => createMusicRow(musics[index], index, showNumber, selectable)
+    });
+    list.tracks = musics;
+    list.context = context;
+    list.selectable = selectable;
+    
+    if (!container.dataset.delegated) {
+        container.addEventListener('click', handleMusicListClick);
+        container.dataset.delegated = 'true';
+    }
+}
+
+/**
+ * Cria a linha de uma música; as ações são identificadas por data-action
+ */
+function createMusicRow(track, index, showNumber, selectable) {
+    const item = document.createElement('div');
+    item.className = 'music-item';
+    item.dataset.trackId = track.id;
+    item.dataset.index = index;
+    if (AppState.currentTrack && AppState.currentTrack.id === track.id) {
+        item.classList.add('playing');
+    }
+    
+    if (selectable) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'music-item-select';
+        checkbox.dataset.action = 'select';
+        checkbox.checked = AppState.selectedTracks.has(track.id);
+        item.appendChild(checkbox);
+    }
+    
+    if (showNumber) {
+        const number = document.createElement('div');
+        number.className = 'music-item-number';
+        number.textContent = index + 1;
+        item.appendChild(number);
+    }
+    
+    const artwork = document.createElement('div');
+    artwork.className = 'music-item-artwork';
+    artwork.textContent = '🎵';
+    renderArtwork(artwork, track);
+    item.appendChild(artwork);
+    
+    const info = document.createElement('div');
+    info.className = 'music-item-info';
+    
+    const title = document.createElement('div');
+    title.className = 'music-item-title';
+    title.textContent = track.name;
+    title.title = track.name;
+    
+    const artist = document.createElement('div');
+    artist.className = 'music-item-artist';
+    artist.appendChild(createBrowseLink(track.artist, 'artist'));
+    artist.title = track.artist;
+    if (hasKnownAlbum(track)) {
+        artist.appendChild(document.createTextNode(' • '));
+        artist.appendChild(createBrowseLink(track.album, 'album'));
+        artist.title = `${track.artist} • ${track.album}`;
+    }
+    
+    info.appendChild(title);
+    info.appendChild(artist);
+    item.appendChild(info);
+    
+    const actions = document.createElement('div');
+    actions.className = 'music-item-actions';
+    
+    const isFavorite = AppState.favoriteTracks.has(track.id);
+    const buttons = [
+        ['favorite', isFavorite ? '❤️' : '🤍', 'Favoritar'],
+        ['play', '▶', 'Reproduzir'],
+        ['play-next', '⏭', 'Tocar em seguida'],
+        ['queue', '📋', 'Adicionar à fila'],
+        ['playlist', '➕', 'Adicionar à playlist'],
+        ['radio', '📻', 'Iniciar rádio'],
+        ['artwork', '🖼️', 'Definir capa'],
+        ['edit', '✏️', 'Detalhes e edição']
+    ];
+    buttons.forEach(([action, icon, label]) => {
+        const button = document.createElement('button');
+        button.className = 'music-action-btn';
+        if (action === 'favorite' && isFavorite) {
+            button.classList.add('favorite');
+        }
+        button.dataset.action = action;
+        button.title = label;
+        button.textContent = icon;
+        actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    
+    return item;
+}
+
+/**
+ * Trata cliques em qualquer linha de uma lista de músicas (delegação de eventos)
+ * Clique na linha reproduz a música (ou a seleciona, no modo de seleção)
+ */
+function handleMusicListClick(event) {
+    const list = AppState.virtualLists.get(event.currentTarget);
+    const row = event.target.closest('.music-item');
+    // Nomes de artista/álbum são tratados pelo listener global de navegação
+    if (!list || !row || event.target.closest('.browse-link')) return;
+    
+    const track = list.tracks[Number(row.dataset.index)];
+    if (!track) return;
+    
+    const actionElement = event.target.closest('[data-action]');
+    switch (actionElement ? actionElement.dataset.action : null) {
+        case 'favorite':
+            toggleFavorite(track.id);
+            break;
+        case 'play':
+            playTrack(track.id, list.context);
+            break;
+        case 'play-next':
+            playTrackNext(track.id);
+            break;
+        case 'queue':
+            addTrackToQueue(track.id);
+            break;
+        case 'playlist':
+            showAddToPlaylistMenu(track.id);
+            break;
+        case 'radio':
+            startTrackRadio(track.id);
+            break;
+        case 'artwork':
+            promptArtworkUpload(track.id);
+            break;
+        case 'edit':
+            openTrackEditor([track.id]);
+            break;
+        case 'select':
+            // O navegador já marcou/desmarcou a caixa
+            toggleTrackSelection(track.id);
+            break;
+        default:
+            if (list.selectable) {
+                const checkbox = row.querySelector('.music-item-select');
+                checkbox.checked = !checkbox.checked;
+                toggleTrackSelection(track.id);
+            } else {
+                playTrack(track.id, list.context);
+            }
+    }
+}
+
+/**
+ * Executa a busca e mostra os resultados (também usada ao clicar em artistas/álbuns)
+ */
+function runSearch(query = null) {
+    const searchInput = document.getElementById('searchInput');
+    if (query !== null) {
+        searchInput.value = query;
+    }
+    renderSearchResults(searchMusics(searchInput.value));
+}
+
+/**
+ * Renderiza resultados de busca agrupados (artistas, álbuns, playlists e músicas)
+ */
+function renderSearchResults(results) {
+    const container = document.getElementById('searchResults');
+    container.innerHTML = '';
+    
+    const { tracks, artists, albums, playlists } = results;
+    if (tracks.length + artists.length + albums.length + playlists.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'search-empty';
+        empty.textContent = 'Nenhum resultado encontrado.';
+        container.appendChild(empty);
+        return;
+    }
+    
+    renderSearchGroup(container, 'Artistas', artists.map(artist => ({
+        label: artist.name,
+        detail: `${artist.count} música(s)`,
+        onClick: () => openBrowsePage('artist', getArtistKey(artist.name))
+    })));
+    renderSearchGroup(container, 'Álbuns', albums.map(album => ({
+        label: album.album,
+        detail: album.artist,
+        onClick: () => openBrowsePage('album', album.key)
+    })));
+    renderSearchGroup(container, 'Playlists', playlists.map(playlist => ({
+        label: playlist.name,
+        detail: `${playlist.tracks.length} música(s)`,
+        onClick: () => selectPlaylist(playlist.id)
+    })));
+    
+    if (tracks.length > 0) {
+        const heading = document.createElement('h3');
+        heading.className = 'search-group-title';
+        heading.textContent = 'Músicas';
+        container.appendChild(heading);
+        
+        const list = document.createElement('div');
+        list.className = 'music-list';
+        list.id = 'searchTrackResults';
+        container.appendChild(list);
+        renderMusicList(tracks, 'searchTrackResults', false);
+    }
+}
+
+/**
+ * Renderiza um grupo de resultados (artistas, álbuns ou playlists) como chips clicáveis
+ */
+function renderSearchGroup(container, title, items) {
+    if (items.length === 0) return;
+    
+    const heading = document.createElement('h3');
+    heading.className = 'search-group-title';
+    heading.textContent = title;
+    container.appendChild(heading);
+    
+    const group = document.createElement('div');
+    group.className = 'search-group';
+    items.forEach(item => {
+        const button = document.createElement('button');
+        button.className = 'search-group-item';
+        
+        const label = document.createElement('span');
+        label.className = 'search-group-label';
+        label.textContent = item.label;
+        
+        const detail = document.createElement('span');
+        detail.className = 'search-group-detail';
+        detail.textContent = item.detail;
+        
+        button.appendChild(label);
+        button.appendChild(detail);
+        button.addEventListener('click', item.onClick);
+        group.appendChild(button);
+    });
+    container.appendChild(group);
+}
+
+/**
+ * Atualiza informações do player
+ */
+function updatePlayerInfo(track) {
+    document.getElementById('trackName').textContent = track.name || 'Música desconhecida';
+    document.getElementById('trackArtist').textContent = track.artist || 'Artista desconhecido';
+    renderArtwork(document.getElementById('trackArtwork'), track);
+    renderNowPlayingView();
+}
+
+/**
+ * Atualiza botão de play/pause
+ */
+function updatePlayButton() {
+    document.querySelectorAll('#playPauseBtn, #npPlayPauseBtn').forEach(btn => {
+        btn.textContent = AppState.isPlaying ? '⏸' : '▶';
+    });
+    updateMediaSessionPlaybackState();
+}
+
+/**
+ * Atualiza botão de shuffle
+ */
+function updateShuffleButton() {
+    document.querySelectorAll('#shuffleBtn, #npShuffleBtn').forEach(btn => {
+        btn.style.opacity = AppState.isShuffled ? '1' : '0.5';
+    });
+}
+
+/**
+ * Atualiza botão de repeat
+ */
+function updateRepeatButton() {
+    const modes = {
+        'off': { text: '🔁', opacity: 0.5 },
+        'all': { text: '🔁', opacity: 1 },
+        'one': { text: '🔁', opacity: 1 }
+    };
+    const mode = modes[AppState.repeatMode];
+    document.querySelectorAll('#repeatBtn, #npRepeatBtn').forEach(btn => {
+        btn.textContent = mode.text;
+        btn.style.opacity = mode.opacity;
+    });
+}
+
+/**
+ * Atualiza ícone de volume
+ */
+function updateVolumeIcon() {
+    const btn = document.getElementById('volumeBtn');
+    if (AppState.volume === 0) {
+        btn.textContent = '🔇';
+    } else if (AppState.volume < 0.5) {
+        btn.textContent = '🔉';
+    } else {
+        btn.textContent = '🔊';
+    }
+}
+
+/**
+ * Atualiza exibição de tempo
+ */
+function updateTimeDisplay() {
+    const current = formatTime(AppState.audio.currentTime);
+    const total = formatTime(AppState.audio.duration || 0);
+    
+    document.getElementById('timeCurrent').textContent = current;
+    document.getElementById('timeTotal').textContent = total;
+    
+    const waveform = document.getElementById('waveform');
+    waveform.setAttribute('aria-valuenow', Math.round(getPlaybackFraction() * 100));
+    waveform.setAttribute('aria-valuetext', `${current} de ${total}`);
+    drawWaveform();
+}
+
+/**
+ * Formata tempo em mm:ss
+ */
+function formatTime(seconds) {
+    if (isNaN(seconds)) return '0:00';
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Oferece um conteúdo gerado localmente para download
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Atualiza destaque da música atual na lista
+ */
+function updateMusicListHighlight() {
+    const currentId = AppState.currentTrack ? AppState.currentTrack.id : null;
+    
+    // Só as linhas renderizadas existem; a comparação é pelo id, não pelo título
+    AppState.virtualLists.forEach(list => {
+        if (!list.tracks) return;
+        list.rows.forEach(row => {
+            const playing = Number(row.dataset.trackId) === currentId;
+            if (row.classList.contains('playing') !== playing) {
+                row.classList.toggle('playing', playing);
+            }
+        });
+    });
+}
+
+/**
+ * Mostra menu para adicionar música à playlist
+ */
+function showAddToPlaylistMenu(trackId) {
+    // Playlists inteligentes são definidas pelas regras, não por adição manual
+    const playlists = AppState.playlists.filter(p => p.type !== 'smart');
+    if (playlists.length === 0) {
+        alert('Crie uma playlist primeiro!');
+        return;
+    }
+    
+    const playlistNames = playlists.map(p => p.name);
+    const selected = prompt(`Adicionar à playlist:\n${playlistNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n\nDigite o número da playlist:`);
+    
+    const index = parseInt(selected) - 1;
+    if (index >= 0 && index < playlists.length) {
+        addTrackToPlaylist(playlists[index].id, trackId);
+        alert(`Música adicionada à playlist "${playlists[index].name}"!`);
+    }
+}
+
+// ============================================
+// FUNÇÕES DE INTERAÇÃO DO USUÁRIO
+// ============================================
+
+/**
+ * Reproduz uma música específica
+ */
+function playTrack(trackId, context = null) {
+    const track = AppState.musicLibrary.find(t => t.id === trackId);
+    if (track) {
+        // Escolher outra música como contexto desliga o rádio
+        stopTrackRadio();
+        
+        // Um contexto explícito (álbum, artista, gênero) define a fila
+        // Senão, se há uma playlist ativa, usa a fila da playlist
+        // Caso contrário, cria fila com todas as músicas da biblioteca
+        // A fila é uma cópia: editá-la não altera a playlist
+        if (context) {
+            AppState.currentPlaylist = null;
+            AppState.queueContextName = context.name;
+            AppState.playQueue = [...context.trackIds];
+        } else if (AppState.currentPlaylist && AppState.currentPlaylist.tracks.length > 0) {
+            AppState.queueContextName = null;
+            AppState.playQueue = [...AppState.currentPlaylist.tracks];
+        } else {
+            AppState.queueContextName = null;
+            AppState.playQueue = AppState.musicLibrary.map(t => t.id);
+        }
+        
+        AppState.currentQueueIndex = AppState.playQueue.indexOf(trackId);
+        if (AppState.currentQueueIndex === -1) {
+            AppState.currentQueueIndex = 0;
+        }
+        
+        // Novo contexto com shuffle ativo: a música escolhida abre a ordem embaralhada
+        if (AppState.isShuffled) {
+            shuffleQueue();
+        }
+        
+        loadTrack(track);
+        play();
+        updateMusicListHighlight();
+    }
+}
+
+/**
+ * Alterna favorito de uma música
+ */
+function toggleFavorite(trackId) {
+    if (AppState.favoriteTracks.has(trackId)) {
+        AppState.favoriteTracks.delete(trackId);
+    } else {
+        AppState.favoriteTracks.add(trackId);
+    }
+    
+    // Salva favoritos no localStorage
+    localStorage.setItem('spotfy_favorites', JSON.stringify(Array.from(AppState.favoriteTracks)));
+    onLibraryChanged();
+    
+    // Atualiza UI: o filtro de favoritas muda o conteúdo da lista; fora dele,
+    // só as linhas renderizadas desta música são recriadas
+    const filter = document.querySelector('.filter-btn[data-filter].active')?.dataset.filter || 'all';
+    if (filter === 'favorites' && !AppState.currentPlaylist &&
+        document.getElementById('library-section').classList.contains('active')) {
+        renderLibrary(filter);
+    } else {
+        refreshVirtualRows((row, list) => list.tracks && Number(row.dataset.trackId) === trackId);
+    }
+}
+
+/**
+ * Seleciona uma playlist
+ */
+function selectPlaylist(playlistId) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    if (playlist) {
+        AppState.currentPlaylist = playlist;
+        AppState.queueContextName = null;
+        stopTrackRadio();
+        // Mantém a ordem da playlist (playlists inteligentes têm ordenação própria)
+        const tracks = getPlaylistTracks(playlist);
+        
+        // Muda para seção de biblioteca se não estiver
+        showSection('library');
+        
+        renderMusicList(tracks, 'musicLibrary', true);
+        
+        // Atualiza fila de reprodução
+        AppState.playQueue = [...playlist.tracks];
+        AppState.currentQueueIndex = -1;
+        if (AppState.isShuffled) {
+            shuffleQueue();
+        }
+        resetUpcomingTrack();
+        scheduleSessionSave();
+        
+        // Presets de equalizador podem ser atribuídos por playlist
+        applyEqualizer();
+        
+        renderPlaylists();
+    }
+}
+
+/**
+ * Renderiza biblioteca com filtro
+ */
+function renderLibrary(filter = 'all') {
+    let tracks = AppState.musicLibrary;
+    
+    if (filter === 'favorites') {
+        tracks = tracks.filter(t => AppState.favoriteTracks.has(t.id));
+    }
+    
+    renderMusicList(tracks, 'musicLibrary', true);
+}
+
+// ============================================
+// EXTRAÇÃO DE METADADOS (TAGS EMBUTIDAS)
+// ============================================
+
+/**
+ * Gêneros padrão do ID3v1 (com extensões do Winamp)
+ * Usados para resolver referências numéricas em ID3v1, TCON e no átomo gnre
+ */
+const ID3_GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+    'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+    'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+    'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+    'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+    'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+    'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+    'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+    'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+    'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+    'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+    'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+    'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+    'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+    'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+    'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+    'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall',
+    'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'Britpop',
+    'Afro-Punk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal',
+    'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+    'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+/**
+ * Frames do ID3v2.2 (identificadores de 3 letras) mapeados para o equivalente v2.3/v2.4
+ */
+const ID3V22_FRAME_IDS = {
+    TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS',
+    TYE: 'TYER', TCO: 'TCON', TLE: 'TLEN', TXX: 'TXXX', COM: 'COMM', PIC: 'APIC',
+    ULT: 'USLT', SLT: 'SYLT'
+};
+
+/**
+ * Lê uma sequência de bytes como texto ASCII (identificadores de frames/átomos)
+ */
+function readAscii(bytes, offset, length) {
+    let text = '';
+    for (let i = offset; i < offset + length && i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+}
+
+/**
+ * Lê inteiro de 32 bits sem sinal (big-endian)
+ */
+function readUint32BE(bytes, offset) {
+    return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+/**
+ * Lê inteiro de 32 bits sem sinal (little-endian)
+ */
+function readUint32LE(bytes, offset) {
+    return bytes[offset + 3] * 0x1000000 + (bytes[offset + 2] << 16) + (bytes[offset + 1] << 8) + bytes[offset];
+}
+
+/**
+ * Lê inteiro "syncsafe" de 28 bits usado nos tamanhos do ID3v2
+ */
+function readSyncsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+           ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+/**
+ * Decodifica bytes como texto, removendo terminadores nulos e BOMs
+ */
+function decodeText(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(bytes).replace(/\uFEFF/g, '').replace(/\0+$/, '').trim();
+}
+
+/**
+ * Concatena vários Uint8Array em um único buffer
+ */
+function concatBytes(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Converte valores como "3/12" em { number, total }
+ */
+function parseNumberPair(value) {
+    const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+    return {
+        number: Number.isFinite(number) && number > 0 ? number : null,
+        total: Number.isFinite(total) && total > 0 ? total : null
+    };
+}
+
+/**
+ * Extrai o ano de datas como "1975", "1975-03-01" ou "1975-03-01T12:00"
+ */
+function parseYear(value) {
+    const match = String(value).match(/\d{4}/);
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Resolve gêneros do ID3 ("(17)", "17", "(17)Rock", "Rock") para o nome textual
+ */
+function resolveGenre(value) {
+    const text = String(value).trim();
+    const match = text.match(/^\((\d+)\)(.*)$/);
+    if (match) {
+        return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || text;
+    }
+    if (/^\d+$/.test(text)) {
+        return ID3_GENRES[parseInt(text, 10)] || text;
+    }
+    if (text === 'RX') return 'Remix';
+    if (text === 'CR') return 'Cover';
+    return text;
+}
+
+/**
+ * Remove a "unsynchronisation" do ID3v2 (sequências 0xFF 0x00 viram 0xFF)
+ * Complexidade: O(n) - onde n é o tamanho do bloco
+ */
+function removeUnsynchronisation(bytes) {
+    const result = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+            i++;
+        }
+    }
+    return result.subarray(0, length);
+}
+
+/**
+ * Codificação de texto do TextDecoder para o byte de codificação do ID3v2
+ */
+function getID3TextDecoding(encoding, bytes) {
+    if (encoding === 1) {
+        // UTF-16 com BOM
+        return bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-16le';
+    }
+    if (encoding === 2) return 'utf-16be';
+    if (encoding === 3) return 'utf-8';
+    return 'iso-8859-1';
+}
+
+/**
+ * Decodifica o texto de um frame ID3v2 conforme o byte de codificação
+ * Retorna a lista de valores (o v2.4 separa múltiplos valores por nulo)
+ */
+function readID3TextValues(data) {
+    const bytes = data.subarray(1);
+
+    return new TextDecoder(getID3TextDecoding(data[0], bytes)).decode(bytes)
+        .split('\0')
+        .map(value => value.replace(/\uFEFF/g, '').trim())
+        .filter(value => value.length > 0);
+}
+
+/**
+ * Identifica o tipo MIME de uma imagem pelos bytes iniciais
+ * Usa o tipo declarado na tag apenas quando a assinatura não é reconhecida
+ */
+function detectImageMimeType(bytes, declared = '') {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+    if (bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') return 'image/png';
+    if (readAscii(bytes, 0, 4) === 'GIF8') return 'image/gif';
+    if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return 'image/webp';
+    if (readAscii(bytes, 0, 2) === 'BM') return 'image/bmp';
+
+    const type = String(declared).toLowerCase();
+    if (type === 'jpg' || type === 'jpeg') return 'image/jpeg';
+    if (type === 'png') return 'image/png';
+    return type.includes('/') ? type : 'image/jpeg';
+}
+
+/**
+ * Guarda a imagem embutida nas tags, preferindo a capa frontal (tipo 3)
+ */
+function setTagPicture(tags, picture) {
+    if (!picture || picture.data.length === 0) return;
+    if (!tags.picture || (picture.type === 3 && tags.picture.type !== 3)) {
+        tags.picture = picture;
+    }
+}
+
+/**
+ * Avança sobre uma string terminada em nulo de um frame ID3v2
+ * Em UTF-16 o terminador tem dois bytes
+ */
+function skipID3String(data, offset, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        while (offset + 1 < data.length && (data[offset] !== 0 || data[offset + 1] !== 0)) {
+            offset += 2;
+        }
+        return offset + 2;
+    }
+    while (offset < data.length && data[offset] !== 0) {
+        offset++;
+    }
+    return offset + 1;
+}
+
+/**
+ * Lê um frame de imagem APIC (v2.3/v2.4) ou PIC (v2.2)
+ */
+function readID3Picture(data, version) {
+    const encoding = data[0];
+    let offset;
+    let declared;
+
+    if (version === 2) {
+        // PIC usa um formato fixo de 3 letras ("JPG", "PNG") no lugar do MIME
+        declared = readAscii(data, 1, 3);
+        offset = 4;
+    } else {
+        const mimeEnd = data.indexOf(0, 1);
+        if (mimeEnd < 0) return null;
+        declared = readAscii(data, 1, mimeEnd - 1);
+        offset = mimeEnd + 1;
+    }
+
+    const type = data[offset];
+    const imageData = data.subarray(skipID3String(data, offset + 1, encoding));
+
+    return { mimeType: detectImageMimeType(imageData, declared), type, data: imageData };
+}
+
+/**
+ * Lê um frame SYLT (v2.3/v2.4) ou SLT (v2.2) e converte a letra para LRC
+ * Cada trecho é um texto terminado em nulo seguido do tempo (32 bits); trechos que
+ * começam com quebra de linha abrem uma nova linha, os demais são sílabas da linha atual
+ * Só o formato de tempo em milissegundos (2) é suportado
+ */
+function readID3SyncedLyrics(data) {
+    const encoding = data[0];
+    if (data[4] !== 2) return null;
+
+    const terminator = encoding === 1 || encoding === 2 ? 2 : 1;
+    const lines = [];
+    let offset = skipID3String(data, 6, encoding);
+
+    while (offset < data.length) {
+        const end = skipID3String(data, offset, encoding);
+        if (end + 4 > data.length) break;
+
+        const bytes = data.subarray(offset, end - terminator);
+        const text = new TextDecoder(getID3TextDecoding(encoding, bytes)).decode(bytes).replace(/\uFEFF/g, '');
+        const time = readUint32BE(data, end) / 1000;
+
+        if (lines.length === 0 || /^[\r\n]/.test(text)) {
+            lines.push({ time, text });
+        } else {
+            lines[lines.length - 1].text += text;
+        }
+        offset = end + 4;
+    }
+
+    return lines.length > 0 ? buildLrc(lines) : null;
+}
+
+/**
+ * Guarda a letra embutida nas tags, preferindo a sincronizada (LRC/SYLT)
+ */
+function setTagLyrics(tags, text) {
+    if (!text || !text.trim()) return;
+    if (!tags.lyrics || (isSyncedLyricsText(text) && !isSyncedLyricsText(tags.lyrics))) {
+        tags.lyrics = text;
+    }
+}
+
+/**
+ * Lê uma estrutura de imagem do FLAC (bloco PICTURE ou METADATA_BLOCK_PICTURE)
+ */
+function parseFlacPicture(block) {
+    if (block.length < 32) return null;
+
+    const type = readUint32BE(block, 0);
+    const mimeLength = readUint32BE(block, 4);
+    let offset = 8 + mimeLength;
+    const declared = readAscii(block, 8, mimeLength);
+    const descriptionLength = readUint32BE(block, offset);
+    offset += 4 + descriptionLength + 16; // Descrição, largura, altura, profundidade e cores
+
+    const dataLength = readUint32BE(block, offset);
+    const imageData = block.subarray(offset + 4, offset + 4 + dataLength);
+
+    return { mimeType: detectImageMimeType(imageData, declared), type, data: imageData };
+}
+
+/**
+ * Decodifica uma string base64 em bytes
+ */
+function base64ToBytes(value) {
+    const binary = atob(value.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Aplica um frame ID3v2 já decodificado ao objeto de tags
+ */
+function applyID3Frame(id, data, tags, version) {
+    if (id === 'APIC') {
+        setTagPicture(tags, readID3Picture(data, version));
+        return;
+    }
+    if (id === 'COMM') {
+        // Codificação (1) + idioma (3) + descrição terminada em nulo + texto
+        const values = readID3TextValues(new Uint8Array([data[0], ...data.subarray(4)]));
+        if (values[0] === 'iTunSMPB' && values[1]) {
+            applyITunSMPB(values[1], tags);
+        }
+        return;
+    }
+    if (id === 'USLT') {
+        // Codificação (1) + idioma (3) + descrição terminada em nulo + letra
+        const textStart = skipID3String(data, 4, data[0]);
+        const values = readID3TextValues(new Uint8Array([data[0], ...data.subarray(textStart)]));
+        setTagLyrics(tags, values.join('\n'));
+        return;
+    }
+    if (id === 'SYLT') {
+        setTagLyrics(tags, readID3SyncedLyrics(data));
+        return;
+    }
+    if (id === 'TXXX') {
+        // Descrição + valor (ReplayGain é gravado como TXXX:REPLAYGAIN_*)
+        const values = readID3TextValues(data);
+        if (values.length >= 2) {
+            applyLoudnessTag(values[0].toUpperCase(), values[1], tags);
+        }
+        return;
+    }
+    if (id[0] !== 'T') return;
+
+    const values = readID3TextValues(data);
+    if (values.length === 0) return;
+    const value = values[0];
+
+    switch (id) {
+        case 'TIT2':
+            tags.name = value;
+            break;
+        case 'TPE1':
+            tags.artist = values.join(', ');
+            break;
+        case 'TPE2':
+            tags.albumArtist = value;
+            break;
+        case 'TCMP':
+            tags.compilation = value === '1';
+            break;
+        case 'TALB':
+            tags.album = value;
+            break;
+        case 'TRCK': {
+            const track = parseNumberPair(value);
+            tags.trackNumber = track.number;
+            tags.trackTotal = track.total;
+            break;
+        }
+        case 'TPOS': {
+            const disc = parseNumberPair(value);
+            tags.discNumber = disc.number;
+            tags.discTotal = disc.total;
+            break;
+        }
+        case 'TYER':
+        case 'TDRC':
+            tags.year = parseYear(value) || tags.year;
+            break;
+        case 'TCON':
+            tags.genre = resolveGenre(value);
+            break;
+        case 'TLEN': {
+            const milliseconds = parseInt(value, 10);
+            if (milliseconds > 0) {
+                tags.duration = milliseconds / 1000;
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Lê tags ID3v2.2/2.3/2.4 no início do arquivo
+ * Retorna o tamanho total da tag (0 se não houver tag)
+ * Complexidade: O(n) - onde n é o tamanho da tag
+ */
+function parseID3v2(bytes, tags) {
+    if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+
+    const version = bytes[3];
+    const flags = bytes[5];
+    const tagSize = readSyncsafe(bytes, 6);
+    const totalSize = 10 + tagSize + (flags & 0x10 ? 10 : 0);
+
+    let body = bytes.subarray(10, Math.min(10 + tagSize, bytes.length));
+    if (version < 4 && (flags & 0x80)) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (version > 2 && (flags & 0x40)) {
+        // Cabeçalho estendido: no v2.4 o tamanho inclui os próprios 4 bytes
+        offset = version === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+
+    while (offset + headerLength <= body.length) {
+        const rawId = readAscii(body, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(rawId)) break; // Padding
+
+        let size;
+        if (version === 2) {
+            size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+        } else if (version === 4) {
+            size = readSyncsafe(body, offset + 4);
+        } else {
+            size = readUint32BE(body, offset + 4);
+        }
+
+        const start = offset + headerLength;
+        if (size <= 0 || start + size > body.length) break;
+
+        let data = body.subarray(start, start + size);
+        const formatFlags = version === 2 ? 0 : body[offset + 9];
+        let supported = true;
+
+        if (version === 4) {
+            if (formatFlags & 0x0c) supported = false; // Comprimido ou criptografado
+            if (formatFlags & 0x40) data = data.subarray(1); // Identificador de grupo
+            if (formatFlags & 0x01) data = data.subarray(4); // Indicador de tamanho
+            if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+        } else if (version === 3) {
+            if (formatFlags & 0xc0) supported = false;
+            if (formatFlags & 0x20) data = data.subarray(1);
+        }
+
+        if (supported && data.length > 0) {
+            const id = version === 2 ? ID3V22_FRAME_IDS[rawId] : rawId;
+            if (id) {
+                applyID3Frame(id, data, tags, version);
+            }
+        }
+
+        offset = start + size;
+    }
+
+    return totalSize;
+}
+
+/**
+ * Lê a tag ID3v1/v1.1 nos últimos 128 bytes do arquivo
+ * Apenas preenche campos que ainda não foram encontrados em outras tags
+ */
+function parseID3v1(bytes, tags) {
+    if (bytes.length < 128) return;
+    const offset = bytes.length - 128;
+    if (readAscii(bytes, offset, 3) !== 'TAG') return;
+
+    const field = (start, length) => decodeText(bytes.subarray(offset + start, offset + start + length), 'iso-8859-1');
+    const title = field(3, 30);
+    const artist = field(33, 30);
+    const album = field(63, 30);
+    const year = parseYear(field(93, 4));
+    const genre = ID3_GENRES[bytes[offset + 127]];
+
+    if (!tags.name && title) tags.name = title;
+    if (!tags.artist && artist) tags.artist = artist;
+    if (!tags.album && album) tags.album = album;
+    if (!tags.year && year) tags.year = year;
+    if (!tags.genre && genre) tags.genre = genre;
+
+    // ID3v1.1: byte 125 nulo indica número da faixa no byte 126
+    if (!tags.trackNumber && bytes[offset + 125] === 0 && bytes[offset + 126] > 0) {
+        tags.trackNumber = bytes[offset + 126];
+    }
+}
+
+/**
+ * Aplica um comentário Vorbis (CHAVE=valor) ao objeto de tags
+ */
+function applyVorbisComment(key, value, tags) {
+    if (!value) return;
+
+    switch (key) {
+        case 'TITLE':
+            tags.name = value;
+            break;
+        case 'ARTIST':
+            tags.artist = tags.artist ? `${tags.artist}, ${value}` : value;
+            break;
+        case 'ALBUMARTIST':
+        case 'ALBUM ARTIST':
+        case 'ALBUM_ARTIST':
+            tags.albumArtist = value;
+            break;
+        case 'COMPILATION':
+            tags.compilation = value === '1';
+            break;
+        case 'ALBUM':
+            tags.album = value;
+            break;
+        case 'TRACKNUMBER': {
+            const track = parseNumberPair(value);
+            tags.trackNumber = track.number;
+            tags.trackTotal = track.total || tags.trackTotal;
+            break;
+        }
+        case 'TRACKTOTAL':
+        case 'TOTALTRACKS':
+            tags.trackTotal = parseInt(value, 10) || tags.trackTotal;
+            break;
+        case 'DISCNUMBER': {
+            const disc = parseNumberPair(value);
+            tags.discNumber = disc.number;
+            tags.discTotal = disc.total || tags.discTotal;
+            break;
+        }
+        case 'DISCTOTAL':
+        case 'TOTALDISCS':
+            tags.discTotal = parseInt(value, 10) || tags.discTotal;
+            break;
+        case 'DATE':
+        case 'YEAR':
+            tags.year = parseYear(value) || tags.year;
+            break;
+        case 'GENRE':
+            tags.genre = tags.genre ? tags.genre : value;
+            break;
+        case 'METADATA_BLOCK_PICTURE':
+            setTagPicture(tags, parseFlacPicture(base64ToBytes(value)));
+            break;
+        case 'LYRICS':
+        case 'UNSYNCEDLYRICS':
+            setTagLyrics(tags, value);
+            break;
+        case 'COVERART': {
+            // Formato legado: imagem em base64 sem cabeçalho
+            const imageData = base64ToBytes(value);
+            setTagPicture(tags, { mimeType: detectImageMimeType(imageData), type: 3, data: imageData });
+            break;
+        }
+        default:
+            applyLoudnessTag(key, value, tags);
+    }
+}
+
+/**
+ * Lê um bloco de comentários Vorbis (usado por FLAC, Ogg Vorbis e Opus)
+ * Complexidade: O(k) - onde k é o número de comentários
+ */
+function parseVorbisComment(bytes, tags) {
+    if (bytes.length < 8) return;
+
+    const vendorLength = readUint32LE(bytes, 0);
+    let offset = 4 + vendorLength;
+    if (offset + 4 > bytes.length) return;
+
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32LE(bytes, offset);
+        offset += 4;
+        if (offset + length > bytes.length) break;
+
+        const comment = decodeText(bytes.subarray(offset, offset + length));
+        offset += length;
+
+        const separator = comment.indexOf('=');
+        if (separator > 0) {
+            applyVorbisComment(comment.slice(0, separator).toUpperCase(), comment.slice(separator + 1).trim(), tags);
+        }
+    }
+}
+
+/**
+ * Lê o bloco STREAMINFO do FLAC e calcula a duração
+ */
+function parseFlacStreamInfo(block, tags) {
+    if (block.length < 18) return;
+
+    const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+    const totalSamples = (block[13] & 0x0f) * 0x100000000 + readUint32BE(block, 14);
+
+    if (sampleRate > 0 && totalSamples > 0) {
+        tags.duration = totalSamples / sampleRate;
+    }
+}
+
+/**
+ * Lê os blocos de metadados de um arquivo FLAC nativo
+ * Retorna false se o arquivo não for FLAC
+ * Complexidade: O(b) - onde b é o número de blocos de metadados
+ */
+function parseFlac(bytes, offset, tags) {
+    if (readAscii(bytes, offset, 4) !== 'fLaC') return false;
+
+    let position = offset + 4;
+    let isLast = false;
+
+    while (!isLast && position + 4 <= bytes.length) {
+        const header = bytes[position];
+        isLast = (header & 0x80) !== 0;
+        const type = header & 0x7f;
+        const length = (bytes[position + 1] << 16) | (bytes[position + 2] << 8) | bytes[position + 3];
+        const block = bytes.subarray(position + 4, position + 4 + length);
+
+        if (type === 0) {
+            parseFlacStreamInfo(block, tags);
+        } else if (type === 4) {
+            parseVorbisComment(block, tags);
+        } else if (type === 6) {
+            setTagPicture(tags, parseFlacPicture(block));
+        }
+
+        position += 4 + length;
+    }
+
+    return true;
+}
+
+/**
+ * Remonta os primeiros pacotes de um fluxo Ogg a partir das páginas
+ * Complexidade: O(p) - onde p é o número de páginas percorridas
+ */
+function readOggPackets(bytes, maxPackets) {
+    const packets = [];
+    let pending = [];
+    let position = 0;
+
+    while (position + 27 <= bytes.length && packets.length < maxPackets) {
+        if (readAscii(bytes, position, 4) !== 'OggS') break;
+
+        const segmentCount = bytes[position + 26];
+        const tableStart = position + 27;
+        let dataPosition = tableStart + segmentCount;
+
+        for (let i = 0; i < segmentCount && packets.length < maxPackets; i++) {
+            const lacing = bytes[tableStart + i];
+            pending.push(bytes.subarray(dataPosition, dataPosition + lacing));
+            dataPosition += lacing;
+
+            if (lacing < 255) {
+                packets.push(concatBytes(pending));
+                pending = [];
+            }
+        }
+
+        let pageSize = 27 + segmentCount;
+        for (let i = 0; i < segmentCount; i++) {
+            pageSize += bytes[tableStart + i];
+        }
+        position += pageSize;
+    }
+
+    return packets;
+}
+
+/**
+ * Lê a posição de granule da última página Ogg (total de amostras do fluxo)
+ */
+function readLastOggGranule(bytes) {
+    for (let i = bytes.length - 27; i >= 0; i--) {
+        if (bytes[i] === 0x4f && readAscii(bytes, i, 4) === 'OggS') {
+            return readUint32LE(bytes, i + 6) + readUint32LE(bytes, i + 10) * 0x100000000;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Lê metadados de arquivos Ogg (Vorbis, Opus ou FLAC encapsulado)
+ * Retorna false se o arquivo não for Ogg
+ */
+function parseOgg(bytes, tags) {
+    if (readAscii(bytes, 0, 4) !== 'OggS') return false;
+
+    const [identification, comments] = readOggPackets(bytes, 2);
+    if (!identification) return true;
+
+    let sampleRate = 0;
+    let preSkip = 0;
+
+    if (identification[0] === 0x01 && readAscii(identification, 1, 6) === 'vorbis') {
+        sampleRate = readUint32LE(identification, 12);
+        if (comments && readAscii(comments, 1, 6) === 'vorbis') {
+            parseVorbisComment(comments.subarray(7), tags);
+        }
+    } else if (readAscii(identification, 0, 8) === 'OpusHead') {
+        // Opus sempre usa granule a 48 kHz, descontando o pre-skip
+        sampleRate = 48000;
+        preSkip = identification[10] | (identification[11] << 8);
+        if (comments && readAscii(comments, 0, 8) === 'OpusTags') {
+            parseVorbisComment(comments.subarray(8), tags);
+        }
+    } else if (identification[0] === 0x7f && readAscii(identification, 1, 4) === 'FLAC') {
+        parseFlacStreamInfo(identification.subarray(17), tags);
+        sampleRate = (identification[27] << 12) | (identification[28] << 4) | (identification[29] >> 4);
+        if (comments && (comments[0] & 0x7f) === 4) {
+            parseVorbisComment(comments.subarray(4), tags);
+        }
+    }
+
+    const granule = readLastOggGranule(bytes);
+    if (sampleRate > 0 && granule > preSkip) {
+        tags.duration = (granule - preSkip) / sampleRate;
+    }
+
+    return true;
+}
+
+/**
+ * Percorre os átomos MP4 entre start e end, chamando o callback para cada um
+ * Complexidade: O(a) - onde a é o número de átomos no nível
+ */
+function forEachMP4Atom(bytes, start, end, callback) {
+    let position = start;
+
+    while (position + 8 <= end) {
+        let size = readUint32BE(bytes, position);
+        const type = readAscii(bytes, position + 4, 4);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = readUint32BE(bytes, position + 8) * 0x100000000 + readUint32BE(bytes, position + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - position;
+        }
+        if (size < headerSize) break;
+
+        if (callback(type, position + headerSize, Math.min(position + size, end)) === false) break;
+        position += size;
+    }
+}
+
+/**
+ * Encontra um átomo MP4 por caminho (ex.: ['moov', 'udta', 'meta'])
+ * Retorna { start, end } do conteúdo ou null
+ */
+function findMP4Atom(bytes, start, end, path) {
+    let found = null;
+
+    forEachMP4Atom(bytes, start, end, (type, contentStart, contentEnd) => {
+        if (type !== path[0]) return true;
+
+        let childStart = contentStart;
+        if (type === 'meta' && readAscii(bytes, contentStart + 4, 4) !== 'hdlr') {
+            // 'meta' é um "full atom" (versão + flags) no MP4, mas não no QuickTime
+            childStart += 4;
+        }
+
+        found = path.length === 1
+            ? { start: childStart, end: contentEnd }
+            : findMP4Atom(bytes, childStart, contentEnd, path.slice(1));
+        return false;
+    });
+
+    return found;
+}
+
+/**
+ * Lê o conteúdo do átomo 'data' de um item do ilst
+ * Retorna { type, value } onde value são os bytes brutos
+ */
+function readMP4DataAtom(bytes, start, end) {
+    const data = findMP4Atom(bytes, start, end, ['data']);
+    if (!data || data.end - data.start < 8) return null;
+
+    return {
+        type: readUint32BE(bytes, data.start) & 0xffffff,
+        value: bytes.subarray(data.start + 8, data.end)
+    };
+}
+
+/**
+ * Aplica um item do ilst (iTunes) ao objeto de tags
+ */
+function applyMP4Item(type, data, tags) {
+    const text = () => decodeText(data.value, data.type === 2 ? 'utf-16be' : 'utf-8');
+
+    switch (type) {
+        case '©nam':
+            tags.name = text();
+            break;
+        case '©ART':
+            tags.artist = text();
+            break;
+        case 'aART':
+            tags.albumArtist = text();
+            break;
+        case 'cpil':
+            tags.compilation = data.value[0] === 1;
+            break;
+        case '©alb':
+            tags.album = text();
+            break;
+        case '©day':
+            tags.year = parseYear(text()) || tags.year;
+            break;
+        case '©gen':
+            tags.genre = text();
+            break;
+        case '©lyr':
+            setTagLyrics(tags, text());
+            break;
+        case 'gnre':
+            // Índice ID3v1 acrescido de 1
+            if (data.value.length >= 2) {
+                const index = ((data.value[0] << 8) | data.value[1]) - 1;
+                tags.genre = tags.genre || ID3_GENRES[index];
+            }
+            break;
+        case 'covr':
+            // Tipos 13 (JPEG), 14 (PNG) e 27 (BMP)
+            setTagPicture(tags, { mimeType: detectImageMimeType(data.value), type: 3, data: data.value });
+            break;
+        case 'trkn':
+        case 'disk':
+            if (data.value.length >= 6) {
+                const number = (data.value[2] << 8) | data.value[3];
+                const total = (data.value[4] << 8) | data.value[5];
+                if (type === 'trkn') {
+                    tags.trackNumber = number || null;
+                    tags.trackTotal = total || null;
+                } else {
+                    tags.discNumber = number || null;
+                    tags.discTotal = total || null;
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Aplica um item livre do ilst ('----' com átomos mean/name/data)
+ */
+function applyMP4FreeformItem(bytes, start, end, data, tags) {
+    const nameAtom = findMP4Atom(bytes, start, end, ['name']);
+    if (!nameAtom || !data) return;
+
+    // 'name' é um "full atom": 4 bytes de versão/flags antes do texto
+    const name = decodeText(bytes.subarray(nameAtom.start + 4, nameAtom.end));
+    const value = decodeText(data.value);
+
+    if (name === 'iTunSMPB') {
+        applyITunSMPB(value, tags);
+    } else {
+        applyLoudnessTag(name.toUpperCase(), value, tags);
+    }
+}
+
+/**
+ * Lê metadados de arquivos MP4/M4A (átomos moov/udta/meta/ilst e mvhd)
+ * Retorna false se o arquivo não for MP4
+ * Complexidade: O(a) - onde a é o número de átomos percorridos
+ */
+function parseMP4(bytes, tags) {
+    if (readAscii(bytes, 4, 4) !== 'ftyp') return false;
+
+    const mvhd = findMP4Atom(bytes, 0, bytes.length, ['moov', 'mvhd']);
+    if (mvhd) {
+        const version = bytes[mvhd.start];
+        const timescale = readUint32BE(bytes, mvhd.start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? readUint32BE(bytes, mvhd.start + 24) * 0x100000000 + readUint32BE(bytes, mvhd.start + 28)
+            : readUint32BE(bytes, mvhd.start + 16);
+        if (timescale > 0 && duration > 0) {
+            tags.duration = duration / timescale;
+        }
+    }
+
+    const ilst = findMP4Atom(bytes, 0, bytes.length, ['moov', 'udta', 'meta', 'ilst']);
+    if (ilst) {
+        forEachMP4Atom(bytes, ilst.start, ilst.end, (type, start, end) => {
+            const data = readMP4DataAtom(bytes, start, end);
+            if (type === '----') {
+                applyMP4FreeformItem(bytes, start, end, data, tags);
+            } else if (data) {
+                applyMP4Item(type, data, tags);
+            }
+            return true;
+        });
+    }
+
+    // A escala de tempo da mídia de áudio corresponde à taxa de amostragem
+    const mdhd = findMP4Atom(bytes, 0, bytes.length, ['moov', 'trak', 'mdia', 'mdhd']);
+    if (mdhd) {
+        tags.sampleRate = readUint32BE(bytes, mdhd.start + (bytes[mdhd.start] === 1 ? 20 : 12));
+    }
+
+    return true;
+}
+
+/**
+ * Tabelas de bitrate (kbps) do MPEG áudio, indexadas por [MPEG1?][camada]
+ */
+const MPEG_BITRATES = {
+    v1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    v2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+const MPEG_SAMPLE_RATES = {
+    0: [11025, 12000, 8000],  // MPEG 2.5
+    2: [22050, 24000, 16000], // MPEG 2
+    3: [44100, 48000, 32000]  // MPEG 1
+};
+
+/**
+ * Decodifica o cabeçalho de um frame MPEG áudio na posição indicada
+ * Retorna null se não houver um cabeçalho válido
+ */
+function readMpegFrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+    const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const layer = 4 - layerBits;
+    const bitrate = MPEG_BITRATES[isMpeg1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    const isMono = (bytes[offset + 3] >> 6) === 3;
+
+    let samplesPerFrame = 1152;
+    if (layer === 1) samplesPerFrame = 384;
+    else if (layer === 3 && !isMpeg1) samplesPerFrame = 576;
+
+    const frameLength = layer === 1
+        ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+        : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+    return { isMpeg1, layer, bitrate, sampleRate, samplesPerFrame, frameLength, isMono };
+}
+
+/**
+ * Lê o atraso e o preenchimento do encoder na extensão LAME do cabeçalho Xing/Info
+ * Os valores (em amostras) permitem cortar o silêncio das bordas na reprodução sem pausas
+ */
+function readLameEncoderDelay(bytes, xingOffset, tags) {
+    const flags = bytes[xingOffset + 7];
+    let offset = xingOffset + 8;
+    if (flags & 0x01) offset += 4;   // Frames
+    if (flags & 0x02) offset += 4;   // Bytes
+    if (flags & 0x04) offset += 100; // Tabela de busca (TOC)
+    if (flags & 0x08) offset += 4;   // Qualidade
+
+    // 9 bytes de versão do encoder + 12 bytes de informações antes do atraso/preenchimento
+    const encoder = readAscii(bytes, offset, 4);
+    if (encoder !== 'LAME' && encoder !== 'Lavf' && encoder !== 'Lavc') return;
+
+    const position = offset + 21;
+    if (position + 3 > bytes.length) return;
+    tags.encoderDelay = tags.encoderDelay || ((bytes[position] << 4) | (bytes[position + 1] >> 4));
+    tags.encoderPadding = tags.encoderPadding || (((bytes[position + 1] & 0x0f) << 8) | bytes[position + 2]);
+}
+
+/**
+ * Lê o comentário iTunSMPB (iTunes) com atraso e preenchimento do encoder
+ * Formato: " 00000000 00000840 000001CA 00000000008C61E8 ..." (valores em hexadecimal)
+ */
+function applyITunSMPB(value, tags) {
+    const parts = value.trim().split(/\s+/).map(part => parseInt(part, 16));
+    if (parts.length >= 3 && Number.isFinite(parts[1]) && Number.isFinite(parts[2])) {
+        tags.encoderDelay = parts[1];
+        tags.encoderPadding = parts[2];
+    }
+}
+
+/**
+ * Converte tags de ReplayGain e R128 em sonoridade integrada (LUFS) e pico (dBTP)
+ * ReplayGain 2.0 usa referência de -18 LUFS; R128_*_GAIN (Opus) usa -23 LUFS em Q7.8
+ */
+function applyLoudnessTag(key, value, tags) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return;
+
+    switch (key) {
+        case 'REPLAYGAIN_TRACK_GAIN':
+            tags.loudness = REPLAYGAIN_REFERENCE_LUFS - number;
+            break;
+        case 'REPLAYGAIN_ALBUM_GAIN':
+            tags.albumLoudness = REPLAYGAIN_REFERENCE_LUFS - number;
+            break;
+        case 'REPLAYGAIN_TRACK_PEAK':
+            if (number > 0) tags.truePeak = 20 * Math.log10(number);
+            break;
+        case 'REPLAYGAIN_ALBUM_PEAK':
+            if (number > 0) tags.albumPeak = 20 * Math.log10(number);
+            break;
+        case 'R128_TRACK_GAIN':
+            tags.loudness = R128_REFERENCE_LUFS - number / 256;
+            break;
+        case 'R128_ALBUM_GAIN':
+            tags.albumLoudness = R128_REFERENCE_LUFS - number / 256;
+            break;
+    }
+}
+
+/**
+ * Calcula a duração de um MP3 pelo cabeçalho Xing/Info/VBRI ou, se CBR, pelo bitrate
+ * Complexidade: O(k) - onde k é a distância até o primeiro frame válido
+ */
+function readMpegDuration(bytes, offset, tags) {
+    const searchLimit = Math.min(bytes.length - 4, offset + 65536);
+
+    for (let position = offset; position < searchLimit; position++) {
+        const header = readMpegFrameHeader(bytes, position);
+        if (!header) continue;
+
+        // Confirma o sincronismo com o frame seguinte para evitar falsos positivos
+        const next = position + header.frameLength;
+        if (next + 4 <= bytes.length && !readMpegFrameHeader(bytes, next)) continue;
+
+        const sideInfo = header.isMpeg1 ? (header.isMono ? 17 : 32) : (header.isMono ? 9 : 17);
+        const xingOffset = position + 4 + sideInfo;
+        const xingId = readAscii(bytes, xingOffset, 4);
+
+        tags.sampleRate = header.sampleRate;
+
+        if ((xingId === 'Xing' || xingId === 'Info') && (bytes[xingOffset + 7] & 0x01)) {
+            const frames = readUint32BE(bytes, xingOffset + 8);
+            tags.duration = frames * header.samplesPerFrame / header.sampleRate;
+            readLameEncoderDelay(bytes, xingOffset, tags);
+        } else if (readAscii(bytes, position + 36, 4) === 'VBRI') {
+            const frames = readUint32BE(bytes, position + 50);
+            tags.duration = frames * header.samplesPerFrame / header.sampleRate;
+        } else {
+            const hasID3v1 = bytes.length >= 128 && readAscii(bytes, bytes.length - 128, 3) === 'TAG';
+            const audioBytes = bytes.length - position - (hasID3v1 ? 128 : 0);
+            tags.duration = audioBytes * 8 / header.bitrate;
+        }
+        return;
+    }
+}
+
+/**
+ * Extrai tags embutidas de um arquivo de áudio
+ * Suporta ID3v1, ID3v2.2/2.3/2.4, FLAC, Ogg Vorbis/Opus e MP4/M4A (ilst)
+ * Complexidade: O(n) - no pior caso percorre o arquivo em busca de páginas/frames
+ */
+function parseAudioTags(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const tags = {};
+
+    try {
+        const id3Size = parseID3v2(bytes, tags);
+        const isContainer = parseFlac(bytes, id3Size, tags) || parseOgg(bytes, tags) || parseMP4(bytes, tags);
+
+        if (!isContainer && readAscii(bytes, 0, 4) !== 'RIFF') {
+            readMpegDuration(bytes, id3Size, tags);
+        }
+
+        parseID3v1(bytes, tags);
+    } catch (error) {
+        console.warn('Erro ao ler tags do arquivo:', error);
+    }
+
+    return tags;
+}
+
+/**
+ * Obtém a duração usando o próprio decodificador do navegador
+ * Usado como fallback para formatos sem duração nas tags (ex.: WAV)
+ */
+function readDurationFromAudioElement(file) {
+    return new Promise(resolve => {
+        const probe = new Audio();
+        const url = URL.createObjectURL(file);
+
+        const finish = (duration) => {
+            URL.revokeObjectURL(url);
+            probe.removeAttribute('src');
+            resolve(Number.isFinite(duration) ? duration : 0);
+        };
+
+        probe.preload = 'metadata';
+        probe.addEventListener('loadedmetadata', () => finish(probe.duration), { once: true });
+        probe.addEventListener('error', () => finish(0), { once: true });
+        probe.src = url;
+    });
+}
+
+/**
+ * Extrai metadados básicos do nome do arquivo ("Artista - Nome da Música.mp3")
+ */
+function parseFileNameMetadata(fileName) {
+    const nameParts = fileName.replace(/\.[^/.]+$/, '').split(' - ');
+    return {
+        name: nameParts.length > 1 ? nameParts.slice(1).join(' - ') : nameParts[0],
+        artist: nameParts.length > 1 ? nameParts[0] : null
+    };
+}
+
+/**
+ * Monta os metadados de uma faixa a partir das tags embutidas
+ * O nome do arquivo só é usado quando o arquivo não tem título nas tags
+ */
+async function extractMetadata(file, audioData) {
+    const tags = parseAudioTags(audioData);
+    const metadata = {
+        name: tags.name,
+        artist: tags.artist,
+        albumArtist: tags.albumArtist,
+        album: tags.album,
+        genre: tags.genre,
+        year: tags.year,
+        trackNumber: tags.trackNumber,
+        trackTotal: tags.trackTotal,
+        discNumber: tags.discNumber,
+        discTotal: tags.discTotal,
+        compilation: tags.compilation,
+        duration: tags.duration,
+        encoderDelay: tags.encoderDelay,
+        encoderPadding: tags.encoderPadding,
+        sampleRate: tags.sampleRate,
+        loudness: tags.loudness,
+        truePeak: tags.truePeak,
+        albumLoudness: tags.albumLoudness,
+        albumPeak: tags.albumPeak,
+        loudnessSource: tags.loudness !== undefined ? 'tags' : null,
+        picture: tags.picture || null,
+        lyrics: tags.lyrics || null
+    };
+
+    if (!metadata.name) {
+        const fromFileName = parseFileNameMetadata(file.name);
+        metadata.name = fromFileName.name;
+        metadata.artist = metadata.artist || fromFileName.artist;
+    }
+
+    if (!metadata.duration) {
+        metadata.duration = await readDurationFromAudioElement(file);
+    }
+
+    return metadata;
+}
+
+// ============================================
+// CAPAS DE ÁLBUM (ARTWORK)
+// ============================================
+
+// Lado maior (px) das miniaturas usadas em grids, listas e no player
+const ARTWORK_THUMBNAIL_SIZE = 300;
+
+// Nomes de arquivo reconhecidos como capa da pasta, em ordem de prioridade
+const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+
+/**
+ * Calcula o hash SHA-256 (hex) de um conteúdo binário
+ * Complexidade: O(n) - onde n é o tamanho do conteúdo
+ */
+async function computeContentHash(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Gera uma miniatura JPEG redimensionada de uma imagem
+ * Retorna null se a imagem não puder ser decodificada
+ */
+async function createThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, ARTWORK_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    } catch (error) {
+        console.warn('Imagem de capa inválida:', error);
+        return null;
+    }
+}
+
+/**
+ * Salva uma capa no IndexedDB (original + miniatura)
+ * Capas idênticas são deduplicadas pelo hash do conteúdo
+ * Complexidade: O(n) - onde n é o tamanho da imagem
+ */
+async function saveArtwork(blob) {
+    const id = await computeContentHash(await blob.arrayBuffer());
+    if (await getArtworkRecord(id)) {
+        return id;
+    }
+
+    const thumbnail = await createThumbnail(blob);
+    if (!thumbnail) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['artwork'], 'readwrite');
+        const store = transaction.objectStore('artwork');
+        const request = store.put({
+            id,
+            image: blob,
+            thumbnail,
+            mimeType: blob.type,
+            dateAdded: new Date().toISOString()
+        });
+
+        request.onsuccess = () => resolve(id);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Remove uma capa que nenhuma música usa mais
+ * Complexidade: O(n) - Verifica a biblioteca antes de remover
+ */
+function deleteArtworkIfUnused(id) {
+    if (!id || AppState.musicLibrary.some(track => track.artworkId === id)) {
+        return Promise.resolve(false);
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['artwork'], 'readwrite');
+        const request = transaction.objectStore('artwork').delete(id);
+
+        request.onsuccess = () => {
+            ['thumbnail', 'image'].forEach(variant => {
+                const cacheKey = `${id}:${variant}`;
+                const cached = AppState.artworkCache.get(cacheKey);
+                if (cached) {
+                    cached.then(url => url && URL.revokeObjectURL(url));
+                    AppState.artworkCache.delete(cacheKey);
+                }
+            });
+            resolve(true);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Busca o registro de uma capa no IndexedDB
+ * Complexidade: O(1) - Leitura por chave
+ */
+function getArtworkRecord(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = AppState.db.transaction(['artwork'], 'readonly');
+        const request = transaction.objectStore('artwork').get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Retorna a URL da capa ('thumbnail' ou 'image'), criando-a uma única vez
+ * As URLs ficam em cache para que listas não decodifiquem a imagem de novo
+ */
+function getArtworkUrl(id, variant = 'thumbnail') {
+    const cacheKey = `${id}:${variant}`;
+
+    if (!AppState.artworkCache.has(cacheKey)) {
+        const promise = getArtworkRecord(id)
+            .then(record => record && record[variant] ? URL.createObjectURL(record[variant]) : null)
+            .catch(error => {
+                console.error('Erro ao carregar capa:', error);
+                return null;
+            });
+        AppState.artworkCache.set(cacheKey, promise);
+    }
+
+    return AppState.artworkCache.get(cacheKey);
+}
+
+/**
+ * Aplica a capa de uma música a um elemento de artwork (assíncrono)
+ * Sem capa, o elemento mantém o placeholder original
+ */
+function renderArtwork(element, track, variant = 'thumbnail') {
+    element.classList.remove('has-artwork');
+    element.style.backgroundImage = '';
+    // Marca no elemento qual capa ele deve exibir; elementos reaproveitados entre
+    // músicas (player, Now Playing) podem receber respostas fora de ordem
+    const token = track && track.artworkId ? `${track.id}:${track.artworkId}` : '';
+    element.dataset.artworkFor = token;
+    if (!token) return;
+
+    getArtworkUrl(track.artworkId, variant).then(url => {
+        // Ignora se o elemento passou a exibir outra música nesse meio tempo
+        if (!url || element.dataset.artworkFor !== token) return;
+        element.style.backgroundImage = `url("${url}")`;
+        element.classList.add('has-artwork');
+    });
+}
+
+/**
+ * Chave que identifica o álbum de uma música (artista do álbum + nome)
+ */
+function getAlbumKey(track) {
+    return `${getAlbumArtist(track).toLowerCase()}\u0000${(track.album || '').toLowerCase()}`;
+}
+
+/**
+ * Artista do álbum: coletâneas sem TPE2/ALBUMARTIST ficam sob "Vários Artistas"
+ */
+function getAlbumArtist(track) {
+    if (track.albumArtist) return track.albumArtist;
+    return track.compilation ? VARIOUS_ARTISTS : (track.artist || '');
+}
+
 /**
- * Atualiza exibição de tempo
+ * Verifica se o nome é de uma coletânea ("Various Artists", "VA", "Vários Artistas"...)
  */
-function updateTimeDisplay() {
-    const current = formatTime(AppState.audio.currentTime);
-    const total = formatTime(AppState.audio.duration || 0);
-    
-    document.getElementById('timeCurrent').textContent = current;
-    document.getElementById('timeTotal').textContent = total;
-    
-    const progress = AppState.audio.duration 
-        ? (AppState.audio.currentTime / AppState.audio.duration) * 100 
-        : 0;
-    document.getElementById('progressSlider').value = progress;
+function isVariousArtists(name) {
+    return VARIOUS_ARTISTS_ALIASES.has(normalizeForMatch(name));
 }
 
 /**
- * Formata tempo em mm:ss
+ * Verifica se a música pertence a um álbum identificado
  */
-function formatTime(seconds) {
-    if (isNaN(seconds)) return '0:00';
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+function hasKnownAlbum(track) {
+    return Boolean(track.album) && track.album !== 'Álbum Desconhecido';
 }
 
 /**
- * Atualiza destaque da música atual na lista
+ * Procura a capa já usada por outra faixa do mesmo álbum
+ * Complexidade: O(n) - Busca linear na biblioteca
  */
-function updateMusicListHighlight() {
-    document.querySelectorAll('.music-item').forEach(item => {
-        item.classList.remove('playing');
-    });
-    
-    if (AppState.currentTrack) {
-        document.querySelectorAll('.music-item').forEach(item => {
-            const title = item.querySelector('.music-item-title');
-            if (title && title.textContent === AppState.currentTrack.name) {
-                item.classList.add('playing');
-            }
-        });
-    }
+function findAlbumArtworkId(metadata) {
+    if (!hasKnownAlbum(metadata)) return null;
+
+    const albumKey = getAlbumKey(metadata);
+    const sibling = AppState.musicLibrary.find(t => t.artworkId && getAlbumKey(t) === albumKey);
+    return sibling ? sibling.artworkId : null;
 }
 
 /**
- * Mostra menu para adicionar música à playlist
+ * Pasta de um arquivo enviado ("Artista/Álbum/" no envio de pasta, "" para arquivos soltos)
  */
-function showAddToPlaylistMenu(trackId) {
-    if (AppState.playlists.length === 0) {
-        alert('Crie uma playlist primeiro!');
-        return;
-    }
-    
-    const playlistNames = AppState.playlists.map(p => p.name);
-    const selected = prompt(`Adicionar à playlist:\n${playlistNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n\nDigite o número da playlist:`);
-    
-    const index = parseInt(selected) - 1;
-    if (index >= 0 && index < AppState.playlists.length) {
-        addTrackToPlaylist(AppState.playlists[index].id, trackId);
-        alert(`Música adicionada à playlist "${AppState.playlists[index].name}"!`);
-    }
+function getUploadDirectory(file) {
+    return (file.webkitRelativePath || '').replace(/[^/]*$/, '');
 }
 
-// ============================================
-// FUNÇÕES DE INTERAÇÃO DO USUÁRIO
-// ============================================
-
 /**
- * Reproduz uma música específica
+ * Procura entre as imagens enviadas a capa de cada pasta (cover.jpg, folder.png...)
+ * Retorna um Map pasta -> imagem; cada música só usa a capa da própria pasta
+ * Complexidade: O(m) - onde m é o número de imagens enviadas
  */
-function playTrack(trackId) {
-    const track = AppState.musicLibrary.find(t => t.id === trackId);
-    if (track) {
-        // Se há uma playlist ativa, usa a fila da playlist
-        // Caso contrário, cria fila com todas as músicas da biblioteca
-        if (AppState.currentPlaylist && AppState.currentPlaylist.tracks.length > 0) {
-            AppState.playQueue = AppState.currentPlaylist.tracks;
-        } else {
-            AppState.playQueue = AppState.musicLibrary.map(t => t.id);
-        }
-        
-        AppState.currentQueueIndex = AppState.playQueue.indexOf(trackId);
-        if (AppState.currentQueueIndex === -1) {
-            AppState.currentQueueIndex = 0;
+function findFolderCovers(imageFiles) {
+    const covers = new Map();
+    const ranks = new Map();
+
+    imageFiles.forEach(file => {
+        const baseName = file.name.replace(/\.[^/.]+$/, '').toLowerCase();
+        const rank = FOLDER_COVER_NAMES.indexOf(baseName);
+        const directory = getUploadDirectory(file);
+        if (rank !== -1 && rank < (ranks.get(directory) ?? Infinity)) {
+            covers.set(directory, file);
+            ranks.set(directory, rank);
         }
-        
-        loadTrack(track);
-        play();
-        updateMusicListHighlight();
-    }
+    });
+
+    return covers;
 }
 
 /**
- * Alterna favorito de uma música
+ * Define a capa de um conjunto de músicas e persiste no IndexedDB
+ * Complexidade: O(k) - onde k é o número de músicas alteradas
  */
-function toggleFavorite(trackId) {
-    if (AppState.favoriteTracks.has(trackId)) {
-        AppState.favoriteTracks.delete(trackId);
-    } else {
-        AppState.favoriteTracks.add(trackId);
-    }
-    
-    // Salva favoritos no localStorage
-    localStorage.setItem('spotfy_favorites', JSON.stringify(Array.from(AppState.favoriteTracks)));
-    
-    // Atualiza UI
-    const filter = document.querySelector('.filter-btn.active')?.dataset.filter || 'all';
-    if (document.getElementById('library-section').classList.contains('active')) {
-        renderLibrary(filter);
-    } else {
-        // Atualiza botões de favorito em todas as listas
-        document.querySelectorAll('.music-item').forEach(item => {
-            const favoriteBtn = item.querySelector('.music-action-btn');
-            if (favoriteBtn) {
-                const track = AppState.musicLibrary.find(t => {
-                    const title = item.querySelector('.music-item-title');
-                    return title && title.textContent === t.name;
-                });
-                if (track && track.id === trackId) {
-                    favoriteBtn.textContent = AppState.favoriteTracks.has(trackId) ? '❤️' : '🤍';
-                    favoriteBtn.classList.toggle('favorite', AppState.favoriteTracks.has(trackId));
-                }
-            }
-        });
+async function setTracksArtwork(trackIds, artworkId) {
+    const ids = new Set(trackIds);
+    const tracks = AppState.musicLibrary.filter(t => ids.has(t.id));
+
+    for (const track of tracks) {
+        track.artworkId = artworkId;
+        await updateMusicInDB(track);
     }
+
+    refreshArtwork(ids);
 }
 
 /**
- * Seleciona uma playlist
+ * Atualiza somente os elementos de artwork das músicas alteradas
  */
-function selectPlaylist(playlistId) {
-    const playlist = AppState.playlists.find(p => p.id === playlistId);
-    if (playlist) {
-        AppState.currentPlaylist = playlist;
-        const tracks = AppState.musicLibrary.filter(t => playlist.tracks.includes(t.id));
-        
-        // Muda para seção de biblioteca se não estiver
-        document.querySelectorAll('.content-section').forEach(sec => sec.classList.remove('active'));
-        document.getElementById('library-section').classList.add('active');
-        document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
-        document.querySelector('[data-section="library"]').classList.add('active');
-        
-        renderMusicList(tracks, 'musicLibrary', true);
-        
-        // Atualiza fila de reprodução
-        AppState.playQueue = playlist.tracks;
-        AppState.currentQueueIndex = -1;
-        
-        renderPlaylists();
+function refreshArtwork(trackIds) {
+    document.querySelectorAll('[data-track-id]').forEach(element => {
+        const trackId = Number(element.dataset.trackId);
+        if (!trackIds.has(trackId)) return;
+
+        const track = AppState.musicLibrary.find(t => t.id === trackId);
+        const artwork = element.querySelector('.music-item-artwork, .music-card-artwork');
+        if (track && artwork) {
+            renderArtwork(artwork, track);
+        }
+    });
+
+    if (AppState.currentTrack && trackIds.has(AppState.currentTrack.id)) {
+        updatePlayerInfo(AppState.currentTrack);
     }
 }
 
 /**
- * Renderiza biblioteca com filtro
+ * Abre o seletor de imagem para definir a capa de uma música ou álbum
  */
-function renderLibrary(filter = 'all') {
-    let tracks = AppState.musicLibrary;
-    
-    if (filter === 'favorites') {
-        tracks = tracks.filter(t => AppState.favoriteTracks.has(t.id));
+function promptArtworkUpload(trackId) {
+    const input = document.getElementById('artworkInput');
+    input.dataset.trackId = trackId;
+    input.value = '';
+    input.click();
+}
+
+/**
+ * Aplica uma imagem escolhida manualmente como capa
+ * Pergunta se a capa deve valer para o álbum inteiro ou apenas para a faixa
+ */
+async function handleArtworkUpload(file, trackId) {
+    const track = AppState.musicLibrary.find(t => t.id === trackId);
+    if (!track) return;
+
+    if (!file.type.startsWith('image/')) {
+        alert(`${file.name} não é uma imagem válida.`);
+        return;
+    }
+
+    try {
+        const artworkId = await saveArtwork(file);
+        if (!artworkId) {
+            alert(`Não foi possível ler a imagem ${file.name}.`);
+            return;
+        }
+
+        let trackIds = [track.id];
+        if (hasKnownAlbum(track) &&
+            confirm(`Aplicar esta capa a todas as faixas do álbum "${track.album}"?\n(Cancelar aplica apenas a "${track.name}")`)) {
+            const albumKey = getAlbumKey(track);
+            trackIds = AppState.musicLibrary.filter(t => getAlbumKey(t) === albumKey).map(t => t.id);
+        }
+
+        await setTracksArtwork(trackIds, artworkId);
+    } catch (error) {
+        console.error('Erro ao salvar capa:', error);
+        alert('Erro ao salvar a capa. Tente novamente.');
     }
-    
-    renderMusicList(tracks, 'musicLibrary', true);
 }
 
 // ============================================
@@ -846,33 +10488,128 @@ function renderLibrary(filter = 'all') {
  * Complexidade: O(n) - Processa cada arquivo
  */
 async function handleFileUpload(files) {
+    // Imagens enviadas junto com as músicas podem ser a capa da pasta (uma por pasta)
+    const imageFiles = files.filter(file => file.type.startsWith('image/'));
+    const folderCovers = findFolderCovers(imageFiles);
+    const folderCoverIds = new Map(); // pasta -> id da capa já gravada
+    
+    // Letras (.lrc) enviadas junto são associadas às músicas pelo nome do arquivo
+    const lyricsFiles = files.filter(isLyricsFile);
+    const usedLyricsFiles = new Set();
+    
+    // Hash do conteúdo -> música: arquivos idênticos não são importados de novo
+    const knownHashes = await buildContentHashIndex();
+    const summary = { added: 0, duplicates: 0, merged: 0, failed: 0, lyrics: 0, unmatchedLyrics: 0 };
+    
     for (const file of files) {
+        if (file.type.startsWith('image/') || isLyricsFile(file)) continue;
+        
         if (!file.type.startsWith('audio/')) {
             alert(`${file.name} não é um arquivo de áudio válido.`);
             continue;
         }
         
         try {
-            // Extrai metadados básicos do nome do arquivo
-            const nameParts = file.name.replace(/\.[^/.]+$/, '').split(' - ');
-            const metadata = {
-                name: nameParts.length > 1 ? nameParts[1] : nameParts[0],
-                artist: nameParts.length > 1 ? nameParts[0] : 'Artista Desconhecido',
-                album: 'Álbum Desconhecido',
-                genre: 'Geral'
-            };
+            // Lê o arquivo uma única vez para extrair as tags e salvar o áudio
+            const audioData = await file.arrayBuffer();
+            const contentHash = await computeContentHash(audioData);
+            const metadata = await extractMetadata(file, audioData);
+            metadata.contentHash = contentHash;
+            
+            // Letra: .lrc de mesmo nome tem prioridade sobre a letra embutida nas tags
+            const lyricsFile = findLyricsFile(lyricsFiles, file.webkitRelativePath || file.name);
+            if (lyricsFile) {
+                usedLyricsFiles.add(lyricsFile);
+            }
+            
+            // Duplicata exata: não guarda outra cópia, só completa os metadados que faltam
+            const existing = knownHashes.get(contentHash);
+            if (existing) {
+                summary.duplicates++;
+                if (await mergeImportedMetadata(existing, metadata)) {
+                    summary.merged++;
+                }
+                if (await importTrackLyrics(existing, lyricsFile, metadata.lyrics)) {
+                    summary.lyrics++;
+                }
+                continue;
+            }
+            
+            // Prioridade da capa: embutida > já usada no álbum > capa da pasta
+            if (metadata.picture) {
+                metadata.artworkId = await saveArtwork(new Blob([metadata.picture.data], { type: metadata.picture.mimeType }));
+            }
+            if (!metadata.artworkId) {
+                metadata.artworkId = findAlbumArtworkId(metadata);
+            }
+            const directory = getUploadDirectory(file);
+            if (!metadata.artworkId && folderCovers.has(directory)) {
+                if (!folderCoverIds.has(directory)) {
+                    folderCoverIds.set(directory, await saveArtwork(folderCovers.get(directory)));
+                }
+                metadata.artworkId = folderCoverIds.get(directory);
+            }
+            
+            // Uma única decodificação serve às três análises; a sonoridade precisa da taxa maior
+            const measureLoudness = metadata.loudness === undefined;
+            const decoding = decodeAudioForAnalysis(audioData, measureLoudness ? LOUDNESS_SAMPLE_RATE : FEATURE_SAMPLE_RATE);
+            
+            // Sem tags de ReplayGain/R128, mede a sonoridade do áudio
+            if (measureLoudness) {
+                Object.assign(metadata, await measureTrackLoudness(audioData, decoding));
+            }
+            
+            // BPM, tom e energia para ordenação, filtros e rádio
+            Object.assign(metadata, await measureTrackFeatures(audioData, decoding));
+            
+            // Picos da forma de onda, para a barra de progresso aparecer já na primeira reprodução
+            Object.assign(metadata, await measureTrackWaveform(audioData, decoding));
+            
+            const track = await saveMusicToDB(file, metadata);
+            knownHashes.set(contentHash, track);
+            summary.added++;
             
-            await saveMusicToDB(file, metadata);
+            if (await importTrackLyrics(track, lyricsFile, metadata.lyrics)) {
+                summary.lyrics++;
+            }
         } catch (error) {
+            summary.failed++;
             console.error(`Erro ao processar ${file.name}:`, error);
             alert(`Erro ao processar ${file.name}. Tente novamente.`);
         }
     }
     
+    // Letras enviadas sem o áudio correspondente: procura a música já existente na biblioteca
+    const remainingLyrics = lyricsFiles.filter(file => !usedLyricsFiles.has(file));
+    if (remainingLyrics.length > 0) {
+        const attached = await attachLyricsFiles(remainingLyrics);
+        summary.lyrics += attached;
+        summary.unmatchedLyrics = remainingLyrics.length - attached;
+    }
+    
     // Atualiza UI
-    renderMusicGrid(AppState.musicLibrary.slice(-10), 'recommendationsGrid');
+    renderRecommendations();
     renderMusicList(AppState.playHistory.slice(0, 10), 'recentPlaysList', false);
     renderLibrary();
+    
+    // Resumo só quando algo foi ignorado ou falhou, ou quando vieram letras; importações limpas não interrompem
+    if (summary.duplicates > 0 || summary.failed > 0 || lyricsFiles.length > 0) {
+        const lines = [`${summary.added} música(s) adicionada(s)`];
+        if (summary.duplicates > 0) {
+            lines.push(`${summary.duplicates} duplicada(s) ignorada(s)` +
+                (summary.merged > 0 ? ` (${summary.merged} com metadados completados)` : ''));
+        }
+        if (summary.lyrics > 0) {
+            lines.push(`${summary.lyrics} letra(s) importada(s)`);
+        }
+        if (summary.unmatchedLyrics > 0) {
+            lines.push(`${summary.unmatchedLyrics} letra(s) sem música correspondente`);
+        }
+        if (summary.failed > 0) {
+            lines.push(`${summary.failed} com erro`);
+        }
+        alert(`Importação concluída:\n${lines.join('\n')}`);
+    }
 }
 
 // ============================================
@@ -890,37 +10627,57 @@ async function init() {
         // Carrega músicas
         await loadMusicsFromDB();
         
-        // Carrega playlists
+        // Carrega favoritos e playlists (as inteligentes dependem dos favoritos)
+        loadFavorites();
         loadPlaylists();
         
-        // Carrega favoritos
-        const favorites = localStorage.getItem('spotfy_favorites');
-        if (favorites) {
-            AppState.favoriteTracks = new Set(JSON.parse(favorites));
-        }
+        // Carrega equalizador e configurações de reprodução
+        loadEqualizerSettings();
+        loadPlaybackSettings();
+        loadLoudnessSettings();
         
-        // Configura player de áudio
-        AppState.audio.volume = AppState.volume;
+        // Reconstrói "Tocadas Recentemente" e o modelo de recomendações a partir das escutas salvas
+        await loadPlayHistory();
+        await loadRecommendationModel();
         
-        // Event listeners do player
-        AppState.audio.addEventListener('timeupdate', updateTimeDisplay);
-        AppState.audio.addEventListener('ended', () => {
-            if (AppState.repeatMode === 'one') {
-                AppState.audio.currentTime = 0;
-                play();
-            } else if (AppState.repeatMode === 'all' || AppState.playQueue.length > 0) {
-                playNext();
-            } else {
-                pause();
-            }
+        // Volta à música, fila e posição da última visita (pausado)
+        restoreSession();
+        
+        // Configura os dois elementos de áudio; os papéis (atual/reserva) se alternam,
+        // então os eventos só valem para o elemento que está tocando
+        [AppState.audio, AppState.standbyAudio].forEach(element => {
+            element.volume = AppState.volume;
+            
+            element.addEventListener('timeupdate', () => {
+                if (element !== AppState.audio) return;
+                updateTimeDisplay();
+                updateMediaSessionPosition();
+                updateLyricsHighlight();
+                trackListenProgress();
+                checkTrackTransition();
+                scheduleSessionSave();
+            });
+            element.addEventListener('loadedmetadata', () => {
+                if (element !== AppState.audio) return;
+                updateTimeDisplay();
+                updateMediaSessionPosition();
+            });
+            element.addEventListener('ended', () => {
+                if (element === AppState.audio) handleTrackEnded();
+            });
+        });
+        
+        // Salva a escuta em andamento e a sessão ao fechar a página
+        window.addEventListener('pagehide', () => {
+            finishListen('closed');
+            saveSession();
         });
         
         // Event listeners da UI
         setupEventListeners();
         
         // Renderiza conteúdo inicial
-        const recommendations = getRecommendations(10);
-        renderMusicGrid(recommendations, 'recommendationsGrid');
+        renderRecommendations();
         renderMusicList(AppState.playHistory.slice(0, 10), 'recentPlaysList', false);
         renderLibrary();
         
@@ -941,13 +10698,18 @@ function setupEventListeners() {
             e.preventDefault();
             const section = item.dataset.section;
             
-            // Atualiza navegação ativa
-            document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
-            item.classList.add('active');
+            showSection(section);
             
-            // Mostra seção correspondente
-            document.querySelectorAll('.content-section').forEach(sec => sec.classList.remove('active'));
-            document.getElementById(`${section}-section`).classList.add('active');
+            if (section === 'stats') {
+                renderStats();
+            } else if (section === 'settings') {
+                renderLoudnessSettings();
+                renderFeatureAnalysisSettings();
+            } else if (section === 'browse') {
+                // O item de menu sempre volta ao índice (artistas, álbuns ou gêneros)
+                AppState.browse.page = null;
+                renderBrowse();
+            }
         });
     });
     
@@ -962,6 +10724,19 @@ function setupEventListeners() {
         }
     });
     
+    // Capa manual (botão nas listas ou clique na capa do player)
+    document.getElementById('trackArtwork').addEventListener('click', () => {
+        if (AppState.currentTrack) {
+            promptArtworkUpload(AppState.currentTrack.id);
+        }
+    });
+    
+    document.getElementById('artworkInput').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            handleArtworkUpload(e.target.files[0], Number(e.target.dataset.trackId));
+        }
+    });
+    
     // Controles do player
     document.getElementById('playPauseBtn').addEventListener('click', togglePlayPause);
     document.getElementById('nextBtn').addEventListener('click', playNext);
@@ -976,35 +10751,74 @@ function setupEventListeners() {
         setVolume(e.target.value);
     });
     
-    // Controle de progresso
-    const progressSlider = document.getElementById('progressSlider');
-    progressSlider.addEventListener('input', (e) => {
-        if (AppState.audio.duration) {
-            AppState.audio.currentTime = (e.target.value / 100) * AppState.audio.duration;
-        }
-    });
+    // Rádio: o botão aparece enquanto ele está ligado e o desliga
+    document.getElementById('radioBtn').addEventListener('click', stopTrackRadio);
+    
+    // Equalizador
+    setupEqualizerControls();
+    
+    // Configurações de reprodução e normalização de volume
+    setupPlaybackSettingsControls();
+    setupLoudnessControls();
+    
+    // Barra de progresso (forma de onda)
+    setupWaveformControls();
+    
+    // Tela cheia "Tocando agora" e visualizador
+    setupNowPlayingControls();
+    setupMediaSession();
+    
+    // Atalhos de teclado e paleta de comandos
+    setupKeyboardShortcuts();
+    
+    // Painel de letra sincronizada e editor de LRC
+    setupLyricsControls();
     
     // Busca
     const searchInput = document.getElementById('searchInput');
     const searchBtn = document.getElementById('searchBtn');
     
-    const performSearch = () => {
-        const query = searchInput.value;
-        const results = searchMusics(query);
-        renderSearchResults(results);
-    };
+    let searchTimer = null;
     
-    searchBtn.addEventListener('click', performSearch);
+    searchBtn.addEventListener('click', () => runSearch());
     searchInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            performSearch();
+            clearTimeout(searchTimer);
+            runSearch();
         }
     });
     
+    // Busca enquanto digita, aguardando uma pequena pausa
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => runSearch(), SEARCH_DEBOUNCE_MS);
+    });
+    
+    // Estatísticas: intervalo de datas e exportação
+    document.querySelectorAll('.stats-range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.stats-range-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            AppState.statsRange = btn.dataset.range;
+            renderStats();
+        });
+    });
+    
+    ['statsFrom', 'statsTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            document.querySelectorAll('.stats-range-btn').forEach(b => b.classList.remove('active'));
+            AppState.statsRange = 'custom';
+            renderStats();
+        });
+    });
+    
+    document.getElementById('exportListensJsonBtn').addEventListener('click', () => exportListens('json'));
+    document.getElementById('exportListensCsvBtn').addEventListener('click', () => exportListens('csv'));
+    
     // Filtros da biblioteca
-    document.querySelectorAll('.filter-btn').forEach(btn => {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.filter-btn[data-filter]').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             renderLibrary(btn.dataset.filter);
         });
@@ -1016,6 +10830,43 @@ function setupEventListeners() {
         document.getElementById('playlistNameInput').value = '';
     });
     
+    // Playlists inteligentes
+    setupSmartPlaylistControls();
+    
+    // Navegação por artista, álbum e gênero
+    setupBrowseControls();
+    
+    // Edição de metadados, seleção e remoção de músicas
+    setupTrackEditorControls();
+    
+    // Localizador de duplicatas
+    setupDuplicateControls();
+    
+    // Importação de playlists
+    document.getElementById('importPlaylistBtn').addEventListener('click', () => {
+        document.getElementById('playlistFileInput').click();
+    });
+    
+    document.getElementById('playlistFileInput').addEventListener('change', async (e) => {
+        for (const file of Array.from(e.target.files)) {
+            await importPlaylistFile(file);
+        }
+        e.target.value = '';
+    });
+    
+    // Backup e restauração
+    document.getElementById('backupBtn').addEventListener('click', handleCreateBackup);
+    document.getElementById('restoreBtn').addEventListener('click', () => {
+        document.getElementById('backupFileInput').click();
+    });
+    
+    document.getElementById('backupFileInput').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            handleRestoreBackup(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    
     document.getElementById('modalClose').addEventListener('click', () => {
         document.getElementById('playlistModal').classList.remove('active');
     });
@@ -1032,16 +10883,35 @@ function setupEventListeners() {
         }
     });
     
-    // Modal de fila
+    // Modal de fila (renderizada depois de visível, para a lista virtual medir a área)
     document.getElementById('queueBtn').addEventListener('click', () => {
-        renderQueue();
         document.getElementById('queueModal').classList.add('active');
+        renderQueue();
     });
+    setupQueueListEvents();
+    
+    // Listas virtualizadas acompanham a rolagem de qualquer contêiner e o tamanho da janela
+    document.addEventListener('scroll', scheduleVirtualListUpdate, true);
+    window.addEventListener('resize', scheduleVirtualListUpdate);
     
     document.getElementById('queueModalClose').addEventListener('click', () => {
         document.getElementById('queueModal').classList.remove('active');
     });
     
+    document.getElementById('clearQueueBtn').addEventListener('click', () => {
+        if (confirm('Limpar a fila de reprodução?')) {
+            clearQueue();
+        }
+    });
+    
+    document.getElementById('saveQueueBtn').addEventListener('click', () => {
+        const name = prompt('Nome da nova playlist:');
+        if (name && name.trim()) {
+            const playlist = saveQueueAsPlaylist(name.trim());
+            alert(playlist ? `Playlist "${playlist.name}" criada com ${playlist.tracks.length} música(s).` : 'A fila está vazia.');
+        }
+    });
+    
     // Fecha modais ao clicar fora
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
@@ -1053,38 +10923,168 @@ function setupEventListeners() {
 }
 
 /**
- * Renderiza a fila de reprodução
+ * Renderiza a fila de reprodução: "A seguir" e depois o contexto (playlist ou biblioteca)
+ * Títulos e músicas formam uma única lista virtualizada
  */
 function renderQueue() {
     const container = document.getElementById('queueList');
-    container.innerHTML = '';
     
-    if (AppState.playQueue.length === 0) {
-        container.innerHTML = '<li style="padding: 20px; text-align: center; color: var(--spotify-text-secondary);">Fila vazia</li>';
+    if (AppState.playQueue.length === 0 && AppState.upNext.length === 0) {
+        AppState.virtualLists.delete(container);
+        container.innerHTML = '';
+        const empty = document.createElement('div');
+        empty.className = 'queue-empty';
+        empty.textContent = 'Fila vazia';
+        container.appendChild(empty);
         return;
     }
     
-    AppState.playQueue.forEach((trackId, index) => {
+    const entries = [];
+    if (AppState.upNext.length > 0) {
+        entries.push({ heading: 'A seguir' });
+        AppState.upNext.forEach((trackId, index) => entries.push({ trackId, listName: 'upNext', index }));
+    }
+    
+    const context = AppState.currentPlaylist ? AppState.currentPlaylist.name : (AppState.queueContextName || 'Sua Biblioteca');
+    const order = AppState.isShuffled ? ' (ordem aleatória)' : '';
+    entries.push({ heading: `Tocando de: ${context}${order}` });
+    AppState.playQueue.forEach((trackId, index) => entries.push({ trackId, listName: 'context', index }));
+    
+    const byId = new Map(AppState.musicLibrary.map(t => [t.id, t]));
+    createVirtualList(container, {
+        count: entries.length,
+        rowHeight: QUEUE_ROW_HEIGHT,
+        rowGap: QUEUE_ROW_GAP,
+        renderRow: index => {
+            const entry = entries[index];
+            return entry.heading
+                ? createQueueHeading(entry.heading)
+                : createQueueItem(byId.get(entry.trackId), entry.listName, entry.index);
+        }
+    });
+}
+
+/**
+ * Cria o título de uma seção da fila
+ */
+function createQueueHeading(text) {
+    const heading = document.createElement('div');
+    heading.className = 'queue-heading';
+    heading.textContent = text;
+    return heading;
+}
+
+/**
+ * Cria um item arrastável da fila, com botão de remoção
+ * Cliques e arrastar/soltar são tratados por setupQueueListEvents
+ */
+function createQueueItem(track, listName, index) {
+    const item = document.createElement('div');
+    item.className = 'queue-item';
+    item.draggable = true;
+    item.dataset.listName = listName;
+    item.dataset.index = index;
+    if (listName === 'context' && index === AppState.currentQueueIndex) {
+        item.classList.add('playing');
+    }
+    
+    const number = document.createElement('span');
+    number.className = 'queue-item-handle';
+    number.textContent = index + 1;
+    number.title = 'Arraste para reordenar';
+    
+    const info = document.createElement('div');
+    info.className = 'queue-item-info';
+    const title = document.createElement('div');
+    title.className = 'queue-item-title';
+    const artist = document.createElement('div');
+    artist.className = 'queue-item-artist';
+    // Música removida da biblioteca que ainda está na fila
+    title.textContent = track ? track.name : 'Música indisponível';
+    artist.textContent = track ? track.artist : '';
+    info.appendChild(title);
+    info.appendChild(artist);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'music-action-btn';
+    removeBtn.dataset.action = 'remove';
+    removeBtn.title = 'Remover da fila';
+    removeBtn.textContent = '✕';
+    
+    item.appendChild(number);
+    item.appendChild(info);
+    item.appendChild(removeBtn);
+    return item;
+}
+
+/**
+ * Liga os eventos delegados da fila: clique, remoção e arrastar e soltar
+ */
+function setupQueueListEvents() {
+    const container = document.getElementById('queueList');
+    const getItem = (event) => event.target.closest('.queue-item');
+    
+    container.addEventListener('click', (e) => {
+        const item = getItem(e);
+        if (!item) return;
+        const listName = item.dataset.listName;
+        const index = Number(item.dataset.index);
+        
+        if (e.target.closest('[data-action="remove"]')) {
+            removeQueueItem(listName, index);
+            return;
+        }
+        
+        const trackId = getQueueList(listName)[index];
         const track = AppState.musicLibrary.find(t => t.id === trackId);
-        if (track) {
-            const li = document.createElement('li');
-            li.className = 'queue-item';
-            if (index === AppState.currentQueueIndex) {
-                li.classList.add('playing');
-            }
-            li.innerHTML = `
-                <span>${index + 1}</span>
-                <div style="flex: 1;">
-                    <div style="font-weight: 500;">${track.name}</div>
-                    <div style="font-size: 14px; color: var(--spotify-text-secondary);">${track.artist}</div>
-                </div>
-            `;
-            li.addEventListener('click', () => {
-                AppState.currentQueueIndex = index;
-                loadTrack(track);
-                play();
-            });
-            container.appendChild(li);
+        if (!track) return;
+        if (listName === 'upNext') {
+            AppState.upNext.splice(index, 1);
+        } else {
+            AppState.currentQueueIndex = index;
+        }
+        loadTrack(track);
+        play();
+    });
+    
+    // Arrastar e soltar dentro da mesma seção
+    container.addEventListener('dragstart', (e) => {
+        const item = getItem(e);
+        if (!item) return;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData(QUEUE_DRAG_TYPE, JSON.stringify({
+            listName: item.dataset.listName,
+            index: Number(item.dataset.index)
+        }));
+        item.classList.add('dragging');
+    });
+    container.addEventListener('dragend', (e) => {
+        const item = getItem(e);
+        if (item) item.classList.remove('dragging');
+    });
+    container.addEventListener('dragover', (e) => {
+        const item = getItem(e);
+        if (!item || !e.dataTransfer.types.includes(QUEUE_DRAG_TYPE)) return;
+        e.preventDefault();
+        item.classList.add('drag-over');
+    });
+    container.addEventListener('dragleave', (e) => {
+        const item = getItem(e);
+        if (item) item.classList.remove('drag-over');
+    });
+    container.addEventListener('drop', (e) => {
+        const item = getItem(e);
+        if (!item) return;
+        e.preventDefault();
+        item.classList.remove('drag-over');
+        let source = null;
+        try {
+            source = JSON.parse(e.dataTransfer.getData(QUEUE_DRAG_TYPE) || 'null');
+        } catch (error) {
+            return;
+        }
+        if (source && source.listName === item.dataset.listName) {
+            moveQueueItem(source.listName, source.index, Number(item.dataset.index));
         }
     });
 }